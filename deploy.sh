@@ -10,6 +10,7 @@ SIDE_BLOCK=""
 ETH_HOST=""
 RSK_HOST=""
 PROGRAMS="docker npm nodejs jq"
+ENV_FILE=""
 
 quit() {
     if [ $1 -eq 1 ]; then
@@ -55,6 +56,8 @@ key() {
         read -p "Please move your private key to $DEST_DIR/federator/config/federator.key, then press any key to continue " FED_KEY
         continue
     done
+    # The federator refuses key files readable by every user
+    chmod 600 $DEST_DIR/federator/config/federator.key
     echo ""
     echo "Private key placed on $DEST_DIR/federator/config/federator.key"
     return 0
@@ -70,7 +73,7 @@ block_exists() {
 eth_host(){
     read -p "Please enter your ETH host address along with the RPC port, (https://127.0.0.1:8545) " ETH_HOST
     [ ! -z "${ETH_HOST}" ] &&
-        sed -i "s|<YOUR HOST URL AND PORT>|$ETH_HOST|g" $DEST_DIR/federator/config/ethmainnet.json &&
+        echo "FEDERATOR_SIDECHAIN__HOST=$ETH_HOST" >> "$ENV_FILE" &&
         return 0
     quit 1 "There was an error setting the ETH host and port"
 }
@@ -78,7 +81,7 @@ eth_host(){
 rsk_host(){
     read -p "Please enter your RSK host address along with the RPC port, (https://127.0.0.1:4444) " RSK_HOST
     [ ! -z "${RSK_HOST}" ] &&
-        sed -i "s|<YOUR HOST URL AND PORT>|$RSK_HOST|g" $DEST_DIR/federator/config/rskmainnet.json &&
+        echo "FEDERATOR_MAINCHAIN__HOST=$RSK_HOST" >> "$ENV_FILE" &&
         return 0
     quit 1 "There was an error setting the RSK host and port"
 }
@@ -120,8 +123,11 @@ build() {
 }
 
 run_message() {
+    # Installs from before the hosts were kept in the env file have them in the network .json files
+    ENV_FILE_OPTION=""
+    [ -f $ENV_FILE ] && ENV_FILE_OPTION="--env-file $ENV_FILE"
     RUN_MESSAGE="docker run -d --rm \
-    --network host \
+    --network host $ENV_FILE_OPTION \
     -v $DEST_DIR/federator/config:/app/federator/config \
     -v $DEST_DIR/federator/db:/app/federator/db \
     --name=fed-tokenbridge \
@@ -147,6 +153,9 @@ if [ ! -z $2 ]; then
 else
     quit 1 "Undefined DEST_DIR"
 fi
+# The hosts are passed as environment variables instead of editing the network .json files,
+# the install starts an empty file and each question appends its variable
+ENV_FILE=$DEST_DIR/federator/config/federator.env
 
 check_required_programs
 
@@ -154,7 +163,8 @@ cd $DEST_DIR/federator
 
 if [ $UPDATE -eq 1 ]; then
     echo "Installing the token bridge federate node"
-    rsk_host &&
+    : > "$ENV_FILE" &&
+        rsk_host &&
         eth_host &&
         config &&
         key &&
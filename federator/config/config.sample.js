@@ -1,12 +1,41 @@
-const fs = require('fs');
 module.exports = {
     mainchain: require('./rsktestnet-kovan.json'), //the json containing the smart contract addresses in rsk
     sidechain: require('./kovan.json'), //the json containing the smart contract addresses in eth
     runEvery: 2, // In minutes,
     confirmations: 120, // Number of blocks before processing it, if working with ganache set as 0
-    privateKey: fs.readFileSync(`${__dirname}/federator.key`, 'utf8'),
+    keyFile: `${__dirname}/federator.key`, // Plain hex private key or V3 keystore, it can't be readable by every user
+    // keystorePasswordFile: '/run/secrets/federator_keystore_password', // Keystore passphrase when FEDERATOR_KEYSTORE_PASSWORD is not set
+    // signer: { type: 'remote', url: 'http://signer:8550', address: '0x...' }, // Signing service used instead of federator.key
     storagePath: './db',
     etherscanApiKey: '',
     runHeartbeatEvery: 1, // In hours
     endpointsPort: 5000, // Server port
+    // adminToken: '<LONG RANDOM TOKEN>', // Enables the /admin endpoints, requests need the header Authorization: Bearer <adminToken>
+    maxMinutesSinceLastRun: 30, // Minutes without a successful run before /isAlive reports the federator as down
+    stuckTransactionMinutes: 10, // Minutes before a transaction that is not mined is sent again with a higher gas price
+    maxTransactionReplacements: 3, // Times a stuck transaction is sped up before cancelling it
+    shutdownTimeoutSeconds: 60, // Seconds to wait for the vote or heartbeat in progress when stopping
+    supervisor: { // Backoff of the main, side, heartbeat and heartbeatLogs subsystems when their runs fail
+        initialBackoffSeconds: 60, // Doubled after each consecutive failure
+        maxBackoffSeconds: 1800,
+        failureThreshold: 5, // Consecutive failures that open the circuit
+        openCircuitSeconds: 1800, // Time the circuit stays open before a single trial run
+    },
+    balanceMonitor: { // Low funds warnings when the balance covers fewer transactions than these
+        warningVotes: 100,
+        criticalVotes: 20,
+        warningHeartbeats: 72,
+        criticalHeartbeats: 24,
+        defaultVoteGas: 300000, // Gas per vote until the federator has voted, then the average of the latest votes is used
+        defaultHeartbeatGas: 100000,
+    },
+    alerting: { // Optional, posts the incidents to these webhooks
+        name: 'federator-1', // Source of the alerts, the hostname by default
+        webhooks: [{ url: 'https://hooks.slack.com/services/<ID>', format: 'slack' }], // format is slack or generic
+        cooldownMinutes: 60, // Time before the same alert is posted again
+        cooldowns: { lag: 30 }, // Cooldown of some alert types
+        maxLagBlocks: 1000, // Optional, alerts when the last block processed is further behind the chain head
+        maxSyncingMinutes: 30, // Alerts when a node is syncing for longer
+        maxFailedRuns: 3, // Alerts after these consecutive runs failed after all their retries
+    },
 }
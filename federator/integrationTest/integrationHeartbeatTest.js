@@ -8,6 +8,7 @@ const logConfig = require('../config/log-config.json');
 
 //utils
 const Heartbeat = require('../src/lib/Heartbeat.js');
+const KeyLoader = require('../src/lib/KeyLoader.js');
 const fundFederators = require('./fundFederators');
 
 const logger = log4js.getLogger('HEARTBEAT');
@@ -17,10 +18,8 @@ logger.info('MainChain Host', config.mainchain.host);
 
 const keys = process.argv[2] ? process.argv[2].replace(/ /g, '').split(',') : [];
 
-const heartbeats = getHeartbeats(keys, config);
-
 run({
-  heartbeats,
+  keys,
   config
 });
 
@@ -44,7 +43,9 @@ function getHeartbeats(keys, config) {
     return heartbeats;
 }
 
-async function run({ heartbeats, config }) {
+async function run({ keys, config }) {
+    config.privateKey = await KeyLoader.loadPrivateKey(config, logger);
+    const heartbeats = getHeartbeats(keys, config);
     logger.info('Starting emiting & listening to Heartbeats from main chain');
     await emitAndListenToHeartbeats(
       heartbeats,
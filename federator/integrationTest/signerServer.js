@@ -0,0 +1,70 @@
+const http = require('http');
+const log4js = require('log4js');
+
+const logConfig = require('../config/log-config.json');
+const LocalSigner = require('../src/signers/LocalSigner.js');
+
+const logger = log4js.getLogger('Signer Server');
+
+/**
+ * Stand-in for an external signing service, answers eth_accounts and eth_signTransaction
+ * with the given private key. Only meant for test environments.
+ * Example invocation:
+ *
+ * node signerServer.js "pkey" 8550
+ *
+ * and in config.js
+ *
+ * signer: { type: 'remote', url: 'http://localhost:8550' },
+ */
+
+let scriptPath = process.argv[1];
+let privateKey = process.argv[2];
+let port = process.argv[3] || 8550;
+
+if (scriptPath.indexOf('signerServer') !== -1) {
+    log4js.configure(logConfig);
+    createSignerServer(privateKey).listen(port, () => logger.info(`Signer listening on port ${port}`));
+}
+
+function createSignerServer(privateKey) {
+    const signer = new LocalSigner(privateKey);
+
+    const handle = async ({ method, params }) => {
+        switch (method) {
+            case 'eth_accounts':
+                return [await signer.getAddress()];
+            case 'eth_signTransaction': {
+                const transaction = params[0];
+                if (transaction.from.toLowerCase() !== (await signer.getAddress()).toLowerCase()) {
+                    throw new Error(`Unknown account ${transaction.from}`);
+                }
+                const chainId = parseInt(transaction.chainId);
+                const rawTx = { ...transaction, chainId, r: 0, s: 0 };
+                return { raw: await signer.signTransaction(rawTx), tx: transaction };
+            }
+            default:
+                throw new Error(`Method ${method} not supported`);
+        }
+    };
+
+    return http.createServer((req, res) => {
+        let body = '';
+        req.on('data', chunk => body += chunk);
+        req.on('end', async () => {
+            let request = {};
+            let response;
+            try {
+                request = JSON.parse(body);
+                response = { jsonrpc: '2.0', id: request.id, result: await handle(request) };
+            } catch (err) {
+                logger.error('Signing request failed', err.message);
+                response = { jsonrpc: '2.0', id: request.id, error: { code: -32000, message: err.message } };
+            }
+            res.writeHead(200, { 'Content-Type': 'application/json' });
+            res.end(JSON.stringify(response));
+        });
+    });
+}
+
+module.exports = createSignerServer;
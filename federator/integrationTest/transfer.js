@@ -6,6 +6,7 @@ const abiBridge = require('../../bridge/abi/Bridge_v2.json');
 const erc20TokenAbi = require('../../bridge/abi/IERC20.json');
 //utils
 const TransactionSender = require('../src/lib/TransactionSender.js');
+const KeyLoader = require('../src/lib/KeyLoader.js');
 const utils = require('../src/lib/utils.js');
 
 
@@ -20,6 +21,7 @@ run();
 
 async function run() {
     try {
+        config.privateKey = await KeyLoader.loadPrivateKey(config, logger);
         let rskWeb3 = new Web3(config.mainchain.host);
         let ethWeb3 = new Web3(config.sidechain.host);
 
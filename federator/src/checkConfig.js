@@ -0,0 +1,30 @@
+// Validates the config, config/config.js with the FEDERATOR_* environment variables, and probes the nodes and
+// bridges it points to, exits with 1 when something is wrong.
+// Usage: npm run check-config
+const ConfigLoader = require('./lib/ConfigLoader.js');
+const ConfigCheck = require('./lib/ConfigCheck.js');
+
+async function main() {
+    const { config, warnings: loaderWarnings } = ConfigLoader.load();
+    const { ok, errors, warnings, chains } = await new ConfigCheck(config).run();
+    [...loaderWarnings, ...warnings].forEach(warning => console.log(`WARN  ${warning}`));
+    errors.forEach(error => console.log(`FAIL  ${error}`));
+    for (const [chain, { nodes, bridge }] of Object.entries(chains)) {
+        console.log(`${chain} ${config[chain].name || ''}`);
+        for (const node of nodes) {
+            console.log(node.ok ?
+                `  OK    node ${node.host} chain id ${node.chainId} at block ${node.blockNumber}` :
+                `  FAIL  node ${node.host} ${node.error}`);
+        }
+        console.log(bridge.ok ?
+            `  OK    bridge ${bridge.address} version ${bridge.version}` :
+            `  FAIL  bridge ${bridge.address} ${bridge.error}`);
+    }
+    console.log(ok ? 'Config OK' : 'Config has errors');
+    process.exit(ok ? 0 : 1);
+}
+
+main().catch(err => {
+    console.error('Unable to check the config', err);
+    process.exit(1);
+});
@@ -0,0 +1,25 @@
+#!/usr/bin/env node
+// Day-to-day operations on a federator, prints the result of each command as JSON.
+// Usage: npm run --silent federator -- <command> [options], npm run federator -- help for the commands
+const log4js = require('log4js');
+const ConfigLoader = require('./lib/ConfigLoader.js');
+const Cli = require('./lib/Cli.js');
+
+// stdout only has the result, the logs go to stderr
+log4js.configure({
+    appenders: { stderr: { type: 'stderr' } },
+    categories: { default: { appenders: ['stderr'], level: 'warn' } }
+});
+const logger = log4js.getLogger('CLI');
+
+async function main() {
+    const loaded = ConfigLoader.load();
+    loaded.warnings.forEach(warning => logger.warn(warning));
+    const exitCode = await new Cli(loaded, logger).run(process.argv.slice(2));
+    process.exit(exitCode);
+}
+
+main().catch(err => {
+    console.error('Unable to run the command', err);
+    process.exit(1);
+});
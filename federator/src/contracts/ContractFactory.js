@@ -1,9 +1,11 @@
+const FailoverProvider = require('../lib/FailoverProvider');
+
 module.exports = class ContractFactory {
     constructor(config, logger, Web3) {
         this.config = config;
         this.logger = logger;
-        this.mainWeb3 = new Web3(config.mainchain.host);
-        this.sideWeb3 = new Web3(config.sidechain.host);
+        this.mainWeb3 = FailoverProvider.createWeb3(Web3, logger, config.mainchain);
+        this.sideWeb3 = FailoverProvider.createWeb3(Web3, logger, config.sidechain);
         this.contractsByAbi = new Map();
     }
 
@@ -22,6 +22,10 @@ module.exports = class IBridge {
         return this.bridgeContract.options.address;
     }
 
+    getAbi() {
+        return this.bridgeContract.options.jsonInterface;
+    }
+
     getProcessed(transactionHash) {
         return this.bridgeContract.methods.processed(transactionHash).call();
     }
@@ -12,6 +12,14 @@ module.exports = class IFederationV1 {
         return this.federationContract.methods.isMember(address);
     }
 
+    getMembers() {
+        return this.federationContract.methods.getMembers();
+    }
+
+    getRequired() {
+        return this.federationContract.methods.required();
+    }
+
     getTransactionId(paramsObj) {
         return this.federationContract.methods.getTransactionId(
             paramsObj.originalTokenAddress,
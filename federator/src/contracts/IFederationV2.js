@@ -12,6 +12,14 @@ module.exports = class IFederationV2 {
         return this.federationContract.methods.isMember(address);
     }
 
+    getMembers() {
+        return this.federationContract.methods.getMembers();
+    }
+
+    getRequired() {
+        return this.federationContract.methods.required();
+    }
+
     getTransactionId(paramsObj) {
 
         return this.federationContract.methods.getTransactionId(
@@ -72,7 +80,7 @@ module.exports = class IFederationV2 {
             nodeEthInfo
         ).encodeABI();
 
-        await txSender.sendTransaction(this.getAddress(), txData, 0, this.config.privateKey);
+        return txSender.sendTransaction(this.getAddress(), txData, 0, this.config.privateKey);
     }
 
 }
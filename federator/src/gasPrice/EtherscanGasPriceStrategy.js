@@ -0,0 +1,100 @@
+const NodeGasPriceStrategy = require('./NodeGasPriceStrategy');
+
+const MIN_PRIORITY_FEE = 1000000000;
+const GWEI = 1000000000;
+// The heuristics the federator always used, each one can be changed in the strategy options
+const DEFAULTS = {
+    // Margin over the oracle fast gas price to absorb gas spikes
+    fastGasPriceMarginPercent: 1.3,
+    // A restarted node suggests prices lower than the network, usually 9 to 15 gwei, below this the oracle is used
+    minNodeGasPriceGwei: 25,
+    // The oracle prices are ignored when they are this many times the node price, in case the API is wrong
+    maxOracleMultiple: 5,
+    // Added to the oracle propose gas price when its fast gas price is ignored
+    proposeGasPriceExtraGwei: 5,
+};
+
+// Combines the node gas price with the Etherscan gas oracle, only available for Ethereum mainnet
+module.exports = class EtherscanGasPriceStrategy {
+    constructor(client, logger, options = {}) {
+        this.client = client;
+        this.logger = logger;
+        this.useEtherscanApi = options.useEtherscanApi;
+        this.options = { ...DEFAULTS };
+        for (const name of Object.keys(DEFAULTS)) {
+            if (options[name] !== undefined) {
+                if (typeof options[name] !== 'number' || !(options[name] >= 0)) {
+                    throw new Error(`Etherscan gas price strategy ${name} must be a positive number`);
+                }
+                this.options[name] = options[name];
+            }
+        }
+        this.nodeStrategy = new NodeGasPriceStrategy(client, logger, options);
+    }
+
+    async getGasOracle() {
+        const data = {
+            module: 'gastracker',
+            action: 'gasoracle'
+        };
+        const response = await this.useEtherscanApi(data);
+        return response.result;
+    }
+
+    async getFees(chainId, useEip1559) {
+        if (chainId != 1) {
+            return this.nodeStrategy.getFees(chainId, useEip1559);
+        }
+        if (useEip1559) {
+            const gasOraclePrice = await this.getGasOracle();
+            const baseFeePerGas = parseInt(this.client.utils.toWei(gasOraclePrice.suggestBaseFee, 'gwei'));
+            const fastGasPrice = parseInt(this.client.utils.toWei(gasOraclePrice.FastGasPrice, 'gwei'));
+            const maxPriorityFeePerGas = Math.max(fastGasPrice - baseFeePerGas, MIN_PRIORITY_FEE);
+            this.logger.info('gasOraclePrice', gasOraclePrice);
+            return {
+                baseFeePerGas,
+                maxPriorityFeePerGas,
+                maxFeePerGas: 2 * baseFeePerGas + maxPriorityFeePerGas
+            };
+        }
+        return { gasPrice: await this.getEthGasPrice() };
+    }
+
+    async getEthGasPrice() {
+        const gasPrice = parseInt(await this.client.eth.getGasPrice());
+        let useGasPrice = gasPrice <= 1 ? 1: Math.round(gasPrice * this.nodeStrategy.multiplier);
+        const gasOraclePrice = await this.getGasOracle();
+        const proposeGasPrice = parseInt(this.client.utils.toWei(gasOraclePrice.ProposeGasPrice, 'gwei'));
+        const fastGasPrice = parseInt(this.client.utils.toWei(gasOraclePrice.FastGasPrice, 'gwei'));
+        const { fastGasPriceMarginPercent, minNodeGasPriceGwei, maxOracleMultiple, proposeGasPriceExtraGwei } = this.options;
+        // Add a margin to avoid gas spikes as even fast gas price is not enough
+        const fastGasPricePlus = Math.ceil(fastGasPrice * (1 + fastGasPriceMarginPercent / 100));
+        if (fastGasPrice >= gasPrice && useGasPrice >= fastGasPrice) {
+            // If fastGasPrice is cheaper than gasPrice x1.5 use fastGasPrice
+            // we check that fastGasPrice is bigger than gasPrice to avoid posible attacks and API errors
+            this.logger.info('gasPrice', gasPrice,'useGasPrice', useGasPrice);
+            this.logger.info('gasOraclePrice', gasOraclePrice);
+            this.logger.debug('useGasPrice >= fastGasPrice, we will use', fastGasPricePlus);
+            return fastGasPricePlus;
+        }
+        if (useGasPrice <= minNodeGasPriceGwei * GWEI) {
+            // Currently when we restart an ethereum node the eth_getPrice is given values that are lower than the network
+            // When this happens we will use the gas price provided by etherscan
+            this.logger.info('gasPrice', gasPrice,'useGasPrice', useGasPrice);
+            this.logger.info('gasOraclePrice', gasOraclePrice);
+            this.logger.debug(`useGasPrice <= ${minNodeGasPriceGwei} gwei, we will use`, fastGasPricePlus);
+            return fastGasPricePlus;
+        }
+        if (proposeGasPrice >= gasPrice && proposeGasPrice >= useGasPrice && proposeGasPrice < (useGasPrice * maxOracleMultiple)) {
+            // if useGasPrice is lower than proposeGasPrice the transaction will probably get stucked
+            // we add a control in case proposeGasPrice is way high
+            // Try to use fastGasPrice if the value is too high, use proposeGasPrice plus proposeGasPriceExtraGwei to help avoid gas spikes
+            const recommendedGas = fastGasPrice < (useGasPrice * maxOracleMultiple) ? fastGasPricePlus : proposeGasPrice + proposeGasPriceExtraGwei * GWEI;
+            this.logger.info('gasPrice', gasPrice,'useGasPrice', useGasPrice);
+            this.logger.info('gasOraclePrice', gasOraclePrice);
+            this.logger.debug('proposeGasPrice >= useGasPrice, we will use', recommendedGas);
+            return recommendedGas;
+        }
+        return useGasPrice;
+    }
+}
@@ -0,0 +1,31 @@
+const DEFAULT_BLOCKS = 10;
+const DEFAULT_PERCENTILE = 50;
+const MIN_PRIORITY_FEE = 1000000000;
+
+// Uses eth_feeHistory, the tip is the median of the given reward percentile over the last blocks
+module.exports = class FeeHistoryGasPriceStrategy {
+    constructor(client, logger, options = {}) {
+        this.client = client;
+        this.logger = logger;
+        this.blocks = options.blocks || DEFAULT_BLOCKS;
+        this.percentile = options.percentile || DEFAULT_PERCENTILE;
+    }
+
+    async getFees(chainId, useEip1559) {
+        const feeHistory = await this.client.eth.getFeeHistory(this.blocks, 'latest', [this.percentile]);
+        // baseFeePerGas has one more element than the requested blocks, the base fee of the next block
+        const baseFeePerGas = parseInt(feeHistory.baseFeePerGas[feeHistory.baseFeePerGas.length - 1]);
+        const rewards = feeHistory.reward.map(([reward]) => parseInt(reward)).sort((a, b) => a - b);
+        const maxPriorityFeePerGas = Math.max(rewards[Math.floor(rewards.length / 2)] || 0, MIN_PRIORITY_FEE);
+        this.logger.debug('feeHistory', feeHistory);
+        if (!useEip1559) {
+            return { gasPrice: baseFeePerGas + maxPriorityFeePerGas };
+        }
+        // Twice the base fee keeps the transaction valid for at least 6 consecutive full blocks
+        return {
+            baseFeePerGas,
+            maxPriorityFeePerGas,
+            maxFeePerGas: 2 * baseFeePerGas + maxPriorityFeePerGas
+        };
+    }
+}
@@ -0,0 +1,30 @@
+const GWEI = 1000000000;
+
+// Always uses the configured prices, options.gasPriceGwei for legacy transactions and
+// options.maxFeePerGasGwei and options.maxPriorityFeePerGasGwei for EIP-1559 ones
+module.exports = class FixedGasPriceStrategy {
+    constructor(client, logger, options = {}) {
+        this.logger = logger;
+        for (const name of ['gasPriceGwei', 'maxFeePerGasGwei', 'maxPriorityFeePerGasGwei']) {
+            if (options[name] !== undefined && !(typeof options[name] === 'number' && options[name] > 0)) {
+                throw new Error(`Fixed gas price strategy ${name} must be a number greater than 0, got ${JSON.stringify(options[name])}`);
+            }
+        }
+        this.gasPrice = Math.round((options.gasPriceGwei || options.maxFeePerGasGwei) * GWEI);
+        this.maxFeePerGas = Math.round((options.maxFeePerGasGwei || options.gasPriceGwei) * GWEI);
+        this.maxPriorityFeePerGas = Math.round((options.maxPriorityFeePerGasGwei || options.maxFeePerGasGwei || options.gasPriceGwei) * GWEI);
+        if (!this.gasPrice) {
+            throw new Error('Fixed gas price strategy requires gasPriceGwei or maxFeePerGasGwei');
+        }
+    }
+
+    async getFees(chainId, useEip1559) {
+        if (!useEip1559) {
+            return { gasPrice: this.gasPrice };
+        }
+        return {
+            maxPriorityFeePerGas: Math.min(this.maxPriorityFeePerGas, this.maxFeePerGas),
+            maxFeePerGas: this.maxFeePerGas
+        };
+    }
+}
@@ -0,0 +1,8 @@
+// Thrown instead of sending a transaction when the gas price is above the chain gasPriceCeilingGwei
+module.exports = class GasPriceCeilingError extends Error {
+    constructor(gasPrice, gasPriceCeiling) {
+        super(`Gas price ${gasPrice} is above the ceiling ${gasPriceCeiling}, transaction held`);
+        this.gasPrice = gasPrice;
+        this.gasPriceCeiling = gasPriceCeiling;
+    }
+}
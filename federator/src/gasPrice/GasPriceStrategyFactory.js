@@ -0,0 +1,31 @@
+const NodeGasPriceStrategy = require('./NodeGasPriceStrategy');
+const FeeHistoryGasPriceStrategy = require('./FeeHistoryGasPriceStrategy');
+const FixedGasPriceStrategy = require('./FixedGasPriceStrategy');
+const EtherscanGasPriceStrategy = require('./EtherscanGasPriceStrategy');
+const OracleGasPriceStrategy = require('./OracleGasPriceStrategy');
+
+const strategies = {
+    node: NodeGasPriceStrategy,
+    feeHistory: FeeHistoryGasPriceStrategy,
+    fixed: FixedGasPriceStrategy,
+    etherscan: EtherscanGasPriceStrategy,
+    oracle: OracleGasPriceStrategy,
+};
+
+module.exports = class GasPriceStrategyFactory {
+    // Strategy used when the chain doesn't configure one, the same prices the federator always used
+    static getDefaultType(chainId, useEip1559) {
+        if (useEip1559) {
+            return 'feeHistory';
+        }
+        return chainId == 1 ? 'etherscan' : 'node';
+    }
+
+    static create(client, logger, type, options = {}) {
+        const Strategy = strategies[type];
+        if (!Strategy) {
+            throw new Error(`Unknown gas price strategy ${type}, valid strategies are ${Object.keys(strategies).join(', ')}`);
+        }
+        return new Strategy(client, logger, options);
+    }
+}
@@ -0,0 +1,36 @@
+const DEFAULT_MULTIPLIER = 1.5;
+const MIN_PRIORITY_FEE = 1000000000;
+
+// Uses the price suggested by the node, the block minimumGasPrice plus 3% on RSK and eth_gasPrice times a multiplier otherwise
+module.exports = class NodeGasPriceStrategy {
+    constructor(client, logger, options = {}) {
+        this.client = client;
+        this.logger = logger;
+        this.multiplier = options.multiplier || DEFAULT_MULTIPLIER;
+    }
+
+    async getFees(chainId, useEip1559) {
+        if (chainId >= 30 && chainId <= 33) {
+            return { gasPrice: await this.getRskGasPrice() };
+        }
+        const gasPrice = parseInt(await this.client.eth.getGasPrice());
+        if (!useEip1559) {
+            return { gasPrice: gasPrice <= 1 ? 1 : Math.round(gasPrice * this.multiplier) };
+        }
+        // After London eth_gasPrice is the latest base fee plus the tip the node suggests
+        const block = await this.client.eth.getBlock('latest');
+        const baseFeePerGas = parseInt(block.baseFeePerGas);
+        const maxPriorityFeePerGas = Math.max(gasPrice - baseFeePerGas, MIN_PRIORITY_FEE);
+        return {
+            baseFeePerGas,
+            maxPriorityFeePerGas,
+            maxFeePerGas: 2 * baseFeePerGas + maxPriorityFeePerGas
+        };
+    }
+
+    async getRskGasPrice() {
+        let block = await this.client.eth.getBlock('latest');
+        let gasPrice= parseInt(block.minimumGasPrice);
+        return gasPrice <= 1 ? 1: Math.round(gasPrice * 1.03);
+    }
+}
@@ -0,0 +1,64 @@
+const axios = require('axios');
+const utils = require('../lib/utils');
+
+const UNITS = { wei: 1, gwei: 1000000000 };
+const DEFAULT_TIMEOUT_SECONDS = 10;
+
+// Reads a value like data.fast.maxFee or result.0.price from the oracle answer
+function readPath(data, path) {
+    return path.split('.').reduce((value, name) => value !== undefined && value !== null ? value[name] : undefined, data);
+}
+
+/**
+ * Uses the prices of an external gas oracle, any HTTP endpoint answering JSON. options.url is requested with GET and
+ * options.gasPricePath is the path of the legacy gas price in the answer, options.maxFeePerGasPath and
+ * options.maxPriorityFeePerGasPath the ones of the EIP-1559 fees, in options.unit (gwei by default) times options.multiplier.
+ */
+module.exports = class OracleGasPriceStrategy {
+    constructor(client, logger, options = {}) {
+        this.logger = logger;
+        if (!options.url || !utils.checkHttpsOrLocalhost(options.url)) {
+            throw new Error('Oracle gas price strategy requires an https or localhost url');
+        }
+        if (!options.gasPricePath && !(options.maxFeePerGasPath && options.maxPriorityFeePerGasPath)) {
+            throw new Error('Oracle gas price strategy requires gasPricePath or maxFeePerGasPath and maxPriorityFeePerGasPath');
+        }
+        const unit = options.unit || 'gwei';
+        if (!UNITS[unit]) {
+            throw new Error(`Unknown oracle gas price unit ${unit}, valid units are ${Object.keys(UNITS).join(', ')}`);
+        }
+        this.url = options.url;
+        this.gasPricePath = options.gasPricePath;
+        this.maxFeePerGasPath = options.maxFeePerGasPath;
+        this.maxPriorityFeePerGasPath = options.maxPriorityFeePerGasPath;
+        this.scale = UNITS[unit] * (options.multiplier || 1);
+        this.timeout = (options.timeoutSeconds || DEFAULT_TIMEOUT_SECONDS) * 1000;
+    }
+
+    async getFees(chainId, useEip1559) {
+        if (useEip1559 && !this.maxFeePerGasPath) {
+            throw new Error('Oracle gas price strategy has no maxFeePerGasPath for EIP-1559 transactions');
+        }
+        if (!useEip1559 && !this.gasPricePath) {
+            throw new Error('Oracle gas price strategy has no gasPricePath for legacy transactions');
+        }
+        const { data } = await axios.get(this.url, { timeout: this.timeout });
+        this.logger.debug(`Gas oracle ${utils.urlHost(this.url)} answered`, data);
+        if (!useEip1559) {
+            return { gasPrice: this._read(data, this.gasPricePath) };
+        }
+        const maxFeePerGas = this._read(data, this.maxFeePerGasPath);
+        return {
+            maxPriorityFeePerGas: Math.min(this._read(data, this.maxPriorityFeePerGasPath), maxFeePerGas),
+            maxFeePerGas
+        };
+    }
+
+    _read(data, path) {
+        const value = parseFloat(readPath(data, path));
+        if (!Number.isFinite(value) || value <= 0) {
+            throw new Error(`Gas oracle ${utils.urlHost(this.url)} answered an invalid ${path}: ${JSON.stringify(readPath(data, path))}`);
+        }
+        return Math.round(value * this.scale);
+    }
+}
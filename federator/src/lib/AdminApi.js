@@ -0,0 +1,108 @@
+const crypto = require('crypto');
+const express = require('express');
+
+/**
+ * Operations that used to require stopping the container and editing the files under db/.
+ * Every request needs the header `Authorization: Bearer <config.adminToken>` and every action,
+ * successful or not, is written to the audit log.
+ */
+module.exports = class AdminApi {
+    // federators by direction name, { main, side }
+    constructor(config, logger, auditLogger, federators) {
+        if (!config.adminToken) {
+            throw new Error('adminToken is required to enable the admin API');
+        }
+        this.tokenHash = this._hash(config.adminToken);
+        this.logger = logger;
+        this.auditLogger = auditLogger;
+        this.federators = federators;
+    }
+
+    router() {
+        const router = express.Router();
+        router.use((req, res, next) => this._authenticate(req, res, next));
+        router.use(express.json());
+
+        router.post('/:direction/pause', this._action('pause', (federator, req) => {
+            federator.pause(req.body.reason);
+            return { paused: true };
+        }));
+        router.post('/:direction/resume', this._action('resume', (federator) => {
+            federator.resume();
+            return { paused: false };
+        }));
+        router.post('/:direction/rewind', this._action('rewind', (federator, req) => {
+            this._checkNotRunning(federator);
+            return federator.rewind(parseInt(req.body.block));
+        }));
+        router.delete('/:direction/reverted/:transactionId', this._action('clearReverted', (federator, req) => {
+            return { cleared: federator.clearRevertedVote(req.params.transactionId) };
+        }));
+        router.post('/:direction/reverted/:transactionId/retry', this._action('retryReverted', (federator, req) => {
+            this._checkNotRunning(federator);
+            return federator.retryRevertedVote(req.params.transactionId);
+        }));
+        router.post('/:direction/run', this._action('run', (federator) => {
+            this._checkNotRunning(federator);
+            // Runs can take minutes while votes are mined, the result is in the logs and /status
+            federator.run().catch(err => this.logger.error('Admin triggered run failed', err));
+            return { started: true };
+        }, 202));
+
+        return router;
+    }
+
+    _hash(value) {
+        return crypto.createHash('sha256').update(String(value)).digest();
+    }
+
+    _authenticate(req, res, next) {
+        const [scheme, token] = (req.get('Authorization') || '').split(' ');
+        // Comparing the hashes keeps the time constant regardless of the token length
+        if (scheme !== 'Bearer' || !token || !crypto.timingSafeEqual(this._hash(token), this.tokenHash)) {
+            this._audit(req, 'authenticate', 'denied');
+            return res.status(401).json({ error: 'Unauthorized' });
+        }
+        next();
+    }
+
+    _checkNotRunning(federator) {
+        if (federator.isRunning()) {
+            const err = new Error('The federator is running, try again when the run ends');
+            err.status = 409;
+            throw err;
+        }
+    }
+
+    _action(name, handler, successStatus = 200) {
+        return async (req, res) => {
+            const federator = this.federators[req.params.direction];
+            if (!federator) {
+                this._audit(req, name, 'rejected', `Unknown direction ${req.params.direction}`);
+                return res.status(404).json({ error: `Unknown direction ${req.params.direction}, valid directions are ${Object.keys(this.federators).join(', ')}` });
+            }
+            try {
+                const result = await handler(federator, req);
+                this._audit(req, name, 'ok', result);
+                res.status(successStatus).json(result);
+            } catch (err) {
+                this._audit(req, name, 'failed', err.message);
+                res.status(err.status || 400).json({ error: err.message });
+            }
+        };
+    }
+
+    _audit(req, action, outcome, details = null) {
+        this.auditLogger.info(JSON.stringify({
+            at: new Date().toISOString(),
+            action,
+            outcome,
+            direction: req.params.direction,
+            transactionId: req.params.transactionId,
+            body: req.body,
+            details,
+            ip: req.ip,
+            userAgent: req.get('User-Agent')
+        }));
+    }
+}
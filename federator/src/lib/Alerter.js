@@ -0,0 +1,138 @@
+const os = require('os');
+const axios = require('axios');
+const Metrics = require('./Metrics');
+const utils = require('./utils');
+
+const DEFAULTS = {
+    cooldownMinutes: 60,
+    cooldowns: {},
+    timeoutSeconds: 10,
+};
+const SLACK_COLORS = { critical: '#d40000', warning: '#f2a900' };
+
+let shared = null;
+
+/**
+ * Posts the federator incidents as JSON to the webhooks in config.alerting.webhooks, in the Slack
+ * incoming webhook format or a generic one. Alerts are identified by their type and key, the same
+ * alert is only posted again once the cooldown of its type has passed, the repetitions in between
+ * are counted and reported with the next one.
+ */
+module.exports = class Alerter {
+    constructor(config, logger, now = () => Date.now()) {
+        const options = { ...DEFAULTS, ...config.alerting };
+        this.webhooks = (options.webhooks || []).map(webhook => typeof webhook === 'string' ? { url: webhook } : webhook);
+        for (const { url, format = 'generic' } of this.webhooks) {
+            if (!utils.checkHttpsOrLocalhost(url)) {
+                throw new Error(`Invalid alerting webhook ${utils.urlHost(url)}, https or localhost required`);
+            }
+            if (!['slack', 'generic'].includes(format)) {
+                throw new Error(`Unknown alerting webhook format ${format}, it must be slack or generic`);
+            }
+        }
+        this.logger = logger;
+        this.options = options;
+        this.source = options.name || os.hostname();
+        this.now = now;
+        // Last time each alert was posted and the repetitions suppressed since then
+        this.sent = new Map();
+    }
+
+    // Shares an alerter with the federators, heartbeat and transaction senders of the process
+    static configure(config, logger) {
+        shared = new Alerter(config, logger);
+        return shared;
+    }
+
+    // Alerts are dropped until configure is called, like in tests
+    static send(alert) {
+        return shared ? shared.send(alert) : Promise.resolve(false);
+    }
+
+    // Raised by the federators and the heartbeat, the ones checking the same Federation share the alert
+    static membershipLost(address, chainConfig) {
+        const chain = Metrics.chainName(chainConfig);
+        return {
+            type: 'membershipLost',
+            key: `${chain}:${address.toLowerCase()}`,
+            severity: 'critical',
+            title: `Federator ${address} is not a member of the ${chain} Federation`,
+            details: { chain, address, federation: chainConfig.federation }
+        };
+    }
+
+    isEnabled() {
+        return this.webhooks.length > 0;
+    }
+
+    _cooldown(type) {
+        const minutes = this.options.cooldowns[type] !== undefined ? this.options.cooldowns[type] : this.options.cooldownMinutes;
+        return minutes * 60 * 1000;
+    }
+
+    // alert is { type, key, severity: 'warning' | 'critical', title, details }. Never throws, resolves with whether it was posted
+    async send({ type, key = '', severity = 'warning', title, details = {} }) {
+        if (!this.isEnabled()) {
+            return false;
+        }
+        const id = `${type}:${key}`;
+        const now = this.now();
+        const previous = this.sent.get(id);
+        if (previous && now - previous.sentAt < this._cooldown(type)) {
+            previous.suppressed++;
+            Metrics.alerts.inc({ type, result: 'suppressed' });
+            this.logger.debug(`Alert ${id} suppressed, already sent at ${new Date(previous.sentAt).toISOString()}`);
+            return false;
+        }
+        // Set before posting so the same alert raised meanwhile by another subsystem is suppressed
+        this.sent.set(id, { sentAt: now, suppressed: 0 });
+
+        const alert = {
+            type,
+            key,
+            severity,
+            title,
+            details,
+            source: this.source,
+            repeated: previous ? previous.suppressed : 0,
+            timestamp: new Date(now).toISOString()
+        };
+        const results = await Promise.all(this.webhooks.map(webhook => this._post(webhook, alert)));
+        const posted = results.some(result => result);
+        if (!posted) {
+            // Not delivered anywhere, the next time it's raised it's posted again
+            this.sent.delete(id);
+        }
+        Metrics.alerts.inc({ type, result: posted ? 'sent' : 'failed' });
+        return posted;
+    }
+
+    async _post({ url, format = 'generic' }, alert) {
+        try {
+            await axios.post(url, format === 'slack' ? this._slackMessage(alert) : alert, {
+                timeout: this.options.timeoutSeconds * 1000
+            });
+            return true;
+        } catch (err) {
+            this.logger.warn(`Failed to post alert ${alert.type}:${alert.key} to ${utils.urlHost(url)}`, err.message);
+            return false;
+        }
+    }
+
+    _slackMessage({ severity, title, details, source, repeated, timestamp }) {
+        const fields = Object.entries(details).map(([name, value]) => ({
+            title: name,
+            value: typeof value === 'object' ? JSON.stringify(value) : String(value),
+            short: String(value).length < 40
+        }));
+        return {
+            text: `[${severity.toUpperCase()}] ${title}`,
+            attachments: [{
+                color: SLACK_COLORS[severity] || SLACK_COLORS.warning,
+                fields,
+                footer: repeated ? `${source}, repeated ${repeated} times since the last alert` : source,
+                ts: Math.floor(new Date(timestamp).getTime() / 1000)
+            }]
+        };
+    }
+}
@@ -0,0 +1,121 @@
+const Web3 = require('web3');
+const Metrics = require('./Metrics');
+const Alerter = require('./Alerter');
+
+const { toBN } = Web3.utils;
+
+const DEFAULTS = {
+    warningVotes: 100,
+    criticalVotes: 20,
+    warningHeartbeats: 72,
+    criticalHeartbeats: 24,
+    // Used until the federator sends its first transactions of each kind
+    defaultVoteGas: 300000,
+    defaultHeartbeatGas: 100000,
+};
+// Transactions of each kind whose gas used is averaged
+const RECENT_TRANSACTIONS = 20;
+const LEVELS = ['ok', 'warning', 'critical'];
+const KIND_OPTIONS = {
+    vote: { warning: 'warningVotes', critical: 'criticalVotes', defaultGas: 'defaultVoteGas' },
+    heartbeat: { warning: 'warningHeartbeats', critical: 'criticalHeartbeats', defaultGas: 'defaultHeartbeatGas' },
+};
+
+/**
+ * Checks the balance of the federator address on both chains and estimates how many votes and
+ * heartbeats it still covers, from the average gas used by the latest ones and the current gas price.
+ * It warns when a chain goes below the warning thresholds and alerts below the critical ones.
+ */
+module.exports = class BalanceMonitor {
+    // chains is a list of { chain, web3, transactionSender, spenders: [{ kind: 'vote' | 'heartbeat', storage }] }
+    constructor(config, logger, chains) {
+        this.options = { ...DEFAULTS, ...config.balanceMonitor };
+        this.privateKey = config.privateKey;
+        this.logger = logger;
+        this.chains = chains;
+        this.status = {};
+    }
+
+    // Keeps the gas used by the latest transactions of a kind, receipts of transactions never mined have none
+    static recordGasUsed(storage, kind, receipt) {
+        if (!receipt || !receipt.gasUsed) {
+            return;
+        }
+        const key = `recentGasUsed:${kind}`;
+        storage.set(key, [...storage.get(key, []), Number(receipt.gasUsed)].slice(-RECENT_TRANSACTIONS));
+    }
+
+    async run() {
+        for (const chain of this.chains) {
+            try {
+                this.status[chain.chain] = await this._check(chain);
+            } catch (err) {
+                this.logger.warn(`Failed to check the federator balance on ${chain.chain}`, err.message);
+                this.status[chain.chain] = { ...this.status[chain.chain], error: err.message, checkedAt: new Date().toISOString() };
+            }
+        }
+        return this.getStatus();
+    }
+
+    async _check({ chain, web3, transactionSender, spenders }) {
+        const address = await transactionSender.getAddress(this.privateKey);
+        const [balance, gasPrice] = await Promise.all([web3.eth.getBalance(address), web3.eth.getGasPrice()]);
+        Metrics.balance.set({ chain }, Number(balance));
+
+        const covers = {};
+        let level = 'ok';
+        for (const { kind, storage } of spenders) {
+            const estimate = this._estimate(kind, storage, balance, gasPrice);
+            covers[kind] = estimate;
+            if (estimate.remaining !== null) {
+                Metrics.fundsRemaining.set({ chain, kind }, estimate.remaining);
+            }
+            if (LEVELS.indexOf(estimate.level) > LEVELS.indexOf(level)) {
+                level = estimate.level;
+            }
+        }
+
+        const summary = Object.entries(covers).map(([kind, { remaining }]) => `${remaining === null ? 'unlimited' : remaining} ${kind}s`).join(' or ');
+        const message = `Federator ${address} balance on ${chain} is ${Web3.utils.fromWei(balance)}, enough for ${summary}`;
+        if (level === 'critical') {
+            this.logger.error(`ALERT low funds, ${message}`);
+        } else if (level === 'warning') {
+            this.logger.warn(`Low funds, ${message}`);
+        } else {
+            this.logger.debug(message);
+        }
+        if (level !== 'ok') {
+            // Checked every run, the Alerter cooldown keeps it to one alert per chain and level
+            Alerter.send({
+                type: 'lowBalance',
+                key: `${chain}:${level}`,
+                severity: level,
+                title: `Low funds, ${message}`,
+                details: { chain, address, balance: String(balance), gasPrice: String(gasPrice), covers }
+            });
+        }
+        return { address, balance: String(balance), gasPrice: String(gasPrice), level, covers, checkedAt: new Date().toISOString() };
+    }
+
+    _estimate(kind, storage, balance, gasPrice) {
+        const options = KIND_OPTIONS[kind];
+        const recent = storage.get(`recentGasUsed:${kind}`, []);
+        const averageGas = recent.length ?
+            Math.ceil(recent.reduce((total, gas) => total + gas, 0) / recent.length) :
+            this.options[options.defaultGas];
+        const cost = toBN(averageGas).mul(toBN(gasPrice));
+        // Chains without gas price, like a local node, never run out
+        const remaining = cost.isZero() ? null : Number(toBN(balance).div(cost).toString());
+        let level = 'ok';
+        if (remaining !== null && remaining < this.options[options.critical]) {
+            level = 'critical';
+        } else if (remaining !== null && remaining < this.options[options.warning]) {
+            level = 'warning';
+        }
+        return { averageGas, estimatedFromTransactions: recent.length, costWei: cost.toString(), remaining, level };
+    }
+
+    getStatus() {
+        return this.status;
+    }
+}
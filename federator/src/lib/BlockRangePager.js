@@ -0,0 +1,95 @@
+const DEFAULT_MIN_BLOCK_RANGE = 10;
+const DEFAULT_MAX_BLOCK_RANGE = 10000;
+const INITIAL_BLOCK_RANGE = 1000;
+// Consecutive successful pages before the range is doubled
+const SUCCESSES_TO_GROW = 3;
+// Errors nodes and providers return when a getPastEvents range is too big for them. Rate limits and
+// connection errors are not matched, they are retried or sent to the next node instead
+const RANGE_ERROR_PATTERNS = [
+    /query returned more than \d+ results/i,
+    /block range (is )?too (large|wide|big)/i,
+    /exceed(s|ed)? (the )?max(imum)? block range/i,
+    /log response size exceeded/i,
+    /ranges over \d+ blocks are not supported/i,
+    /limited to a [\d,]+ (block )?range/i,
+];
+// A page that times out is retried once with the same range, a node that is only slow for a moment
+// keeps the range, one that times out again can't answer that many blocks in time
+const TIMEOUT_ERROR_PATTERNS = [
+    /timed? ?out/i,
+];
+
+/**
+ * Splits a block range in pages for getPastEvents, halving the page size when the node rejects
+ * a range as too big or times out twice on it, and doubling it after consecutive successes, within
+ * config.minBlockRange and config.maxBlockRange of the chain.
+ */
+module.exports = class BlockRangePager {
+    constructor(logger, chainConfig = {}) {
+        this.logger = logger;
+        this.minBlockRange = parseInt(chainConfig.minBlockRange) || DEFAULT_MIN_BLOCK_RANGE;
+        this.maxBlockRange = Math.max(parseInt(chainConfig.maxBlockRange) || DEFAULT_MAX_BLOCK_RANGE, this.minBlockRange);
+        this.blockRange = Math.min(Math.max(INITIAL_BLOCK_RANGE, this.minBlockRange), this.maxBlockRange);
+        this.successes = 0;
+    }
+
+    /**
+     * Calls getPage(fromPageBlock, toPagedBlock) for consecutive pages from fromBlock to toBlock (both inclusive)
+     * and processPage(result, fromPageBlock, toPagedBlock) with each result.
+     * Errors thrown by processPage, or by getPage once the range can't shrink anymore, are rethrown.
+     */
+    async forEachPage(fromBlock, toBlock, getPage, processPage) {
+        let fromPageBlock = fromBlock;
+        let timedOut = false;
+        while (fromPageBlock <= toBlock) {
+            const toPagedBlock = Math.min(fromPageBlock + this.blockRange - 1, toBlock);
+            this.logger.debug(`Getting events from block ${fromPageBlock} to ${toPagedBlock}, blocks per page ${this.blockRange}`);
+            let result;
+            try {
+                result = await getPage(fromPageBlock, toPagedBlock);
+            } catch (err) {
+                const isTimeout = this.isTimeoutError(err);
+                if (!(this.isRangeError(err) || isTimeout) || this.blockRange <= this.minBlockRange) {
+                    throw err;
+                }
+                if (isTimeout && !timedOut) {
+                    timedOut = true;
+                    this.logger.warn(`Getting events from block ${fromPageBlock} to ${toPagedBlock} timed out, retrying`, err.message);
+                    continue;
+                }
+                timedOut = false;
+                this._shrink(err);
+                continue;
+            }
+            timedOut = false;
+            this._grow();
+            await processPage(result, fromPageBlock, toPagedBlock);
+            fromPageBlock = toPagedBlock + 1;
+        }
+    }
+
+    isRangeError(err) {
+        const message = (err && err.message) || '';
+        return RANGE_ERROR_PATTERNS.some(pattern => pattern.test(message));
+    }
+
+    isTimeoutError(err) {
+        const message = (err && err.message) || '';
+        return TIMEOUT_ERROR_PATTERNS.some(pattern => pattern.test(message));
+    }
+
+    _shrink(err) {
+        this.successes = 0;
+        this.blockRange = Math.max(Math.floor(this.blockRange / 2), this.minBlockRange);
+        this.logger.warn(`Node rejected the block range, reducing blocks per page to ${this.blockRange}`, err.message);
+    }
+
+    _grow() {
+        this.successes++;
+        if (this.successes >= SUCCESSES_TO_GROW && this.blockRange < this.maxBlockRange) {
+            this.successes = 0;
+            this.blockRange = Math.min(this.blockRange * 2, this.maxBlockRange);
+            this.logger.debug(`Increasing blocks per page to ${this.blockRange}`);
+        }
+    }
+}
@@ -0,0 +1,226 @@
+const axios = require('axios');
+const web3 = require('web3');
+const Federator = require('./Federator');
+const KeyLoader = require('./KeyLoader');
+const ConfigSchema = require('./ConfigSchema');
+const CustomError = require('./CustomError');
+const Metrics = require('./Metrics');
+const Storage = require('./Storage');
+const utils = require('./utils');
+
+const DIRECTIONS = ['main', 'side'];
+const OPTIONS = ['direction', 'from', 'url'];
+// Time the running federator has to answer before the storage is read directly
+const PROBE_TIMEOUT = 2000;
+const COMMANDS = {
+    'status': 'status',
+    'resync': 'resync',
+    'show-reverted': 'showReverted',
+    'show-manual': 'showManual',
+    'membership': 'membership',
+    'config-print': 'configPrint',
+};
+const USAGE = `Usage: federator <command> [options]
+
+Commands:
+  status [--direction main|side]               State of the federators
+  resync --from <block> --direction main|side  Scans again from a block, transfers already voted are skipped
+  show-reverted [--direction main|side]        Votes that reverted, they are not voted again
+  show-manual [--direction main|side]          Transactions never mined after all their replacements
+  membership                                   Members and required votes of both Federations, and our membership
+  config-print                                 The config in use, with the secrets redacted
+
+Options:
+  --url <url>  Endpoints of the running federator, by default http://localhost:<endpointsPort>`;
+
+/**
+ * Operations on a federator without reading the files under db/ or writing scripts.
+ * While the federator is running its state is read from its /status endpoint and it's changed through
+ * the admin endpoints, only one process can write the storage. Otherwise the storage is used directly,
+ * its lock refuses the writes while a federator that doesn't answer on its endpoints holds it.
+ */
+module.exports = class Cli {
+    // loaded is the result of ConfigLoader.load
+    constructor(loaded, logger, { Web3 = web3, print = console.log, printError = console.error } = {}) {
+        this.loaded = loaded;
+        this.config = loaded.config;
+        this.logger = logger;
+        this.Web3 = Web3;
+        this.print = print;
+        this.printError = printError;
+        this.federators = null;
+    }
+
+    // ['resync', '--from', '100', '--direction=main'] returns { command: 'resync', options: { from: '100', direction: 'main' } }
+    static parseArgs(argv) {
+        const [command, ...args] = argv;
+        const options = {};
+        for (let i = 0; i < args.length; i++) {
+            const [, name, inlineValue] = args[i].match(/^--([a-z]+)(?:=(.*))?$/) || [];
+            if (!OPTIONS.includes(name)) {
+                throw new Error(`Unknown option ${args[i]}`);
+            }
+            const value = inlineValue !== undefined ? inlineValue : args[++i];
+            if (value === undefined || value === '' || value.startsWith('--')) {
+                throw new Error(`Option --${name} needs a value`);
+            }
+            options[name] = value;
+        }
+        if (options.direction && !DIRECTIONS.includes(options.direction)) {
+            throw new Error(`Unknown direction ${options.direction}, valid directions are ${DIRECTIONS.join(', ')}`);
+        }
+        return { command, options };
+    }
+
+    // Prints the result of the command as JSON and resolves with the exit code
+    async run(argv) {
+        if (!argv.length || ['help', '--help'].includes(argv[0])) {
+            this.print(USAGE);
+            return argv.length ? 0 : 1;
+        }
+        try {
+            const { command, options } = Cli.parseArgs(argv);
+            if (!COMMANDS[command]) {
+                throw new Error(`Unknown command ${command}`);
+            }
+            const result = await this[COMMANDS[command]](options);
+            this.print(JSON.stringify(result, null, 4));
+            return 0;
+        } catch (err) {
+            this.printError(`Error: ${err.message}`);
+            if (/^Unknown (command|option)/.test(err.message)) {
+                this.printError(USAGE);
+            }
+            return 1;
+        } finally {
+            Storage.closeAll();
+        }
+    }
+
+    async status(options) {
+        const url = await this._runningUrl(options);
+        if (url) {
+            // The whole /status, with the balances and the subsystems, unless a direction is selected
+            const status = await this._remoteStatus(url);
+            return options.direction ? { [options.direction]: status[options.direction] } : status;
+        }
+        const federators = await this._getFederators(true);
+        const status = {};
+        for (const direction of this._directions(options)) {
+            status[direction] = await federators[direction].getStatus();
+        }
+        return status;
+    }
+
+    async resync({ from, direction, url }) {
+        const block = Number(from);
+        if (!direction || from === undefined || !Number.isInteger(block)) {
+            throw new Error('resync needs --from <block> and --direction main|side');
+        }
+        const running = await this._runningUrl({ url });
+        if (!running) {
+            const federators = await this._getFederators();
+            return federators[direction].rewind(block);
+        }
+        if (!this.config.adminToken) {
+            throw new Error(`The federator is running at ${running}, stop it or set adminToken to resync it through the admin endpoints`);
+        }
+        const response = await axios.post(`${running}/admin/${direction}/rewind`, { block }, {
+            headers: { Authorization: `Bearer ${this.config.adminToken}` },
+            validateStatus: () => true
+        });
+        if (response.status !== 200) {
+            throw new Error(`The federator refused to resync, ${response.data && response.data.error || `status ${response.status}`}`);
+        }
+        return response.data;
+    }
+
+    showReverted(options) {
+        return this._storedList(options, 'revertedTxns', federator => federator.getRevertedVotes());
+    }
+
+    showManual(options) {
+        return this._storedList(options, 'manuallyCheck', federator => federator.getManualChecks());
+    }
+
+    // The Federations are read from the chains, the storage is not used
+    async membership() {
+        const federator = (await this._getFederators(true)).main;
+        const address = await federator.transactionSender.getAddress(this.config.privateKey);
+        const federations = [
+            [this.config.mainchain, () => federator.federationFactory.getMainFederationContract()],
+            [this.config.sidechain, () => federator.federationFactory.getSideFederationContract()]
+        ];
+        const membership = {};
+        for (const [chainConfig, getFederation] of federations) {
+            const federation = await getFederation();
+            const [members, required, isMember] = await Promise.all([
+                utils.retry3Times(federation.getMembers().call),
+                utils.retry3Times(federation.getRequired().call),
+                utils.retry3Times(federation.isMember(address).call)
+            ]);
+            membership[Metrics.chainName(chainConfig)] = {
+                federation: federation.getAddress(),
+                version: federation.getVersion(),
+                members,
+                required: Number(required),
+                federator: address,
+                isMember
+            };
+        }
+        return membership;
+    }
+
+    configPrint() {
+        return { file: this.loaded.file, overrides: this.loaded.overrides, config: ConfigSchema.redact(this.config) };
+    }
+
+    async _storedList(options, field, read) {
+        const url = await this._runningUrl(options);
+        const status = url ? await this._remoteStatus(url) : null;
+        const federators = url ? null : await this._getFederators();
+        const list = {};
+        for (const direction of this._directions(options)) {
+            list[direction] = status ? status[direction][field] : read(federators[direction]);
+        }
+        return list;
+    }
+
+    // The endpoints of the running federator, or null when none answers
+    async _runningUrl({ url }) {
+        const baseUrl = (url || `http://localhost:${this.config.endpointsPort || 5000}`).replace(/\/+$/, '');
+        try {
+            // Any answer counts, /isAlive fails while the federator is running but unhealthy
+            await axios.get(`${baseUrl}/isAlive`, { timeout: PROBE_TIMEOUT, validateStatus: () => true });
+            return baseUrl;
+        } catch (err) {
+            if (url) {
+                throw new CustomError(`No federator answering at ${baseUrl}`, err);
+            }
+            return null;
+        }
+    }
+
+    async _remoteStatus(url) {
+        const { data } = await axios.get(`${url}/status`);
+        return data;
+    }
+
+    _directions({ direction }) {
+        return direction ? [direction] : DIRECTIONS;
+    }
+
+    // The side federator gets a copy of the config, the key has to be loaded before creating them
+    async _getFederators(withKey = false) {
+        if (!this.federators) {
+            if (withKey) {
+                this.config.privateKey = await KeyLoader.loadPrivateKey(this.config, this.logger);
+            }
+            this.federators = {
+                main: new Federator(this.config, this.logger, this.Web3),
+                side: new Federator(Federator.sideConfig(this.config), this.logger, this.Web3)
+            };
+        }
+        return this.federators;
+    }
+}
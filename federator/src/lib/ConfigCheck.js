@@ -0,0 +1,94 @@
+const web3 = require('web3');
+const abiBridge = require('../../../bridge/abi/Bridge_old.json');
+const ConfigSchema = require('./ConfigSchema');
+const ReceiptProofVerifier = require('./ReceiptProofVerifier');
+const utils = require('./utils');
+
+const DEFAULT_TIMEOUT_SECONDS = 10;
+// Versions the BridgeFactory knows how to use
+const BRIDGE_VERSIONS = ['v1', 'v2', 'v3'];
+
+/**
+ * Validates the config against the schema and then probes each node of both chains, they have to answer
+ * and agree on the chain id, and the bridge of each chain, it has to answer version().
+ * The settings that depend on the chain, like receiptProofs, are checked against the chain id the nodes answer.
+ */
+module.exports = class ConfigCheck {
+    constructor(config, Web3 = web3, timeoutSeconds = DEFAULT_TIMEOUT_SECONDS) {
+        this.config = config;
+        this.Web3 = Web3;
+        this.timeout = timeoutSeconds * 1000;
+    }
+
+    // Resolves with { ok, errors, warnings, chains }, the nodes are only probed when the config is valid
+    async run() {
+        const { errors, warnings } = ConfigSchema.validate(this.config);
+        if (errors.length) {
+            return { ok: false, errors, warnings, chains: {} };
+        }
+        const chains = {
+            mainchain: await this._checkChain(this.config.mainchain),
+            sidechain: await this._checkChain(this.config.sidechain)
+        };
+        for (const [name, chain] of Object.entries(chains)) {
+            errors.push(...this._checkChainSettings(name, this.config[name], chain));
+        }
+        const ok = !errors.length && Object.values(chains).every(chain => chain.nodes.every(node => node.ok) && chain.bridge.ok);
+        return { ok, errors, warnings, chains };
+    }
+
+    _checkChainSettings(name, chainConfig, chain) {
+        const reachable = chain.nodes.find(node => node.ok);
+        if (chainConfig.receiptProofs && reachable && !ReceiptProofVerifier.isSupported(reachable.chainId)) {
+            return [`${name}.receiptProofs is not supported on the RSK chain id ${reachable.chainId}, its block headers are not Ethereum ones`];
+        }
+        return [];
+    }
+
+    async _checkChain(chainConfig) {
+        const nodes = await Promise.all(utils.getHosts(chainConfig).map(host => this._checkNode(host)));
+        const chainIds = [...new Set(nodes.filter(node => node.ok).map(node => node.chainId))];
+        if (chainIds.length > 1) {
+            nodes.filter(node => node.ok).forEach(node => Object.assign(node, {
+                ok: false,
+                error: `Nodes of the chain answer different chain ids ${chainIds.join(', ')}`
+            }));
+        }
+        const reachable = nodes.find(node => node.ok);
+        const bridge = reachable ?
+            await this._checkBridge(reachable.web3, chainConfig.bridge) :
+            { address: chainConfig.bridge, ok: false, error: 'No node of the chain answered' };
+        return { nodes: nodes.map(({ web3, ...node }) => node), bridge };
+    }
+
+    async _checkNode(host) {
+        const name = utils.urlHost(host);
+        const web3 = new this.Web3(host);
+        try {
+            const [chainId, blockNumber, syncing] = await utils.withTimeout(Promise.all([
+                web3.eth.net.getId(),
+                web3.eth.getBlockNumber(),
+                web3.eth.isSyncing()
+            ]), this.timeout);
+            if (syncing !== false) {
+                return { host: name, ok: false, chainId, blockNumber, error: `Node is syncing ${JSON.stringify(syncing)}` };
+            }
+            return { host: name, ok: true, chainId, blockNumber, web3 };
+        } catch (err) {
+            return { host: name, ok: false, error: err.message };
+        }
+    }
+
+    async _checkBridge(web3, address) {
+        try {
+            const bridge = new web3.eth.Contract(abiBridge, address);
+            const version = await utils.withTimeout(bridge.methods.version().call(), this.timeout);
+            if (!BRIDGE_VERSIONS.includes(version)) {
+                return { address, ok: false, version, error: `Unknown Bridge contract version ${version}` };
+            }
+            return { address, ok: true, version };
+        } catch (err) {
+            return { address, ok: false, error: `version() failed, ${err.message}` };
+        }
+    }
+}
@@ -0,0 +1,128 @@
+const fs = require('fs');
+const path = require('path');
+const ConfigSchema = require('./ConfigSchema');
+
+const CONFIG_DIR = path.join(__dirname, '../../config');
+const PREFIX = 'FEDERATOR_';
+// Used when neither the config file nor the environment set them
+const DEFAULTS = {
+    runEvery: 2,
+    runHeartbeatEvery: 1,
+    storagePath: './db',
+    endpointsPort: 5000,
+};
+// Variables of the federator that are not settings
+const RESERVED_VARIABLES = ['FEDERATOR_CONFIG_FILE', 'FEDERATOR_MAINCHAIN_NETWORK', 'FEDERATOR_SIDECHAIN_NETWORK', 'FEDERATOR_KEYSTORE_PASSWORD'];
+
+let loaded = null;
+
+// gasPriceCeilingGwei => GAS_PRICE_CEILING_GWEI
+function toVariablePart(name) {
+    return name.replace(/([a-z0-9])([A-Z])/g, '$1_$2').toUpperCase();
+}
+
+function parseNumber(value) {
+    return value.trim() !== '' && !isNaN(Number(value)) ? Number(value) : value;
+}
+
+function parseJson(value) {
+    try {
+        return JSON.parse(value);
+    } catch (err) {
+        return value;
+    }
+}
+
+// Values that can't be parsed are kept as strings, the schema validation reports them with the expected type
+const PARSERS = {
+    number: parseNumber,
+    integer: parseNumber,
+    boolean: value => ['true', 'false'].includes(value.trim().toLowerCase()) ? value.trim().toLowerCase() === 'true' : value,
+    hosts: value => value.includes(',') ? value.split(',').map(host => host.trim()) : value.trim(),
+    array: value => value.trim().startsWith('[') ? parseJson(value) : value.split(',').map(item => item.trim()).filter(item => item.length),
+    object: parseJson,
+};
+
+function setPath(target, [name, ...rest], value) {
+    if (!rest.length) {
+        target[name] = value;
+        return;
+    }
+    if (typeof target[name] !== 'object' || target[name] === null) {
+        target[name] = {};
+    }
+    setPath(target[name], rest, value);
+}
+
+function readNetwork(network, chain) {
+    const file = network.endsWith('.json') ? path.resolve(network) : path.join(CONFIG_DIR, `${network}.json`);
+    if (!fs.existsSync(file)) {
+        throw new Error(`Network file ${file} of ${chain} not found`);
+    }
+    return JSON.parse(fs.readFileSync(file, 'utf8'));
+}
+
+/**
+ * Builds the config from, in order of precedence:
+ * 1. FEDERATOR_<SETTING> environment variables, FEDERATOR_RUN_EVERY for runEvery or FEDERATOR_MAINCHAIN__HOST for mainchain.host
+ * 2. FEDERATOR_MAINCHAIN_NETWORK and FEDERATOR_SIDECHAIN_NETWORK, network .json files used as mainchain and sidechain
+ * 3. The config file, FEDERATOR_CONFIG_FILE or config/config.js, it's optional
+ * 4. The defaults of runEvery, runHeartbeatEvery, storagePath and endpointsPort
+ */
+module.exports = class ConfigLoader {
+    // Names of the environment variables of every setting in the schema, with the path of the setting
+    static variables() {
+        return ConfigSchema.settings().map(({ path: settingPath, rule }) => ({
+            name: PREFIX + settingPath.map(toVariablePart).join('__'),
+            path: settingPath,
+            rule
+        }));
+    }
+
+    // Returns { config, file, overrides, warnings }, overrides are the names of the variables applied
+    static load(env = process.env, configFile = env.FEDERATOR_CONFIG_FILE || path.join(CONFIG_DIR, 'config.js')) {
+        const warnings = [];
+        const overrides = [];
+        const fileExists = fs.existsSync(configFile);
+        if (env.FEDERATOR_CONFIG_FILE && !fileExists) {
+            throw new Error(`Config file ${configFile} not found`);
+        }
+        // A copy, the network .json files are shared through the require cache
+        const config = JSON.parse(JSON.stringify({ ...DEFAULTS, ...(fileExists ? require(path.resolve(configFile)) : {}) }));
+
+        for (const chain of ['mainchain', 'sidechain']) {
+            const network = env[`${PREFIX}${chain.toUpperCase()}_NETWORK`];
+            if (network) {
+                config[chain] = readNetwork(network, chain);
+                overrides.push(`${PREFIX}${chain.toUpperCase()}_NETWORK`);
+            }
+        }
+
+        const variables = ConfigLoader.variables();
+        for (const { name, path: settingPath, rule } of variables) {
+            if (env[name] === undefined) {
+                continue;
+            }
+            const parse = PARSERS[rule.type] || (value => value);
+            setPath(config, settingPath, parse(env[name]));
+            overrides.push(name);
+            // Secrets are removed from the environment once read, like the keystore password, so child processes don't inherit them
+            if (rule.secret) {
+                delete env[name];
+            }
+        }
+        const known = new Set([...variables.map(({ name }) => name), ...RESERVED_VARIABLES]);
+        for (const name of Object.keys(env).filter(name => name.startsWith(PREFIX) && !known.has(name))) {
+            warnings.push(`Environment variable ${name} is not a known setting, it's ignored`);
+        }
+        return { config, file: fileExists ? configFile : null, overrides, warnings };
+    }
+
+    // The config of the process, loaded once from process.env
+    static get() {
+        if (!loaded) {
+            loaded = ConfigLoader.load();
+        }
+        return loaded;
+    }
+}
@@ -0,0 +1,289 @@
+const Web3 = require('web3');
+const utils = require('./utils');
+
+const positive = { type: 'number', min: 0, exclusiveMin: true };
+const positiveInteger = { type: 'integer', min: 1 };
+const blockNumber = { type: 'integer', min: 0 };
+const url = { type: 'url' };
+const seconds = positive;
+
+// Settings of config.mainchain and config.sidechain, the network .json files
+const CHAIN = {
+    type: 'object',
+    fields: {
+        name: { type: 'string', minLength: 1 },
+        bridge: { type: 'address', required: true },
+        federation: { type: 'address' },
+        multiSig: { type: 'address' },
+        allowTokens: { type: 'address' },
+        testToken: { type: 'address' },
+        host: { type: 'hosts', required: true },
+        fromBlock: { ...blockNumber, required: true },
+        transactionType: { type: 'enum', values: ['legacy', 'eip1559'] },
+        gasPriceStrategy: {
+            type: 'object',
+            fields: {
+                type: { type: 'enum', values: ['node', 'feeHistory', 'fixed', 'etherscan', 'oracle'], required: true },
+                multiplier: positive,
+                blocks: positiveInteger,
+                percentile: { type: 'number', min: 0, max: 100 },
+                gasPriceGwei: positive,
+                maxFeePerGasGwei: positive,
+                maxPriorityFeePerGasGwei: positive,
+                useEtherscanApi: { type: 'boolean' },
+                fastGasPriceMarginPercent: { type: 'number', min: 0 },
+                minNodeGasPriceGwei: { type: 'number', min: 0 },
+                maxOracleMultiple: positive,
+                proposeGasPriceExtraGwei: { type: 'number', min: 0 },
+                url,
+                gasPricePath: { type: 'string', minLength: 1 },
+                maxFeePerGasPath: { type: 'string', minLength: 1 },
+                maxPriorityFeePerGasPath: { type: 'string', minLength: 1 },
+                unit: { type: 'enum', values: ['gwei', 'wei'] },
+                timeoutSeconds: seconds,
+            },
+            check: ({ type, gasPriceGwei, maxFeePerGasGwei, url, gasPricePath, maxFeePerGasPath, maxPriorityFeePerGasPath }) => {
+                if (type === 'fixed' && !gasPriceGwei && !maxFeePerGasGwei) {
+                    return 'fixed requires gasPriceGwei or maxFeePerGasGwei';
+                }
+                if (type === 'oracle' && !url) {
+                    return 'oracle requires url';
+                }
+                if (type === 'oracle' && !gasPricePath && !(maxFeePerGasPath && maxPriorityFeePerGasPath)) {
+                    return 'oracle requires gasPricePath or maxFeePerGasPath and maxPriorityFeePerGasPath';
+                }
+                return null;
+            },
+        },
+        gasPriceCeilingGwei: positive,
+        minBlockRange: positiveInteger,
+        maxBlockRange: positiveInteger,
+        healthCheckSeconds: seconds,
+        maxBlockLag: blockNumber,
+        rpcTimeoutSeconds: seconds,
+        receiptProofs: { type: 'boolean' },
+        quorum: {
+            type: 'object',
+            fields: {
+                providers: { type: 'array', items: url, minLength: 1, required: true },
+                required: positiveInteger,
+                timeoutSeconds: seconds,
+            },
+            check: ({ providers = [], required }) => required > providers.length ?
+                `requires ${required} of only ${providers.length} providers` : null,
+        },
+    },
+    check: ({ minBlockRange, maxBlockRange }) => minBlockRange > maxBlockRange ?
+        `minBlockRange ${minBlockRange} is greater than maxBlockRange ${maxBlockRange}` : null,
+};
+
+// Settings marked as secret are never printed, URLs are printed without their path, query and credentials, which can hold API keys
+const SCHEMA = {
+    type: 'object',
+    fields: {
+        mainchain: { ...CHAIN, required: true },
+        sidechain: { ...CHAIN, required: true },
+        runEvery: { ...positive, required: true },
+        runHeartbeatEvery: { ...positive, required: true },
+        confirmations: blockNumber,
+        privateKey: { type: 'string', secret: true },
+        keyFile: { type: 'string', minLength: 1 },
+        keystorePasswordFile: { type: 'string', minLength: 1 },
+        keystorePasswordEnv: { type: 'string', minLength: 1 },
+        signer: {
+            type: 'object',
+            fields: {
+                type: { type: 'enum', values: ['local', 'remote'], required: true },
+                url,
+                address: { type: 'address' },
+                headers: { type: 'object', allowUnknown: true, secret: true },
+                timeout: positiveInteger,
+                privateKey: { type: 'string', secret: true },
+            },
+            check: ({ type, url }) => type === 'remote' && !url ? 'url is required by the remote signer' : null,
+        },
+        storagePath: { type: 'string', minLength: 1, required: true },
+        etherscanApiKey: { type: 'string', minLength: 1, required: true, secret: true },
+        endpointsPort: { type: 'integer', min: 1, max: 65535 },
+        adminToken: { type: 'string', minLength: 16, secret: true },
+        maxMinutesSinceLastRun: positive,
+        stuckTransactionMinutes: positive,
+        maxTransactionReplacements: blockNumber,
+        shutdownTimeoutSeconds: seconds,
+        supervisor: {
+            type: 'object',
+            fields: {
+                initialBackoffSeconds: seconds,
+                maxBackoffSeconds: seconds,
+                failureThreshold: positiveInteger,
+                openCircuitSeconds: seconds,
+            },
+        },
+        balanceMonitor: {
+            type: 'object',
+            fields: {
+                warningVotes: blockNumber,
+                criticalVotes: blockNumber,
+                warningHeartbeats: blockNumber,
+                criticalHeartbeats: blockNumber,
+                defaultVoteGas: positiveInteger,
+                defaultHeartbeatGas: positiveInteger,
+            },
+        },
+        alerting: {
+            type: 'object',
+            fields: {
+                name: { type: 'string', minLength: 1 },
+                webhooks: { type: 'array', items: { type: 'webhook' } },
+                cooldownMinutes: { type: 'number', min: 0 },
+                cooldowns: { type: 'object', allowUnknown: true },
+                timeoutSeconds: seconds,
+                maxLagBlocks: positiveInteger,
+                maxSyncingMinutes: positive,
+                maxFailedRuns: positiveInteger,
+            },
+        },
+    },
+};
+
+const REDACTED = '<redacted>';
+
+function redactUrl(value) {
+    try {
+        const url = new URL(value);
+        return url.username || url.password || url.pathname !== '/' || url.search ? `${url.origin}/${REDACTED}` : value;
+    } catch (err) {
+        return REDACTED;
+    }
+}
+
+function redactValue(rule, value) {
+    if (rule.secret) {
+        return typeof value === 'object' ? Object.fromEntries(Object.keys(value).map(name => [name, REDACTED])) : REDACTED;
+    }
+    if (rule.type === 'url') return redactUrl(value);
+    if (rule.type === 'webhook') return typeof value === 'string' ? redactUrl(value) : { ...value, url: redactUrl(value.url) };
+    if ((rule.type === 'hosts' || rule.type === 'array') && Array.isArray(value)) {
+        return value.map(item => redactValue(rule.type === 'hosts' ? url : rule.items || {}, item));
+    }
+    return rule.type === 'hosts' ? redactUrl(value) : value;
+}
+
+function describe(value) {
+    return JSON.stringify(value) === undefined ? String(value) : JSON.stringify(value);
+}
+
+// Each type returns the message of the value being invalid, or null
+const TYPES = {
+    string: (value, rule) => {
+        if (typeof value !== 'string') return 'must be a string';
+        if (rule.minLength && value.length < rule.minLength) {
+            return rule.minLength === 1 ? 'must not be empty' : `must have at least ${rule.minLength} characters`;
+        }
+        return null;
+    },
+    number: (value, rule) => {
+        if (typeof value !== 'number' || !Number.isFinite(value)) return 'must be a number';
+        if (rule.min !== undefined && (value < rule.min || (rule.exclusiveMin && value === rule.min))) {
+            return rule.exclusiveMin ? `must be greater than ${rule.min}` : `must be at least ${rule.min}`;
+        }
+        if (rule.max !== undefined && value > rule.max) return `must be at most ${rule.max}`;
+        return null;
+    },
+    integer: (value, rule) => Number.isInteger(value) ? TYPES.number(value, rule) : 'must be an integer',
+    boolean: value => typeof value === 'boolean' ? null : 'must be true or false',
+    enum: (value, rule) => rule.values.includes(value) ? null : `must be one of ${rule.values.join(', ')}`,
+    address: value => {
+        if (typeof value !== 'string' || !/^0x[0-9a-fA-F]{40}$/.test(value)) return 'must be an address, 0x followed by 40 hex characters';
+        // Mixed case addresses must have a valid checksum
+        return Web3.utils.isAddress(value) ? null : 'has an invalid checksum, use the checksummed or the lowercase address';
+    },
+    url: value => typeof value === 'string' && utils.checkHttpsOrLocalhost(value) ? null : 'must be an https or localhost URL',
+    webhook: value => {
+        const { url, format = 'generic' } = typeof value === 'string' ? { url: value } : value || {};
+        if (!['slack', 'generic'].includes(format)) return 'format must be one of slack, generic';
+        return TYPES.url(url);
+    },
+};
+
+function validateValue(rule, value, path, result) {
+    if (value === undefined || value === null) {
+        if (rule.required) result.errors.push(`${path} is required`);
+        return;
+    }
+    if (rule.type === 'object') {
+        return validateObject(rule, value, path, result);
+    }
+    if (rule.type === 'array' || rule.type === 'hosts') {
+        // host can be a single URL or an ordered list of them
+        const items = rule.type === 'hosts' && typeof value === 'string' ? [value] : value;
+        if (!Array.isArray(items)) {
+            result.errors.push(`${path} must be ${rule.type === 'hosts' ? 'a URL or a list of URLs' : 'a list'}, got ${describe(value)}`);
+            return;
+        }
+        if (items.length < (rule.type === 'hosts' ? 1 : rule.minLength || 0)) {
+            result.errors.push(`${path} must not be empty`);
+        }
+        const itemRule = rule.type === 'hosts' ? url : rule.items;
+        items.forEach((item, i) => validateValue(itemRule, item, Array.isArray(value) ? `${path}[${i}]` : path, result));
+        return;
+    }
+    const message = TYPES[rule.type](value, rule);
+    if (message) {
+        result.errors.push(`${path} ${message}, got ${describe(value)}`);
+    }
+}
+
+function validateObject(rule, value, path, result) {
+    if (typeof value !== 'object' || Array.isArray(value)) {
+        result.errors.push(`${path} must be an object, got ${describe(value)}`);
+        return;
+    }
+    const prefix = path ? `${path}.` : '';
+    for (const [name, fieldRule] of Object.entries(rule.fields || {})) {
+        validateValue(fieldRule, value[name], `${prefix}${name}`, result);
+    }
+    if (!rule.allowUnknown) {
+        for (const name of Object.keys(value).filter(name => !(name in rule.fields))) {
+            result.warnings.push(`${prefix}${name} is not a known setting, it's ignored`);
+        }
+    }
+    const message = rule.check && rule.check(value);
+    if (message) {
+        result.errors.push(`${path || 'config'} ${message}`);
+    }
+}
+
+/**
+ * Declarative schema of config.js and the network .json files it includes as mainchain and sidechain.
+ * Unknown settings are only warnings so older config files keep working.
+ */
+module.exports = class ConfigSchema {
+    // Returns the errors and warnings found as messages starting with the path of the setting, like mainchain.host[1]
+    static validate(config) {
+        const result = { errors: [], warnings: [] };
+        validateValue({ ...SCHEMA, required: true }, config, '', result);
+        return result;
+    }
+
+    // Every setting that holds a value, as { path: ['mainchain', 'host'], rule }. Objects of free keys, like headers, are one setting
+    static settings(rule = SCHEMA, path = []) {
+        if (rule.type !== 'object' || rule.allowUnknown) {
+            return [{ path, rule }];
+        }
+        return Object.entries(rule.fields).flatMap(([name, fieldRule]) => ConfigSchema.settings(fieldRule, [...path, name]));
+    }
+
+    // A copy of the config that can be shown, without the secret settings and the private parts of the URLs
+    static redact(config) {
+        const copy = JSON.parse(JSON.stringify(config));
+        for (const { path, rule } of ConfigSchema.settings()) {
+            const parent = path.slice(0, -1).reduce((value, name) => value && typeof value === 'object' ? value[name] : undefined, copy);
+            const name = path[path.length - 1];
+            if (parent && typeof parent === 'object' && parent[name] !== undefined && parent[name] !== null) {
+                parent[name] = redactValue(rule, parent[name]);
+            }
+        }
+        return copy;
+    }
+}
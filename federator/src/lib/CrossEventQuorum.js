@@ -0,0 +1,67 @@
+const web3 = require('web3');
+const Metrics = require('./Metrics');
+const utils = require('./utils');
+
+const DEFAULT_TIMEOUT_SECONDS = 30;
+
+/**
+ * Reads each Cross log found by the node of the chain again from the independent providers in
+ * config.quorum.providers. A log can only be voted when at least config.quorum.required of them
+ * return exactly the same log. Providers that return a different log, or don't have it at a height
+ * that includes its block, disagree; the ones that can't be reached or are behind are unavailable.
+ */
+module.exports = class CrossEventQuorum {
+    constructor(logger, chainConfig, Web3 = web3) {
+        const { providers = [], required, timeoutSeconds } = chainConfig.quorum || {};
+        this.logger = logger;
+        this.required = parseInt(required) || Math.floor(providers.length / 2) + 1;
+        if (!providers.length || this.required > providers.length) {
+            throw new Error(`Quorum of ${Metrics.chainName(chainConfig)} requires ${this.required} of ${providers.length} providers`);
+        }
+        this.timeout = (parseInt(timeoutSeconds) || DEFAULT_TIMEOUT_SECONDS) * 1000;
+        const chain = Metrics.chainName(chainConfig);
+        this.providers = providers.map(url => ({
+            name: utils.urlHost(url),
+            web3: Metrics.instrumentWeb3(new Web3(url), chain)
+        }));
+    }
+
+    static isEnabled(chainConfig) {
+        return Boolean(chainConfig.quorum && chainConfig.quorum.providers && chainConfig.quorum.providers.length);
+    }
+
+    async verify(log, abi, bridgeAddress) {
+        const expected = utils.normalizeCrossLog(log);
+        const results = await Promise.all(this.providers.map(provider => this._check(provider, log, expected, abi, bridgeAddress)));
+        const agreeing = results.filter(result => result.agrees).map(result => result.provider);
+        return {
+            verified: agreeing.length >= this.required,
+            required: this.required,
+            total: this.providers.length,
+            agreeing,
+            disagreeing: results.filter(result => result.differences).map(({ provider, differences }) => ({ provider, differences })),
+            unavailable: results.filter(result => result.error).map(({ provider, error }) => ({ provider, error }))
+        };
+    }
+
+    async _check({ name, web3 }, log, expected, abi, bridgeAddress) {
+        try {
+            const [blockNumber, events] = await utils.withTimeout(Promise.all([
+                web3.eth.getBlockNumber(),
+                new web3.eth.Contract(abi, bridgeAddress).getPastEvents('Cross', { fromBlock: log.blockNumber, toBlock: log.blockNumber })
+            ]), this.timeout);
+            const event = events.find(event => String(event.transactionHash).toLowerCase() === expected.transactionHash &&
+                Number(event.logIndex) === expected.logIndex);
+            if (!event) {
+                if (blockNumber < log.blockNumber) {
+                    return { provider: name, error: `Provider is at block ${blockNumber}` };
+                }
+                return { provider: name, differences: ['missing'] };
+            }
+            const fields = utils.crossLogDifferences(expected, utils.normalizeCrossLog(event));
+            return fields.length ? { provider: name, differences: fields } : { provider: name, agrees: true };
+        } catch (err) {
+            return { provider: name, error: err.message };
+        }
+    }
+}
@@ -0,0 +1,68 @@
+const utils = require('./utils');
+
+/**
+ * Checks a Cross log returned by eth_getLogs against the transaction receipt and the block of the chain:
+ * the transaction succeeded, the log at logIndex was emitted by the bridge with the Cross topic and
+ * the same values, and the block hash is still the canonical one at blockNumber.
+ */
+module.exports = class CrossLogVerifier {
+    constructor(web3) {
+        this.web3 = web3;
+    }
+
+    // Returns the mismatches found, the log can be voted when there are none
+    async verify(log, abi, bridgeAddress) {
+        const [receipt, block] = await Promise.all([
+            utils.retry3Times(() => this.web3.eth.getTransactionReceipt(log.transactionHash)),
+            utils.retry3Times(() => this.web3.eth.getBlock(log.blockNumber))
+        ]);
+
+        const mismatches = [];
+        if (!block) {
+            mismatches.push(`block ${log.blockNumber} not found`);
+        } else if (block.hash.toLowerCase() !== String(log.blockHash).toLowerCase()) {
+            mismatches.push(`block ${log.blockNumber} canonical hash is ${block.hash}`);
+        }
+        if (!receipt) {
+            mismatches.push('receipt not found');
+            return mismatches;
+        }
+        return mismatches.concat(this.checkReceipt(receipt, log, abi, bridgeAddress));
+    }
+
+    // Receipts can come formatted by web3 or as returned by the node
+    checkReceipt(receipt, log, abi, bridgeAddress) {
+        const crossEvent = abi.find(item => item.type === 'event' && item.name === 'Cross');
+        const crossTopic = this.web3.eth.abi.encodeEventSignature(crossEvent).toLowerCase();
+        const mismatches = [];
+        if (Number(receipt.status) !== 1) {
+            mismatches.push('transaction reverted');
+        }
+        if (receipt.blockHash.toLowerCase() !== String(log.blockHash).toLowerCase() || Number(receipt.blockNumber) !== Number(log.blockNumber)) {
+            mismatches.push(`receipt is in block ${Number(receipt.blockNumber)} ${receipt.blockHash}`);
+        }
+
+        const receiptLog = receipt.logs.find(({ logIndex }) => Number(logIndex) === Number(log.logIndex));
+        if (!receiptLog) {
+            mismatches.push(`receipt has no log ${log.logIndex}`);
+            return mismatches;
+        }
+        if (receiptLog.address.toLowerCase() !== bridgeAddress.toLowerCase()) {
+            mismatches.push(`log emitted by ${receiptLog.address}`);
+        }
+        if (!receiptLog.topics.length || receiptLog.topics[0].toLowerCase() !== crossTopic) {
+            mismatches.push('log is not a Cross event');
+            return mismatches;
+        }
+
+        const returnValues = this.web3.eth.abi.decodeLog(crossEvent.inputs, receiptLog.data, receiptLog.topics.slice(1));
+        const differences = utils.crossLogDifferences(
+            utils.normalizeCrossLog(log),
+            utils.normalizeCrossLog({ ...log, returnValues })
+        );
+        if (differences.length) {
+            mismatches.push(`receipt log differs in ${differences.join(', ')}`);
+        }
+        return mismatches;
+    }
+}
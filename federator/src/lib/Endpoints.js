@@ -1,42 +1,103 @@
 const express = require('express');
-const config = require('../../config/config.js');
+const ConfigLoader = require('./ConfigLoader');
+const Metrics = require('./Metrics');
 
 module.exports = function() {
   let app;
+  let server;
   let router;
   let logger;
-  const port = config.endpointsPort || 5000;
+  const port = ConfigLoader.get().config.endpointsPort || 5000;
 
   function logCall(req, res, next) {
     logger.info(req.originalUrl);
     next();
   }
 
-  function init(_logger) {
+  function sendHealth(res, { healthy, checks }) {
+    res.status(healthy ? 200 : 503).json({
+      status: healthy ? 'ok' : 'error',
+      checks
+    });
+  }
+
+  function init(_logger, { healthCheck, federators = {}, supervisor, balanceMonitor, adminApi } = {}) {
     app = express();
     router = express.Router();
     logger = _logger;
 
     router.use(logCall);
+    // Liveness, fails when the scheduler stopped running
     router.get('/isAlive', async (req, res) => {
       try {
-        res.status(200).json({
-          status: 'ok'
-        });
+        sendHealth(res, healthCheck ? healthCheck.checkLiveness() : { healthy: true });
+      } catch(err) {
+        logger.error('isAlive/ endpoint failed', err);
+        res.status(500).end();
+      }
+    });
+
+    // Readiness, also fails when a node is syncing or unreachable or the federator is not a Federation member
+    router.get('/isReady', async (req, res) => {
+      try {
+        sendHealth(res, healthCheck ? await healthCheck.checkReadiness() : { healthy: true });
+      } catch(err) {
+        logger.error('isReady/ endpoint failed', err);
+        res.status(500).end();
+      }
+    });
+
+    router.get('/metrics', async (req, res) => {
+      try {
+        res.set('Content-Type', Metrics.register.contentType);
+        res.end(await Metrics.register.metrics());
       } catch(err) {
-        logger.error('isAlive/ endpoint failed')
+        logger.error('metrics/ endpoint failed', err);
+        res.status(500).end();
       }
     });
 
+    router.get('/status', async (req, res) => {
+      try {
+        const status = {};
+        for (const name in federators) {
+          status[name] = await federators[name].getStatus();
+        }
+        if (balanceMonitor) {
+          status.balances = balanceMonitor.getStatus();
+        }
+        if (supervisor) {
+          status.supervisor = supervisor.getState();
+        }
+        res.status(200).json(status);
+      } catch(err) {
+        logger.error('status/ endpoint failed', err);
+        res.status(500).end();
+      }
+    });
+
+    if (adminApi) {
+      app.use('/admin', adminApi.router());
+    }
     app.use('/', router);
 
-    app.listen(port, () => {
+    server = app.listen(port, () => {
       logger.info(`listening on http://localhost:${port}/`);
     })
   }
 
+  function close() {
+    return new Promise((resolve, reject) => {
+      if (!server) {
+        return resolve();
+      }
+      server.close(err => err ? reject(err) : resolve());
+    });
+  }
+
   return {
-    init
+    init,
+    close
   }
 
 }();
\ No newline at end of file
@@ -0,0 +1,180 @@
+const Web3 = require('web3');
+const Metrics = require('./Metrics');
+const utils = require('./utils');
+
+const DEFAULT_HEALTH_CHECK_SECONDS = 30;
+const DEFAULT_MAX_BLOCK_LAG = 10;
+// Nodes slower than this to answer eth_blockNumber are unhealthy
+const HEALTH_CHECK_TIMEOUT = 10000;
+
+// One provider per list of endpoints, shared by the federators, the heartbeat and the contract factories
+const providers = new Map();
+
+/**
+ * web3 provider for the ordered list of endpoints in config.host of a chain.
+ * Requests go to the first healthy endpoint and move to the next one when it fails to answer.
+ * Every healthCheckSeconds the block height of all the endpoints is read, the ones lagging more
+ * than maxBlockLag blocks behind the highest are unhealthy and the first healthy one in the list
+ * is used again, so the federator goes back to the primary once it recovers.
+ */
+module.exports = class FailoverProvider {
+    constructor(logger, chainConfig, now = () => Date.now()) {
+        this.logger = logger;
+        this.chain = Metrics.chainName(chainConfig);
+        this.healthCheckInterval = (parseInt(chainConfig.healthCheckSeconds) || DEFAULT_HEALTH_CHECK_SECONDS) * 1000;
+        this.maxBlockLag = chainConfig.maxBlockLag === undefined ? DEFAULT_MAX_BLOCK_LAG : parseInt(chainConfig.maxBlockLag);
+        this.now = now;
+        const options = chainConfig.rpcTimeoutSeconds ? { timeout: chainConfig.rpcTimeoutSeconds * 1000 } : {};
+        this.endpoints = utils.getHosts(chainConfig).map(url => ({
+            name: utils.urlHost(url),
+            provider: new Web3.providers.HttpProvider(url, options),
+            healthy: true,
+            blockNumber: null,
+            lastError: null,
+            checkedAt: null
+        }));
+        if (!this.endpoints.length) {
+            throw new Error(`No host configured for ${this.chain}`);
+        }
+        this.active = this.endpoints[0];
+        this.lastHealthCheck = 0;
+        this.healthCheckInProgress = null;
+    }
+
+    static forChain(logger, chainConfig) {
+        const key = utils.getHosts(chainConfig).join(',');
+        let provider = providers.get(key);
+        if (!provider) {
+            provider = new FailoverProvider(logger, chainConfig);
+            providers.set(key, provider);
+        }
+        return provider;
+    }
+
+    // web3 instance using the shared provider of the chain, Web3 can be replaced for tests
+    static createWeb3(Web3Class, logger, chainConfig) {
+        const chain = Metrics.chainName(chainConfig);
+        return Metrics.instrumentWeb3(new Web3Class(FailoverProvider.forChain(logger, chainConfig)), chain);
+    }
+
+    send(payload, callback) {
+        if (this.now() - this.lastHealthCheck >= this.healthCheckInterval) {
+            this.checkHealth().catch(err => this.logger.error(`${this.chain} RPC health check failed`, err));
+        }
+        this._send(payload, callback, this._candidates(), null);
+    }
+
+    _send(payload, callback, candidates, lastError) {
+        const endpoint = candidates.shift();
+        if (!endpoint) {
+            return callback(lastError);
+        }
+        endpoint.provider.send(payload, (err, result) => {
+            // JSON-RPC errors, like a reverted call, are answers of a working node
+            if (!err) {
+                return callback(null, result);
+            }
+            this._markUnhealthy(endpoint, err.message);
+            if (candidates.length) {
+                this.logger.warn(`${this.chain} RPC ${endpoint.name} failed, retrying on ${candidates[0].name}`, err.message);
+            }
+            this._send(payload, callback, candidates, err);
+        });
+    }
+
+    // Healthy endpoints in their configured order, then the unhealthy ones as a last resort
+    _candidates() {
+        return [
+            ...this.endpoints.filter(endpoint => endpoint.healthy),
+            ...this.endpoints.filter(endpoint => !endpoint.healthy)
+        ];
+    }
+
+    _markUnhealthy(endpoint, error) {
+        endpoint.healthy = false;
+        endpoint.lastError = error;
+        this._selectActive();
+    }
+
+    _selectActive() {
+        const active = this.endpoints.find(endpoint => endpoint.healthy) || this.endpoints[0];
+        if (active !== this.active) {
+            this.logger.warn(`${this.chain} RPC switched from ${this.active.name} to ${active.name}`);
+            this.active = active;
+        }
+    }
+
+    checkHealth() {
+        if (!this.healthCheckInProgress) {
+            this.lastHealthCheck = this.now();
+            this.healthCheckInProgress = this._checkHealth().finally(() => {
+                this.healthCheckInProgress = null;
+            });
+        }
+        return this.healthCheckInProgress;
+    }
+
+    async _checkHealth() {
+        await Promise.all(this.endpoints.map(endpoint => this._checkEndpoint(endpoint)));
+        const blockNumbers = this.endpoints.filter(endpoint => endpoint.blockNumber !== null && !endpoint.lastError)
+            .map(endpoint => endpoint.blockNumber);
+        const highestBlock = Math.max(...blockNumbers);
+        for (const endpoint of this.endpoints) {
+            if (endpoint.lastError) {
+                endpoint.healthy = false;
+            } else if (highestBlock - endpoint.blockNumber > this.maxBlockLag) {
+                endpoint.healthy = false;
+                endpoint.lastError = `${highestBlock - endpoint.blockNumber} blocks behind`;
+            } else {
+                endpoint.healthy = true;
+            }
+        }
+        this._selectActive();
+        this.logger.info(`${this.chain} RPC block heights ${this.endpoints.map(endpoint => this._describe(endpoint)).join(', ')}`);
+    }
+
+    async _checkEndpoint(endpoint) {
+        let timeout;
+        try {
+            const blockNumber = await Promise.race([
+                new Promise((resolve, reject) => {
+                    endpoint.provider.send({ jsonrpc: '2.0', id: this.now(), method: 'eth_blockNumber', params: [] }, (err, result) => {
+                        if (err || result.error) {
+                            return reject(err || new Error(result.error.message));
+                        }
+                        resolve(parseInt(result.result));
+                    });
+                }),
+                new Promise((resolve, reject) => {
+                    timeout = setTimeout(() => reject(new Error(`No response after ${HEALTH_CHECK_TIMEOUT}ms`)), HEALTH_CHECK_TIMEOUT);
+                })
+            ]);
+            endpoint.blockNumber = blockNumber;
+            endpoint.lastError = null;
+        } catch (err) {
+            endpoint.lastError = err.message;
+        } finally {
+            clearTimeout(timeout);
+            endpoint.checkedAt = this.now();
+        }
+    }
+
+    _describe(endpoint) {
+        const state = endpoint === this.active ? 'active' : endpoint.healthy ? 'standby' : `unhealthy: ${endpoint.lastError}`;
+        return `${endpoint.name} ${endpoint.blockNumber === null ? '-' : endpoint.blockNumber} (${state})`;
+    }
+
+    getStatus() {
+        return {
+            active: this.active.name,
+            endpoints: this.endpoints.map(endpoint => ({
+                name: endpoint.name,
+                active: endpoint === this.active,
+                healthy: endpoint.healthy,
+                blockNumber: endpoint.blockNumber,
+                lastError: endpoint.lastError,
+                checkedAt: endpoint.checkedAt && new Date(endpoint.checkedAt).toISOString()
+            }))
+        };
+    }
+}
@@ -1,50 +1,134 @@
 const web3 = require('web3');
-const fs = require('fs');
 const TransactionSender = require('./TransactionSender');
 const CustomError = require('./CustomError');
+const GasPriceCeilingError = require('../gasPrice/GasPriceCeilingError');
+const ShutdownError = require('./ShutdownError');
+const Storage = require('./Storage');
+const BlockRangePager = require('./BlockRangePager');
+const Metrics = require('./Metrics');
+const BalanceMonitor = require('./BalanceMonitor');
+const Alerter = require('./Alerter');
+const FailoverProvider = require('./FailoverProvider');
+const CrossEventQuorum = require('./CrossEventQuorum');
+const CrossLogVerifier = require('./CrossLogVerifier');
+const ReceiptProofVerifier = require('./ReceiptProofVerifier');
 const BridgeFactory = require('../contracts/BridgeFactory');
 const FederationFactory = require('../contracts/FederationFactory');
 const AllowTokensFactory = require('../contracts/AllowTokensFactory');
 const utils = require('./utils');
 
+// Number of processed page boundaries we remember to look for a common ancestor after a reorg
+const MAX_BLOCK_CHECKPOINTS = 100;
+// Thresholds of the alerts raised by the runs, maxLagBlocks is only checked when configured
+const ALERTING_DEFAULTS = {
+    maxSyncingMinutes: 30,
+    maxFailedRuns: 3,
+};
+
 module.exports = class Federator {
     constructor(config, logger, Web3 = web3) {
 
         this.config = config;
-        this.logger = logger;
 
-        if (!utils.checkHttpsOrLocalhost(config.mainchain.host)) {
+        if (!utils.getHosts(config.mainchain).every(host => utils.checkHttpsOrLocalhost(host))) {
             throw new Error(`Invalid host configuration, https or localhost required`);
         }
 
-        this.mainWeb3 = new Web3(config.mainchain.host);
-        this.sideWeb3 = new Web3(config.sidechain.host);
+        this.mainWeb3 = FailoverProvider.createWeb3(Web3, logger, config.mainchain);
+        this.sideWeb3 = FailoverProvider.createWeb3(Web3, logger, config.sidechain);
+        this.mainProvider = FailoverProvider.forChain(logger, config.mainchain);
+        this.sideProvider = FailoverProvider.forChain(logger, config.sidechain);
+        this.direction = Metrics.directionName(config);
+        // The chain id of the chain the transfers are read from is added once the first run reads it
+        this.chainId = null;
+        this.logger = utils.childLogger(logger, { direction: this.direction });
 
         this.sideFederationAddress = null;
 
-        this.transactionSender = new TransactionSender(this.sideWeb3, this.logger, this.config);
-        this.lastBlockPath = `${config.storagePath || __dirname}/lastBlock.txt`;
-        this.revertedTxnsPath = `${config.storagePath || __dirname}/revertedTxns.json`;
+        this.transactionSender = new TransactionSender(this.sideWeb3, this.logger, this.config, this.config.sidechain);
+        this.storage = Storage.open(config.storagePath || __dirname);
+        this.blockRangePager = new BlockRangePager(this.logger, config.mainchain);
+        this.crossLogVerifier = new CrossLogVerifier(this.mainWeb3);
+        this.receiptProofVerifier = config.mainchain.receiptProofs ? new ReceiptProofVerifier(this.mainWeb3) : null;
+        this.crossEventQuorum = CrossEventQuorum.isEnabled(config.mainchain) ? new CrossEventQuorum(logger, config.mainchain, Web3) : null;
         this.bridgeFactory = new BridgeFactory(this.config, this.logger, Web3);
         this.federationFactory = new FederationFactory(this.config, this.logger, Web3);
         this.allowTokensFactory = new AllowTokensFactory(this.config, this.logger, Web3);
+        this.alerting = { ...ALERTING_DEFAULTS, ...config.alerting };
+        this.runInProgress = null;
+        this.retryInProgress = null;
+        this.stopping = false;
+        // Runs that failed after all their retries since the last one that didn't
+        this.failedRuns = 0;
+        this.syncingSince = {};
+    }
+
+    // The config of the federator voting the sidechain transfers on the mainchain, it keeps its state under side-fed.
+    // Its nonces stay in the main storage, the heartbeat sends from the same address on the same chain
+    static sideConfig(config) {
+        return {
+            ...config,
+            mainchain: config.sidechain,
+            sidechain: config.mainchain,
+            storagePath: `${config.storagePath}/side-fed`,
+            nonceStoragePath: config.nonceStoragePath || config.storagePath
+        };
+    }
+
+    // Runs triggered while another one is in progress, by the scheduler or the admin API, share it.
+    // A run triggered during an admin retry starts when the retry ends, both would send with the same nonce
+    run() {
+        if (!this.runInProgress) {
+            const run = this.retryInProgress ? this.retryInProgress.catch(() => null).then(() => this._run()) : this._run();
+            this.runInProgress = run.then(result => {
+                this.failedRuns = 0;
+                return result;
+            }, err => {
+                this._alertFailedRun(err);
+                throw err;
+            }).finally(() => {
+                this.runInProgress = null;
+            });
+        }
+        return this.runInProgress;
+    }
+
+    isRunning() {
+        return this.runInProgress !== null;
     }
 
-    async run() {
+    // The run in progress stops before its next vote
+    stop() {
+        this.stopping = true;
+    }
+
+    async _run() {
+        if (this.stopping) {
+            return false;
+        }
+        const paused = this.storage.get('paused');
+        if (paused) {
+            this.logger.warn(`Federator ${this.direction} paused since ${paused.pausedAt}, not voting`);
+            return false;
+        }
         let retries = 3;
         const sleepAfterRetrie = 10_000;
         while(retries > 0) {
             try {
                 const currentBlock = await this.mainWeb3.eth.getBlockNumber();
                 const chainId = await this.mainWeb3.eth.net.getId();
+                this.chainId = chainId;
+                this._setTransferContext();
 
                 const isMainSyncing = await this.mainWeb3.eth.isSyncing();
+                this._checkSyncing(this.config.mainchain, isMainSyncing);
                 if (isMainSyncing !== false) {
                     this.logger.warn(`ChainId ${chainId} is Syncing, ${JSON.stringify(isMainSyncing)}. Federator won't process requests till is synced`);
                     return;
                 }
 
                 const isSideSyncing = await this.sideWeb3.eth.isSyncing();
+                this._checkSyncing(this.config.sidechain, isSideSyncing);
                 if (isSideSyncing !== false) {
                     const sideChainId = await this.sideWeb3.eth.net.getId();
                     this.logger.warn(`ChainId ${sideChainId} is Syncing, ${JSON.stringify(isSideSyncing)}. Federator won't process requests till is synced`);
@@ -52,6 +136,7 @@ module.exports = class Federator {
                 }
 
                 this.logger.debug(`Current Block ${currentBlock} ChainId ${chainId}`);
+                await this.transactionSender.checkStuckTransactions(this.config.privateKey);
                 const allowTokens = await this.allowTokensFactory.getMainAllowTokensContract();
                 const confirmations = await allowTokens.getConfirmations();
                 const toBlock = currentBlock - confirmations.largeAmountConfirmations;
@@ -63,84 +148,90 @@ module.exports = class Federator {
                     return false;
                 }
 
-                if (!fs.existsSync(this.config.storagePath)) {
-                    fs.mkdirSync(this.config.storagePath);
-                }
                 let originalFromBlock = parseInt(this.config.mainchain.fromBlock) || 0;
-                let fromBlock = null;
-                try {
-                    fromBlock = parseInt(fs.readFileSync(this.lastBlockPath, 'utf8'));
-                } catch(err) {
-                    fromBlock = originalFromBlock;
-                }
+                let fromBlock = this.storage.get('lastBlock', originalFromBlock);
                 if(fromBlock < originalFromBlock) {
                     fromBlock = originalFromBlock;
                 }
-                if(fromBlock >= toBlock && fromBlock >= newToBlock){
-                    this.logger.warn(`Current chain ${chainId} Height ${toBlock} is the same or lesser than the last block processed ${fromBlock}`);
+                fromBlock = await this._rewindOnReorg(fromBlock, originalFromBlock);
+                await this._processPendingVotes(currentBlock, confirmations);
+
+                // Blocks up to lastScannedBlock were already read by the medium and small amounts pass,
+                // their transfers were either voted or queued as pending votes
+                const lastScannedBlock = Math.max(this.storage.get('lastScannedBlock', fromBlock), fromBlock);
+                if(fromBlock >= toBlock && lastScannedBlock >= newToBlock){
+                    this.logger.warn(`Current chain ${chainId} Height ${newToBlock} is the same or lesser than the last block processed ${lastScannedBlock}`);
+                    await this._updateMetrics(currentBlock);
                     return false;
                 }
-                fromBlock = fromBlock + 1;
-                this.logger.debug('Running from Block', fromBlock);
-                await this.getLogsAndProcess(fromBlock, toBlock, currentBlock, false, confirmations);
-                let lastBlockProcessed = toBlock;
-                await this.getLogsAndProcess(lastBlockProcessed, newToBlock, currentBlock, true, confirmations);
+                this.logger.debug('Running from Block', lastScannedBlock + 1);
+                await this.getLogsAndProcess(lastScannedBlock + 1, toBlock, currentBlock, false, confirmations);
+                if (fromBlock < toBlock && lastScannedBlock >= toBlock) {
+                    await this._saveCheckpoint(toBlock);
+                    this._saveProgress('lastBlock', toBlock);
+                }
+                await this.getLogsAndProcess(Math.max(toBlock, lastScannedBlock) + 1, newToBlock, currentBlock, true, confirmations);
+                await this._updateMetrics(currentBlock);
 
                 return true;
             } catch (err) {
+                if (this.stopping) {
+                    this.logger.info(`Federator ${this.direction} stopped`, err instanceof ShutdownError ? '' : err.message);
+                    return false;
+                }
                 this.logger.error(new Error('Exception Running Federator'), err);
                 retries--;
                 this.logger.debug(`Run ${3-retries} retrie`);
                 if( retries > 0) {
                     await utils.sleep(sleepAfterRetrie);
                 } else {
-                    process.exit();
+                    throw new CustomError(`Federator ${this.direction} run failed after 3 retries`, err);
                 }
             }
         }
     }
 
+    // Both blocks are scanned, a range of a single block has fromBlock equal to toBlock
     async getLogsAndProcess(fromBlock, toBlock, currentBlock, medmiumAndSmall, confirmations) {
-        if (fromBlock >= toBlock) return;
+        if (fromBlock > toBlock) return;
 
         const mainBridge = await this.bridgeFactory.getMainBridgeContract();
 
-        const recordsPerPage = 1000;
-        const numberOfPages = Math.ceil((toBlock - fromBlock) / recordsPerPage);
-        this.logger.debug(`Total pages ${numberOfPages}, blocks per page ${recordsPerPage}`);
-
-        let fromPageBlock = fromBlock;
-        for (let currentPage = 1; currentPage <= numberOfPages; currentPage++) {
-            let toPagedBlock = fromPageBlock + recordsPerPage - 1;
-            if (currentPage === numberOfPages) {
-                toPagedBlock = toBlock
-            }
-            this.logger.debug(`Page ${currentPage} getting events from block ${fromPageBlock} to ${toPagedBlock}`);
-            const logs = await mainBridge.getPastEvents('Cross', {
+        await this.blockRangePager.forEachPage(
+            fromBlock,
+            toBlock,
+            (fromPageBlock, toPagedBlock) => mainBridge.getPastEvents('Cross', {
                 fromBlock: fromPageBlock,
                 toBlock: toPagedBlock
-            });
-            if (!logs) throw new Error('Failed to obtain the logs');
-
-            this.logger.info(`Found ${logs.length} logs`);
-            await this._processLogs(logs, currentBlock, medmiumAndSmall, confirmations);
-            if (!medmiumAndSmall) {
-                this._saveProgress(this.lastBlockPath, toPagedBlock);
+            }),
+            async (logs, fromPageBlock, toPagedBlock) => {
+                if (!logs) throw new Error('Failed to obtain the logs');
+
+                this.logger.info(`Found ${logs.length} logs`);
+                Metrics.crossEvents.inc({ direction: this.direction }, logs.length);
+                const heldLogs = await this._processLogs(logs, currentBlock, medmiumAndSmall, confirmations);
+                heldLogs.forEach(log => this._queuePendingVote(log, 'held', 0));
+                await this._saveCheckpoint(toPagedBlock);
+                this._saveProgress(medmiumAndSmall ? 'lastScannedBlock' : 'lastBlock', toPagedBlock);
             }
-            fromPageBlock = toPagedBlock + 1;
-        }
-
+        );
     }
 
+    // Returns the logs whose vote was held because the gas price is above the ceiling, their receipt doesn't match
+    // or the quorum of providers didn't confirm them
     async _processLogs(logs, currentBlock, mediumAndSmall, confirmations) {
 
         try {
+            const heldLogs = [];
             const from = await this.transactionSender.getAddress(this.config.privateKey);
             const fedContract = await this.federationFactory.getSideFederationContract();
             const allowTokens = await this.allowTokensFactory.getMainAllowTokensContract();
 
             const isMember = await utils.retry3Times(fedContract.isMember(from).call);
-            if (!isMember) throw new Error(`This Federator addr:${from} is not part of the federation`);
+            if (!isMember) {
+                Alerter.send(Alerter.membershipLost(from, this.config.sidechain));
+                throw new Error(`This Federator addr:${from} is not part of the federation`);
+            }
 
             const {
                 mediumAmountConfirmations,
@@ -148,6 +239,8 @@ module.exports = class Federator {
             } = confirmations;
 
             for(let log of logs) {
+                if (this.stopping) throw new ShutdownError();
+                this._setTransferContext(log);
                 this.logger.info('Processing event log:', log);
 
                 const {
@@ -205,6 +298,7 @@ module.exports = class Federator {
                         const c = currentBlock - blockNumber;
                         const rC = largeAmountConfirmations;
                         this.logger.debug(`[large amount] Tx: ${transactionHash} ${amount} originalTokenAddress:${tokenAddress} won't be proccessed yet ${c} < ${rC}`);
+                        this._queuePendingVote(log, 'large', rC);
                         continue;
                     }
 
@@ -213,6 +307,7 @@ module.exports = class Federator {
                         const c = currentBlock - blockNumber;
                         const rC = mediumAmountConfirmations;
                         this.logger.debug(`[medium amount] Tx: ${transactionHash} ${amount} originalTokenAddress:${tokenAddress} won't be proccessed yet ${c} < ${rC}`);
+                        this._queuePendingVote(log, 'medium', rC);
                         continue;
                     }
                 }
@@ -230,28 +325,41 @@ module.exports = class Federator {
                     granularity,
                     typeId
                 }).call);
+                this._setTransferContext(log, transactionId);
                 this.logger.info('get transaction id:', transactionId);
 
                 const wasProcessed = await utils.retry3Times(fedContract.transactionWasProcessed(transactionId).call);
                 if (!wasProcessed) {
                     const hasVoted = await fedContract.hasVoted(transactionId).call({ from });
                     if(!hasVoted) {
+                        if (!(await this._verifyReceipt(log, mainBridge)) ||
+                            (this.receiptProofVerifier && !(await this._verifyReceiptProof(log, mainBridge))) ||
+                            (this.crossEventQuorum && !(await this._verifyQuorum(log, mainBridge)))) {
+                            heldLogs.push(log);
+                            continue;
+                        }
                         this.logger.info(`Voting tx: ${log.transactionHash} block: ${log.blockHash} originalTokenAddress: ${tokenAddress}`);
-                        await this._voteTransaction(
-                            fedContract,
-                            tokenAddress,
-                            crossFrom,
-                            receiver,
-                            amount,
-                            symbol,
-                            log.blockHash,
-                            log.transactionHash,
-                            log.logIndex,
-                            decimals,
-                            granularity,
-                            typeId,
-                            transactionId
-                        );
+                        try {
+                            await this._voteTransaction(
+                                fedContract,
+                                tokenAddress,
+                                crossFrom,
+                                receiver,
+                                amount,
+                                symbol,
+                                log.blockHash,
+                                log.transactionHash,
+                                log.logIndex,
+                                decimals,
+                                granularity,
+                                typeId,
+                                transactionId
+                            );
+                        } catch (err) {
+                            if (!(err instanceof GasPriceCeilingError)) throw err;
+                            this.logger.warn(`Vote held Tx: ${log.transactionHash} originalTokenAddress: ${tokenAddress}, ${err.message}`);
+                            heldLogs.push(log);
+                        }
                     } else {
                         this.logger.debug(`Block: ${log.blockHash} Tx: ${log.transactionHash} originalTokenAddress: ${tokenAddress}  has already been voted by us`);
                     }
@@ -260,12 +368,76 @@ module.exports = class Federator {
                 }
             }
 
-            return true;
+            return heldLogs;
         } catch (err) {
+            if (err instanceof ShutdownError) throw err;
             throw new CustomError(`Exception processing logs`, err);
+        } finally {
+            this._setTransferContext();
+        }
+    }
+
+    // Every line logged about a Cross event, by the federator or its transaction sender, carries the fields of its transfer
+    _setTransferContext(log = null, transactionId = null) {
+        this.logger.context = { direction: this.direction, chainId: this.chainId };
+        if (log) {
+            Object.assign(this.logger.context, {
+                transactionHash: log.transactionHash,
+                logIndex: Number(log.logIndex),
+                blockNumber: log.blockNumber,
+                transactionId: transactionId && transactionId.toLowerCase()
+            });
+        }
+    }
+
+
+    async _verifyReceipt(log, mainBridge) {
+        const mismatches = await this.crossLogVerifier.verify(log, mainBridge.getAbi(), mainBridge.getAddress());
+        if (mismatches.length) {
+            Metrics.receiptMismatches.inc({ direction: this.direction });
+            this.logger.error(`Vote blocked, Cross log Tx: ${log.transactionHash} logIndex: ${log.logIndex} block: ${log.blockHash} doesn't match its receipt`, mismatches.join(', '));
+            // The log stays pending and is checked again every run, the cooldown keeps it to one alert
+            Alerter.send({
+                type: 'receiptMismatch',
+                key: `${log.transactionHash}:${log.logIndex}`,
+                severity: 'critical',
+                title: `Vote blocked on ${this.direction}, a Cross log doesn't match its receipt`,
+                details: { direction: this.direction, transactionHash: log.transactionHash, logIndex: log.logIndex, blockHash: log.blockHash, mismatches }
+            });
         }
+        return !mismatches.length;
     }
 
+    async _verifyReceiptProof(log, mainBridge) {
+        const mismatches = await this.receiptProofVerifier.verify(log, mainBridge.getAbi(), mainBridge.getAddress());
+        if (mismatches.length) {
+            Metrics.receiptProofFailures.inc({ direction: this.direction });
+            this.logger.error(`Vote blocked, no valid receipt proof for Cross log Tx: ${log.transactionHash} logIndex: ${log.logIndex} block: ${log.blockHash}`, mismatches.join(', '));
+        }
+        return !mismatches.length;
+    }
+
+    async _verifyQuorum(log, mainBridge) {
+        const result = await this.crossEventQuorum.verify(log, mainBridge.getAbi(), mainBridge.getAddress());
+        for (const { provider, differences } of result.disagreeing) {
+            Metrics.quorumDisagreements.inc({ direction: this.direction, provider });
+            this.logger.error(`Potential node compromise, provider ${provider} disagrees on Cross log Tx: ${log.transactionHash} logIndex: ${log.logIndex} block: ${log.blockHash}`, differences.join(', '));
+            Alerter.send({
+                type: 'quorumDisagreement',
+                key: `${this.direction}:${provider}`,
+                severity: 'critical',
+                title: `Potential node compromise, provider ${provider} disagrees on a Cross log on ${this.direction}`,
+                details: { direction: this.direction, provider, differences, transactionHash: log.transactionHash, logIndex: log.logIndex, blockHash: log.blockHash }
+            });
+        }
+        if (result.unavailable.length) {
+            this.logger.warn(`Quorum providers unavailable for Tx: ${log.transactionHash}`, result.unavailable);
+        }
+        if (!result.verified) {
+            this.logger.warn(`Vote held Tx: ${log.transactionHash} logIndex: ${log.logIndex}, ${result.agreeing.length} of ${result.total} providers agree and ${result.required} are required`);
+        }
+        return result.verified;
+    }
 
     async _voteTransaction(
         fedContract,
@@ -300,49 +472,393 @@ module.exports = class Federator {
                 typeId
             }).encodeABI();
 
-            let revertedTxns = {};
-            if (fs.existsSync(this.revertedTxnsPath)) {
-                revertedTxns = JSON.parse(fs.readFileSync(this.revertedTxnsPath, 'utf8'));
-                this.logger.info(`read these transactions from reverted transactions file`, revertedTxns);
-            }
-
-            if (revertedTxns[txId]) {
-                this.logger.info(`Skipping Voting ${amount} of originalTokenAddress:${tokenAddress} TransactionId ${txId} since it's marked as reverted.`, revertedTxns[txId])
+            const revertedTxn = this.storage.get(`revertedTxns:${txId}`);
+            if (revertedTxn) {
+                this.logger.info(`Skipping Voting ${amount} of originalTokenAddress:${tokenAddress} TransactionId ${txId} since it's marked as reverted.`, revertedTxn)
                 return false;
             }
 
             const receipt = await this.transactionSender.sendTransaction(fedContract.getAddress(), txData, 0, this.config.privateKey);
+            // Receipts of transactions that were never mined have no block number, pending ones are still replaced until mined
+            const result = receipt.pending ? 'pending' : (receipt.status ? 'sent' : (receipt.blockNumber ? 'reverted' : 'failed'));
+            Metrics.votes.inc({ direction: this.direction, result });
+            BalanceMonitor.recordGasUsed(this.storage, 'vote', receipt);
+            this.storage.set('lastVote', {
+                transactionId: txId,
+                crossTransactionHash: transactionHash,
+                transactionHash: receipt.transactionHash,
+                blockNumber: receipt.blockNumber,
+                status: result,
+                sentAt: new Date().toISOString()
+            });
 
-            if(receipt.status == false) {
-                fs.writeFileSync(
-                    this.revertedTxnsPath,
-                    JSON.stringify({
-                        ...revertedTxns,
-                        [txId]: {
-                            originalTokenAddress: tokenAddress,
-                            sender,
-                            receiver,
-                            amount,
-                            symbol,
-                            blockHash,
-                            transactionHash,
-                            logIndex,
-                            decimals,
-                            granularity
-                        }
-                    })
-                )
+            if (receipt.pending) {
+                this.logger.warn(`Vote of TransactionId ${txId} txHash:${receipt.transactionHash} is not mined yet, it's replaced until it's mined`);
+            } else if(receipt.status == false) {
+                Alerter.send({
+                    type: 'voteFailed',
+                    key: txId,
+                    severity: 'critical',
+                    title: `Vote ${result} on ${this.direction}, it won't be voted again until it's retried from the admin API`,
+                    details: { direction: this.direction, transactionId: txId, crossTransactionHash: transactionHash, transactionHash: receipt.transactionHash, blockNumber: receipt.blockNumber }
+                });
+                this.storage.set(`revertedTxns:${txId}`, {
+                    originalTokenAddress: tokenAddress,
+                    sender,
+                    receiver,
+                    amount,
+                    symbol,
+                    blockHash,
+                    transactionHash,
+                    logIndex,
+                    decimals,
+                    granularity,
+                    typeId
+                });
             }
 
             return true;
         } catch (err) {
+            if (err instanceof GasPriceCeilingError) throw err;
+            Metrics.votes.inc({ direction: this.direction, result: 'failed' });
             throw new CustomError(`Exception Voting tx:${transactionHash} block: ${blockHash} originalTokenAddress: ${tokenAddress}`, err);
         }
     }
 
-    _saveProgress (path, value) {
+    pause(reason = null) {
+        this.storage.set('paused', { pausedAt: new Date().toISOString(), reason });
+        this.logger.warn(`Federator ${this.direction} paused`, reason || '');
+    }
+
+    resume() {
+        this.storage.delete('paused');
+        this.logger.warn(`Federator ${this.direction} resumed`);
+    }
+
+    // Moves lastBlock back so the next run scans again from blockNumber, transfers already voted are skipped
+    rewind(blockNumber) {
+        const originalFromBlock = parseInt(this.config.mainchain.fromBlock) || 0;
+        const lastBlock = this.storage.get('lastBlock', originalFromBlock);
+        if (!Number.isInteger(blockNumber) || blockNumber < originalFromBlock || blockNumber > lastBlock) {
+            throw new Error(`Block ${blockNumber} must be between the fromBlock ${originalFromBlock} and the last block processed ${lastBlock}`);
+        }
+        this._rewindTo(blockNumber, lastBlock);
+        this.logger.warn(`Federator ${this.direction} rewound from block ${lastBlock} to ${blockNumber}`);
+        return { previousLastBlock: lastBlock, lastBlock: blockNumber };
+    }
+
+    _getRevertedVote(key) {
+        const vote = this.storage.get(key);
+        if (!vote) {
+            throw new Error(`Transaction ${key.slice('revertedTxns:'.length)} is not in the reverted transactions`);
+        }
+        return vote;
+    }
+
+    clearRevertedVote(transactionId) {
+        const key = `revertedTxns:${transactionId.toLowerCase()}`;
+        const vote = this._getRevertedVote(key);
+        this.storage.delete(key);
+        return vote;
+    }
+
+    // Votes again a reverted transaction, it's added back to the reverted transactions if the vote reverts again.
+    // Refused while a run or another retry is in progress, the runs started meanwhile wait for it
+    async retryRevertedVote(transactionId) {
+        if (this.isRunning() || this.retryInProgress) {
+            throw new Error(`Federator ${this.direction} is running, try again when the run ends`);
+        }
+        transactionId = transactionId.toLowerCase();
+        const key = `revertedTxns:${transactionId}`;
+        const vote = this._getRevertedVote(key);
+        this._setTransferContext(vote, transactionId);
+        this.retryInProgress = this._retryRevertedVote(transactionId, key, vote);
+        try {
+            return await this.retryInProgress;
+        } finally {
+            this.retryInProgress = null;
+            this._setTransferContext();
+        }
+    }
+
+    async _retryRevertedVote(transactionId, key, vote) {
+        const fedContract = await this.federationFactory.getSideFederationContract();
+        const from = await this.transactionSender.getAddress(this.config.privateKey);
+        const wasProcessed = await utils.retry3Times(fedContract.transactionWasProcessed(transactionId).call);
+        const hasVoted = !wasProcessed && await fedContract.hasVoted(transactionId).call({ from });
+        // _voteTransaction skips the transactions marked as reverted
+        this.storage.delete(key);
+        if (wasProcessed || hasVoted) {
+            this.logger.info(`Reverted transaction ${transactionId} doesn't need a vote, processed:${wasProcessed} voted:${hasVoted}`);
+            return { voted: false, wasProcessed, hasVoted };
+        }
+        try {
+            await this._voteTransaction(
+                fedContract,
+                vote.originalTokenAddress,
+                vote.sender,
+                vote.receiver,
+                vote.amount,
+                vote.symbol,
+                vote.blockHash,
+                vote.transactionHash,
+                vote.logIndex,
+                vote.decimals,
+                vote.granularity,
+                vote.typeId,
+                transactionId
+            );
+        } catch (err) {
+            this.storage.set(key, vote);
+            throw err;
+        }
+        return { voted: true, lastVote: this.storage.get('lastVote'), reverted: this.storage.has(key) };
+    }
+
+    // Metrics are informative, failing to update them doesn't stop the run
+    async _updateMetrics(currentBlock) {
+        const lastBlock = this.storage.get('lastBlock', parseInt(this.config.mainchain.fromBlock) || 0);
+        Metrics.lastBlock.set({ direction: this.direction }, lastBlock);
+        Metrics.blockLag.set({ direction: this.direction }, Math.max(currentBlock - lastBlock, 0));
+        if (this.alerting.maxLagBlocks && currentBlock - lastBlock > this.alerting.maxLagBlocks) {
+            Alerter.send({
+                type: 'lag',
+                key: this.direction,
+                severity: 'warning',
+                title: `Federator ${this.direction} is ${currentBlock - lastBlock} blocks behind the chain head`,
+                details: { direction: this.direction, currentBlock, lastBlock, maxLagBlocks: this.alerting.maxLagBlocks }
+            });
+        }
+        try {
+            const from = await this.transactionSender.getAddress(this.config.privateKey);
+            const balance = await this.sideWeb3.eth.getBalance(from);
+            Metrics.balance.set({ chain: Metrics.chainName(this.config.sidechain) }, Number(balance));
+        } catch (err) {
+            this.logger.warn('Failed to get the federator balance', err.message);
+        }
+    }
+
+    _checkSyncing(chainConfig, syncing, now = Date.now()) {
+        const chain = Metrics.chainName(chainConfig);
+        if (syncing === false) {
+            delete this.syncingSince[chain];
+            return;
+        }
+        this.syncingSince[chain] = this.syncingSince[chain] || now;
+        const minutes = Math.floor((now - this.syncingSince[chain]) / 60000);
+        if (minutes >= this.alerting.maxSyncingMinutes) {
+            Alerter.send({
+                type: 'nodeSyncing',
+                key: chain,
+                severity: 'warning',
+                title: `${chain} node has been syncing for ${minutes} minutes, federator ${this.direction} is not voting`,
+                details: { chain, direction: this.direction, syncingSince: new Date(this.syncingSince[chain]).toISOString(), ...syncing }
+            });
+        }
+    }
+
+    _alertFailedRun(err) {
+        this.failedRuns++;
+        if (this.failedRuns >= this.alerting.maxFailedRuns) {
+            Alerter.send({
+                type: 'runFailing',
+                key: this.direction,
+                severity: 'critical',
+                title: `Federator ${this.direction} failed ${this.failedRuns} runs in a row after all their retries`,
+                details: { direction: this.direction, failedRuns: this.failedRuns, error: err.message }
+            });
+        }
+    }
+
+    _saveProgress (key, value) {
         if (value) {
-            fs.writeFileSync(path, value.toString());
+            this.storage.set(key, value);
+        }
+    }
+
+    _readCheckpoints() {
+        return this.storage.get('blockCheckpoints', []);
+    }
+
+    _saveCheckpoints(checkpoints) {
+        this.storage.set('blockCheckpoints', checkpoints.slice(-MAX_BLOCK_CHECKPOINTS));
+    }
+
+    async _saveCheckpoint(blockNumber) {
+        const block = await this.mainWeb3.eth.getBlock(blockNumber);
+        if (!block) throw new Error(`Failed to obtain block ${blockNumber}`);
+        const checkpoints = this._readCheckpoints().filter(checkpoint => checkpoint.blockNumber !== blockNumber);
+        checkpoints.push({ blockNumber, blockHash: block.hash.toLowerCase() });
+        this._saveCheckpoints(checkpoints.sort((a, b) => a.blockNumber - b.blockNumber));
+    }
+
+    // Verifies the saved page boundaries are still canonical and returns the block to continue from.
+    // If the chain reorganized below our last scanned block we rewind to the newest checkpoint that
+    // is still part of the chain, so the orphaned range gets scanned again.
+    async _rewindOnReorg(lastBlock, originalFromBlock) {
+        const checkpoints = this._readCheckpoints();
+        const lastScannedBlock = Math.max(this.storage.get('lastScannedBlock', lastBlock), lastBlock);
+        for (let i = checkpoints.length - 1; i >= 0; i--) {
+            const { blockNumber, blockHash } = checkpoints[i];
+            const block = await this.mainWeb3.eth.getBlock(blockNumber);
+            if (block && block.hash.toLowerCase() === blockHash) {
+                if (i === checkpoints.length - 1) {
+                    return lastBlock;
+                }
+                const orphaned = checkpoints[i + 1];
+                this.logger.warn(`Reorg detected, block ${orphaned.blockNumber} ${orphaned.blockHash} is no longer canonical.` +
+                    ` Rewinding ${lastScannedBlock - blockNumber} blocks to common ancestor ${blockNumber} ${blockHash}`);
+                this._saveCheckpoints(checkpoints.slice(0, i + 1));
+                return this._rewindTo(blockNumber, lastBlock);
+            }
+        }
+        if (!checkpoints.length) {
+            return lastBlock;
+        }
+        this.logger.error(`Reorg detected deeper than the ${checkpoints.length} saved checkpoints.` +
+            ` Rewinding ${lastScannedBlock - originalFromBlock} blocks to configured fromBlock ${originalFromBlock}`);
+        this._saveCheckpoints([]);
+        return this._rewindTo(originalFromBlock, lastBlock);
+    }
+
+    _rewindTo(blockNumber, lastBlock) {
+        const newLastBlock = Math.min(lastBlock, blockNumber);
+        this.storage.set('lastBlock', newLastBlock);
+        this.storage.set('lastScannedBlock', Math.min(this.storage.get('lastScannedBlock', newLastBlock), blockNumber));
+        for (const [key, pendingVote] of this.storage.entries('pendingVotes:')) {
+            if (pendingVote.log.blockNumber > blockNumber) {
+                this.storage.delete(key);
+            }
+        }
+        return newLastBlock;
+    }
+
+    // Medium and large transfers that don't have enough confirmations yet are kept in the storage
+    // and voted once they are mature, so their blocks don't need to be scanned again.
+    // Votes held because of the gas price ceiling, the receipt checks or the quorum of providers are kept too and retried on every run
+    _queuePendingVote(log, amountType, requiredConfirmations) {
+        const { blockHash, blockNumber, transactionHash, logIndex, returnValues } = log;
+        const key = `pendingVotes:${transactionHash}-${logIndex}`;
+        if (this.storage.has(key)) {
+            return;
+        }
+        requiredConfirmations = parseInt(requiredConfirmations);
+        this.storage.set(key, {
+            log: { blockHash, blockNumber, transactionHash, logIndex, returnValues },
+            amountType,
+            tokenAddress: returnValues._tokenAddress,
+            requiredConfirmations,
+            votableAtBlock: blockNumber + requiredConfirmations,
+            queuedAt: Date.now()
+        });
+        this.logger.info(`[${amountType}] Tx: ${transactionHash} queued as pending vote until block ${blockNumber + requiredConfirmations}`);
+    }
+
+    async _processPendingVotes(currentBlock, confirmations) {
+        const pendingVotes = this.storage.entries('pendingVotes:');
+        const dueVotes = pendingVotes.filter(([, { log, amountType }]) => {
+            const requiredConfirmations = {
+                large: confirmations.largeAmountConfirmations,
+                medium: confirmations.mediumAmountConfirmations,
+            }[amountType] || 0;
+            return currentBlock - log.blockNumber >= requiredConfirmations;
+        });
+        const summary = this.getPendingVotesSummary();
+        if (summary.count) {
+            this.logger.info(`Pending votes ${summary.count}, due ${dueVotes.length}, oldest waiting ${summary.oldestWaitingSeconds}s`, summary.byToken);
+        }
+        if (!dueVotes.length) {
+            return;
         }
+
+        const heldLogs = await this._processLogs(dueVotes.map(([, { log }]) => log), currentBlock, false, confirmations);
+        for (const [key, { log }] of dueVotes) {
+            if (!heldLogs.includes(log)) {
+                this.storage.delete(key);
+            }
+        }
+    }
+
+    getPendingVotesSummary(now = Date.now()) {
+        const pendingVotes = this.storage.entries('pendingVotes:').map(([, pendingVote]) => pendingVote);
+        const byToken = {};
+        for (const { tokenAddress } of pendingVotes) {
+            byToken[tokenAddress] = (byToken[tokenAddress] || 0) + 1;
+        }
+        const oldestQueuedAt = Math.min(now, ...pendingVotes.map(({ queuedAt }) => queuedAt));
+        return {
+            count: pendingVotes.length,
+            oldestWaitingSeconds: Math.round((now - oldestQueuedAt) / 1000),
+            byToken,
+            nextVotableAtBlock: pendingVotes.length ? Math.min(...pendingVotes.map(({ votableAtBlock }) => votableAtBlock)) : null
+        };
+    }
+
+    // What operators used to read from the files under db/, with the chain and Federation state the federator works with
+    async getStatus() {
+        const lastBlock = this.storage.get('lastBlock', parseInt(this.config.mainchain.fromBlock) || 0);
+        let chainStatus;
+        try {
+            const [chainId, currentBlock, confirmations, federation, address] = await Promise.all([
+                this.mainWeb3.eth.net.getId(),
+                this.mainWeb3.eth.getBlockNumber(),
+                this.allowTokensFactory.getMainAllowTokensContract().then(allowTokens => allowTokens.getConfirmations()),
+                this.federationFactory.getSideFederationContract(),
+                this.transactionSender.getAddress(this.config.privateKey)
+            ]);
+            chainStatus = {
+                chainId,
+                currentBlock,
+                lag: Math.max(currentBlock - lastBlock, 0),
+                confirmations,
+                federation: {
+                    address: federation.getAddress(),
+                    version: federation.getVersion(),
+                    federator: address,
+                    isMember: await federation.isMember(address).call()
+                }
+            };
+        } catch (err) {
+            this.logger.warn('Failed to get the chain status', err.message);
+            chainStatus = { error: err.message };
+        }
+
+        return {
+            direction: this.direction,
+            paused: this.storage.get('paused', null),
+            running: this.isRunning(),
+            ...chainStatus,
+            rpc: {
+                [Metrics.chainName(this.config.mainchain)]: this.mainProvider.getStatus(),
+                [Metrics.chainName(this.config.sidechain)]: this.sideProvider.getStatus()
+            },
+            lastBlock,
+            lastScannedBlock: this.storage.get('lastScannedBlock', lastBlock),
+            pendingVotes: {
+                ...this.getPendingVotesSummary(),
+                votes: this.storage.entries('pendingVotes:').map(([, { log, amountType, tokenAddress, votableAtBlock, queuedAt }]) => ({
+                    transactionHash: log.transactionHash,
+                    logIndex: log.logIndex,
+                    blockNumber: log.blockNumber,
+                    amountType,
+                    tokenAddress,
+                    votableAtBlock,
+                    queuedAt: new Date(queuedAt).toISOString()
+                }))
+            },
+            lastVote: this.storage.get('lastVote', null),
+            revertedTxns: this.getRevertedVotes(),
+            manuallyCheck: this.getManualChecks()
+        };
+    }
+
+    // Votes that reverted, they are skipped until cleared or retried
+    getRevertedVotes() {
+        return this.storage.entries('revertedTxns:').map(([key, vote]) => ({ transactionId: key.slice('revertedTxns:'.length), ...vote }));
+    }
+
+    // Transactions that were never mined after all their replacements
+    getManualChecks() {
+        return this.storage.entries('manuallyCheck:').map(([, transaction]) => transaction);
     }
 }
@@ -0,0 +1,102 @@
+const Metrics = require('./Metrics');
+const utils = require('./utils');
+
+const DEFAULT_MAX_MINUTES_SINCE_LAST_RUN = 30;
+// Node calls slower than this count as the node being unreachable
+const NODE_TIMEOUT = 10000;
+// Membership changes through the MultiSig, there is no need to ask for it on every probe
+const MEMBERSHIP_CACHE_MS = 5 * 60 * 1000;
+
+/**
+ * Liveness and readiness of the federator for the /isAlive and /isReady endpoints.
+ * Liveness only depends on the scheduler runs, readiness also checks the nodes of both chains and
+ * the federator membership in both Federation contracts.
+ */
+module.exports = class HealthCheck {
+    constructor(config, logger, federator, now = Date.now()) {
+        this.config = config;
+        this.logger = logger;
+        this.federator = federator;
+        this.maxTimeSinceLastRun = (config.maxMinutesSinceLastRun || DEFAULT_MAX_MINUTES_SINCE_LAST_RUN) * 60 * 1000;
+        // Startup counts as a run so the first one has time to finish
+        this.lastRun = now;
+        this.membership = null;
+    }
+
+    recordRun(now = Date.now()) {
+        this.lastRun = now;
+    }
+
+    checkLiveness(now = Date.now()) {
+        const secondsSinceLastRun = Math.round((now - this.lastRun) / 1000);
+        const healthy = now - this.lastRun <= this.maxTimeSinceLastRun;
+        return {
+            healthy,
+            checks: {
+                lastRun: {
+                    healthy,
+                    lastRunAt: new Date(this.lastRun).toISOString(),
+                    secondsSinceLastRun
+                }
+            }
+        };
+    }
+
+    async checkReadiness(now = Date.now()) {
+        const liveness = this.checkLiveness(now);
+        const [mainNode, sideNode, membership] = await Promise.all([
+            this._checkNode(this.federator.mainWeb3),
+            this._checkNode(this.federator.sideWeb3),
+            this._checkMembership(now)
+        ]);
+        const checks = {
+            ...liveness.checks,
+            nodes: {
+                [Metrics.chainName(this.config.mainchain)]: mainNode,
+                [Metrics.chainName(this.config.sidechain)]: sideNode
+            },
+            membership
+        };
+        const healthy = liveness.healthy && mainNode.healthy && sideNode.healthy && membership.healthy;
+        return { healthy, checks };
+    }
+
+    async _checkNode(web3) {
+        try {
+            const [blockNumber, syncing] = await utils.withTimeout(Promise.all([
+                web3.eth.getBlockNumber(),
+                web3.eth.isSyncing()
+            ]), NODE_TIMEOUT);
+            return { healthy: syncing === false, reachable: true, syncing: syncing !== false, blockNumber };
+        } catch (err) {
+            return { healthy: false, reachable: false, error: err.message };
+        }
+    }
+
+    async _checkMembership(now) {
+        if (this.membership && now - this.membership.checkedAt < MEMBERSHIP_CACHE_MS) {
+            return this.membership.result;
+        }
+        let result;
+        try {
+            const address = await this.federator.transactionSender.getAddress(this.config.privateKey);
+            const [mainFederation, sideFederation] = await utils.withTimeout(Promise.all([
+                this.federator.federationFactory.getMainFederationContract(),
+                this.federator.federationFactory.getSideFederationContract()
+            ]), NODE_TIMEOUT);
+            const [mainchain, sidechain] = await utils.withTimeout(Promise.all([
+                mainFederation.isMember(address).call(),
+                sideFederation.isMember(address).call()
+            ]), NODE_TIMEOUT);
+            result = { healthy: mainchain && sidechain, address, mainchain, sidechain };
+            if (!result.healthy) {
+                this.logger.error(`Federator ${address} is not a member of the Federation mainchain:${mainchain} sidechain:${sidechain}`);
+            }
+        } catch (err) {
+            // Not cached, the nodes may be back on the next probe
+            return { healthy: false, error: err.message };
+        }
+        this.membership = { checkedAt: now, result };
+        return result;
+    }
+}
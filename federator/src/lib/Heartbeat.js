@@ -1,7 +1,13 @@
 const web3 = require('web3');
-const fs = require('fs');
 const TransactionSender = require('./TransactionSender');
 const CustomError = require('./CustomError');
+const GasPriceCeilingError = require('../gasPrice/GasPriceCeilingError');
+const Storage = require('./Storage');
+const BlockRangePager = require('./BlockRangePager');
+const Metrics = require('./Metrics');
+const BalanceMonitor = require('./BalanceMonitor');
+const Alerter = require('./Alerter');
+const FailoverProvider = require('./FailoverProvider');
 const BridgeFactory = require('../contracts/BridgeFactory');
 const FederationFactory = require('../contracts/FederationFactory');
 const utils = require('./utils');
@@ -12,17 +18,28 @@ module.exports = class Heartbeat {
         this.config = config;
         this.logger = logger;
 
-        this.mainWeb3 = new Web3(config.mainchain.host);
-        this.sideWeb3 = new Web3(config.sidechain.host);
+        this.mainWeb3 = FailoverProvider.createWeb3(Web3, logger, config.mainchain);
+        this.sideWeb3 = FailoverProvider.createWeb3(Web3, logger, config.sidechain);
 
-        this.transactionSender = new TransactionSender(this.mainWeb3, this.logger, this.config);
-        this.lastBlockPath = `${config.storagePath || __dirname}/heartBeatLastBlock.txt`;
+        this.transactionSender = new TransactionSender(this.mainWeb3, this.logger, this.config, this.config.mainchain);
+        this.storage = Storage.open(config.storagePath || __dirname);
+        this.blockRangePager = new BlockRangePager(this.logger, config.mainchain);
         this.bridgeFactory = new BridgeFactory(this.config, this.logger, Web3);
         this.federationFactory = new FederationFactory(this.config, this.logger, Web3);
+        this.stopping = false;
+    }
+
+    // Heartbeats in progress are completed, no new ones are emitted
+    stop() {
+        this.stopping = true;
     }
 
     async run() {
+        if (this.stopping) {
+            return false;
+        }
         await this._checkIfRsk()
+        await this.transactionSender.checkStuckTransactions(this.config.privateKey);
         let retries = 3;
         const sleepAfterRetrie = 3000;
         while(retries > 0) {
@@ -50,19 +67,26 @@ module.exports = class Heartbeat {
             } catch (err) {
                 console.log(err)
                 this.logger.error(new Error('Exception Running Heartbeat'), err);
+                if (this.stopping) {
+                    return false;
+                }
                 retries--;
                 this.logger.debug(`Run ${3-retries} retrie`);
                 if(retries > 0) {
                     await utils.sleep(sleepAfterRetrie);
                 } else {
-                    process.exit();
+                    throw new CustomError('Heartbeat run failed after 3 retries', err);
                 }
             }
         }
     }
 
     async readLogs() {
+        if (this.stopping) {
+            return false;
+        }
         await this._checkIfRsk()
+        await this.transactionSender.checkStuckTransactions(this.config.privateKey);
         let retries = 3;
         const sleepAfterRetrie = 3000;
         while(retries > 0) {
@@ -77,16 +101,8 @@ module.exports = class Heartbeat {
                     return false;
                 }
 
-                if (!fs.existsSync(this.config.storagePath)) {
-                    fs.mkdirSync(this.config.storagePath);
-                }
-                let originalFromBlock = this.config.mainchain.fromBlock || 0;
-                let fromBlock = null;
-                try {
-                    fromBlock = fs.readFileSync(this.lastBlockPath, 'utf8');
-                } catch(err) {
-                    fromBlock = originalFromBlock;
-                }
+                let originalFromBlock = parseInt(this.config.mainchain.fromBlock) || 0;
+                let fromBlock = this.storage.get('heartbeatLastBlock', originalFromBlock);
                 if(fromBlock < originalFromBlock) {
                     fromBlock = originalFromBlock;
                 }
@@ -94,50 +110,44 @@ module.exports = class Heartbeat {
                     this.logger.warn(`Current chain Height ${toBlock} is the same or lesser than the last block processed ${fromBlock}`);
                     return false;
                 }
-                fromBlock = parseInt(fromBlock)+1;
+                fromBlock = fromBlock + 1;
                 this.logger.debug('Running from Block', fromBlock);
 
-                const recordsPerPage = 1000;
-                const numberOfPages = Math.ceil((toBlock - fromBlock) / recordsPerPage);
-                this.logger.debug(`Total pages ${numberOfPages}, blocks per page ${recordsPerPage}`);
-
-                let fromPageBlock = fromBlock;
-                for(let currentPage = 1; currentPage <= numberOfPages; currentPage++) {
-                    let toPagedBlock = fromPageBlock + recordsPerPage - 1;
-                    if(currentPage === numberOfPages) {
-                        toPagedBlock = toBlock
-                    }
-
-                    this.logger.debug(`Page ${currentPage} getting events from block ${fromPageBlock} to ${toPagedBlock}`);
-                    const heartbeatLogs = await fedContract.getPastEvents('HeartBeat', {
+                await this.blockRangePager.forEachPage(
+                    fromBlock,
+                    toBlock,
+                    (fromPageBlock, toPagedBlock) => fedContract.getPastEvents('HeartBeat', {
                         fromBlock: fromPageBlock,
                         toBlock: toPagedBlock
-                    });
+                    }),
+                    async (heartbeatLogs, fromPageBlock, toPagedBlock) => {
+                        if (!heartbeatLogs) throw new Error('Failed to obtain HeartBeat logs');
+                        await this._processHeartbeatLogs(
+                            heartbeatLogs,
+                            {
+                                ethLastBlock: await this.sideWeb3.eth.getBlockNumber()
+                            }
+                        );
 
-                    if (!heartbeatLogs) throw new Error('Failed to obtain HeartBeat logs');
-                    await this._processHeartbeatLogs(
-                        heartbeatLogs,
-                        {
-                            ethLastBlock: await this.sideWeb3.eth.getBlockNumber()
-                        }
-                    );
+                        this.logger.info(`Found ${heartbeatLogs.length} heartbeatLogs`);
 
-                    this.logger.info(`Found ${heartbeatLogs.length} heartbeatLogs`);
-
-                    this._saveProgress(this.lastBlockPath, toPagedBlock);
-                    fromPageBlock = toPagedBlock + 1;
-                }
+                        this._saveProgress('heartbeatLastBlock', toPagedBlock);
+                    }
+                );
 
                 return true;
             } catch (err) {
                 console.log(err)
                 this.logger.error(new Error('Exception Running Federator'), err);
+                if (this.stopping) {
+                    return false;
+                }
                 retries--;
                 this.logger.debug(`Run ${3-retries} retrie`);
                 if( retries > 0) {
                     await utils.sleep(sleepAfterRetrie);
                 } else {
-                    process.exit();
+                    throw new CustomError('Heartbeat readLogs failed after 3 retries', err);
                 }
             }
         }
@@ -164,18 +174,21 @@ module.exports = class Heartbeat {
                     nodeEthInfo
                 } = log.returnValues;
 
-                let logInfo = `[event: HeartBeat],`;
-                logInfo    += `[sender: ${sender}],`;
-                logInfo    += `[fedRskBlock: ${fedRskBlock}],`;
-                logInfo    += `[fedEthBlock: ${fedEthBlock}],`;
-                logInfo    += `[federatorVersion: ${federatorVersion}],`;
-                logInfo    += `[nodeRskInfo: ${nodeRskInfo}],`;
-                logInfo    += `[nodeEthInfo: ${nodeEthInfo}],`;
-                logInfo    += `[blockNumber: ${blockNumber}],`;
-                logInfo    += `[RskBlockGap: ${blockNumber - fedRskBlock}],`;
-                logInfo    += `[EstEthBlockGap: ${ethLastBlock - fedEthBlock}]`;
-
-                this.logger.info(logInfo);
+                const fields = {
+                    event: 'HeartBeat',
+                    sender,
+                    fedRskBlock,
+                    fedEthBlock,
+                    federatorVersion,
+                    nodeRskInfo,
+                    nodeEthInfo,
+                    blockNumber,
+                    RskBlockGap: blockNumber - fedRskBlock,
+                    EstEthBlockGap: ethLastBlock - fedEthBlock
+                };
+                // Same fields in the text of the line and, for the JSON layout, in its context
+                const logInfo = Object.entries(fields).map(([name, value]) => `[${name}: ${value}]`).join(',');
+                utils.childLogger(this.logger, fields).info(logInfo);
             }
 
             return true;
@@ -184,15 +197,27 @@ module.exports = class Heartbeat {
         }
     }
 
+    async _updateBalanceMetric(from) {
+        try {
+            const balance = await this.mainWeb3.eth.getBalance(from);
+            Metrics.balance.set({ chain: Metrics.chainName(this.config.mainchain) }, Number(balance));
+        } catch (err) {
+            this.logger.warn('Failed to get the federator balance', err.message);
+        }
+    }
+
     async _emitHeartbeat(fedRskBlock, fedEthBlock, fedVersion, nodeRskInfo, nodeEthInfo) {
         try {
             const fedContract = await this.federationFactory.getMainFederationContract();
             const from = await this.transactionSender.getAddress(this.config.privateKey);
             const isMember = await fedContract.isMember(from).call();
-            if (!isMember) throw new Error(`This Federator addr:${from} is not part of the federation`);
+            if (!isMember) {
+                Alerter.send(Alerter.membershipLost(from, this.config.mainchain));
+                throw new Error(`This Federator addr:${from} is not part of the federation`);
+            }
 
             this.logger.info(`emitHeartbeat(${fedRskBlock}, ${fedEthBlock}, ${fedVersion}, ${nodeRskInfo}, ${nodeEthInfo})`);
-            await fedContract.emitHeartbeat(
+            const receipt = await fedContract.emitHeartbeat(
                 this.transactionSender,
                 fedRskBlock,
                 fedEthBlock,
@@ -200,24 +225,35 @@ module.exports = class Heartbeat {
                 nodeRskInfo,
                 nodeEthInfo
             )
+            await this._updateBalanceMetric(from);
+            BalanceMonitor.recordGasUsed(this.storage, 'heartbeat', receipt);
+            if (receipt && !receipt.status) {
+                Metrics.heartbeats.inc({ result: 'failed' });
+                return false;
+            }
+            Metrics.heartbeats.inc({ result: 'sent' });
             this.logger.info(`Success emiting heartbeat`);
             return true;
         } catch (err) {
+            Metrics.heartbeats.inc({ result: 'failed' });
+            if (err instanceof GasPriceCeilingError) {
+                this.logger.warn(`Heartbeat not emitted, ${err.message}`);
+                return false;
+            }
             throw new CustomError(`Exception Emiting Hearbeat rskBlock: ${fedRskBlock} ethBlock: ${fedEthBlock} fedVersion: ${fedVersion}`, err);
         }
     }
 
-    _saveProgress (path, value) {
+    _saveProgress (key, value) {
         if (value) {
-            fs.writeFileSync(path, value.toString());
+            this.storage.set(key, value);
         }
     }
 
     async _checkIfRsk() {
         const chainId = await this.mainWeb3.eth.net.getId();
         if (!utils.checkIfItsInRSK(chainId)) {
-            this.logger.error(new Error(`Heartbeat should only run on RSK ${chainId}`));
-            process.exit();
+            throw new Error(`Heartbeat should only run on RSK ${chainId}`);
         }
     }
 }
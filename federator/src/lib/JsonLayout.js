@@ -0,0 +1,24 @@
+const util = require('util');
+
+/**
+ * log4js layout writing each line as a JSON object with the context of the logger as fields, for example
+ * the direction, chainId, transactionHash, logIndex and transactionId of the transfer a federator is voting.
+ * Enabled with "layout": { "type": "json" } in the appenders of log-config.json.
+ */
+module.exports = class JsonLayout {
+    static register(log4js) {
+        log4js.addLayout('json', () => JsonLayout.format);
+    }
+
+    static format(loggingEvent) {
+        const error = loggingEvent.data.find(item => item instanceof Error);
+        return JSON.stringify({
+            timestamp: loggingEvent.startTime.toISOString(),
+            level: loggingEvent.level.levelStr,
+            category: loggingEvent.categoryName,
+            ...loggingEvent.context,
+            message: util.format(...loggingEvent.data),
+            ...(error && { error: error.message })
+        });
+    }
+}
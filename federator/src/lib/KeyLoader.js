@@ -0,0 +1,111 @@
+const fs = require('fs');
+const path = require('path');
+const readline = require('readline');
+const Web3 = require('web3');
+
+const utils = require('./utils');
+const CustomError = require('./CustomError');
+
+const PASSWORD_ENV = 'FEDERATOR_KEYSTORE_PASSWORD';
+const DEFAULT_PASSWORD_FILE = '/run/secrets/federator_keystore_password';
+const DEFAULT_KEY_FILE = path.join(__dirname, '../../config/federator.key');
+
+/**
+ * Loads the federator private key from config.keyFile, or config/federator.key when it's not set, which holds
+ * either the plain hex key or an Ethereum V3 keystore. The decrypted key is only kept in memory.
+ */
+module.exports = class KeyLoader {
+    // Resolves with the private key to use, or the configured privateKey when there is no key file.
+    // A configured keyFile that doesn't exist fails, the default one is optional for a privateKey or a remote signer
+    static async loadPrivateKey(config, logger) {
+        const hasPrivateKey = Boolean(config.privateKey && config.privateKey.trim().length);
+        const keyFile = config.keyFile || (!hasPrivateKey && fs.existsSync(DEFAULT_KEY_FILE) ? DEFAULT_KEY_FILE : null);
+        if (!keyFile) {
+            return config.privateKey;
+        }
+        if (!fs.existsSync(keyFile)) {
+            throw new Error(`Key file ${keyFile} not found`);
+        }
+        const content = KeyLoader.readKeyFile(keyFile);
+        if (hasPrivateKey) {
+            logger.warn(`The configured privateKey is ignored, the key is loaded from ${keyFile}`);
+        }
+        const keystore = KeyLoader.parseKeystore(content);
+        if (!keystore) {
+            return utils.stripHexPrefix(content);
+        }
+
+        const password = await KeyLoader.getPassword(config, keyFile);
+        let account;
+        try {
+            account = new Web3().eth.accounts.decrypt(keystore, password);
+        } catch (err) {
+            throw new CustomError(`Unable to decrypt the keystore ${keyFile}`, err);
+        }
+        logger.info(`Decrypted the keystore ${keyFile} of ${account.address}`);
+        return utils.stripHexPrefix(account.privateKey);
+    }
+
+    static readKeyFile(keyFile) {
+        // Windows has no permission bits to check
+        if (process.platform !== 'win32' && (fs.statSync(keyFile).mode & 0o004)) {
+            throw new Error(`Key file ${keyFile} is readable by every user, restrict it with chmod 600 ${keyFile}`);
+        }
+        return fs.readFileSync(keyFile, 'utf8').trim();
+    }
+
+    static parseKeystore(content) {
+        let keystore;
+        try {
+            keystore = JSON.parse(content);
+        } catch (err) {
+            return null;
+        }
+        // A hex key made only of digits parses as a number
+        if (typeof keystore !== 'object') {
+            return null;
+        }
+        if (!keystore || keystore.version !== 3 || !(keystore.crypto || keystore.Crypto)) {
+            throw new Error('Key file is JSON but not a V3 keystore');
+        }
+        return keystore;
+    }
+
+    // The passphrase comes from the environment, a Docker secret file or a prompt, in that order
+    static async getPassword(config, keyFile) {
+        const passwordEnv = config.keystorePasswordEnv || PASSWORD_ENV;
+        if (process.env[passwordEnv] !== undefined) {
+            const password = process.env[passwordEnv];
+            // Child processes don't need to see it
+            delete process.env[passwordEnv];
+            return password;
+        }
+        const passwordFile = config.keystorePasswordFile || DEFAULT_PASSWORD_FILE;
+        if (fs.existsSync(passwordFile)) {
+            return fs.readFileSync(passwordFile, 'utf8').replace(/\r?\n$/, '');
+        }
+        if (process.stdin.isTTY) {
+            return KeyLoader.promptPassword(`Passphrase for ${keyFile}: `);
+        }
+        throw new Error(`No passphrase for the keystore ${keyFile}, set ${passwordEnv} or the file ${passwordFile}`);
+    }
+
+    static promptPassword(question) {
+        return new Promise((resolve) => {
+            const rl = readline.createInterface({ input: process.stdin, output: process.stdout, terminal: true });
+            let muted = false;
+            // Don't echo the passphrase
+            rl._writeToOutput = (text) => {
+                if (!muted) {
+                    rl.output.write(text);
+                }
+            };
+            rl.question(question, (password) => {
+                rl.output.write('\n');
+                rl.close();
+                resolve(password);
+            });
+            muted = true;
+        });
+    }
+}
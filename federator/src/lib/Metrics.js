@@ -0,0 +1,196 @@
+const client = require('prom-client');
+const utils = require('./utils');
+
+// Metrics served by the /metrics endpoint, all of them in a registry of our own instead of the prom-client global one
+const register = new client.Registry();
+
+const lastBlock = new client.Gauge({
+    name: 'federator_last_block',
+    help: 'Last block processed by the federator',
+    labelNames: ['direction'],
+    registers: [register],
+});
+
+const blockLag = new client.Gauge({
+    name: 'federator_block_lag',
+    help: 'Blocks between the chain head and the last block processed by the federator',
+    labelNames: ['direction'],
+    registers: [register],
+});
+
+const crossEvents = new client.Counter({
+    name: 'federator_cross_events_total',
+    help: 'Cross events found',
+    labelNames: ['direction'],
+    registers: [register],
+});
+
+const votes = new client.Counter({
+    name: 'federator_votes_total',
+    help: 'Votes by result, sent, pending, failed or reverted',
+    labelNames: ['direction', 'result'],
+    registers: [register],
+});
+
+const gasUsed = new client.Counter({
+    name: 'federator_gas_used_total',
+    help: 'Gas used by the federator transactions',
+    labelNames: ['chain'],
+    registers: [register],
+});
+
+const gasSpent = new client.Counter({
+    name: 'federator_gas_spent_wei_total',
+    help: 'Wei paid for the gas used by the federator transactions',
+    labelNames: ['chain'],
+    registers: [register],
+});
+
+const balance = new client.Gauge({
+    name: 'federator_balance_wei',
+    help: 'Balance of the federator account',
+    labelNames: ['chain'],
+    registers: [register],
+});
+
+const fundsRemaining = new client.Gauge({
+    name: 'federator_funds_remaining',
+    help: 'Votes or heartbeats the federator balance still covers at the current gas price',
+    labelNames: ['chain', 'kind'],
+    registers: [register],
+});
+
+const heartbeats = new client.Counter({
+    name: 'federator_heartbeats_total',
+    help: 'Heartbeat emissions by result, sent or failed',
+    labelNames: ['result'],
+    registers: [register],
+});
+
+const rpcDuration = new client.Histogram({
+    name: 'federator_rpc_request_duration_seconds',
+    help: 'Latency of the JSON-RPC calls to the nodes',
+    labelNames: ['chain', 'method'],
+    buckets: [0.05, 0.1, 0.25, 0.5, 1, 2.5, 5, 10, 30],
+    registers: [register],
+});
+
+const rpcErrors = new client.Counter({
+    name: 'federator_rpc_errors_total',
+    help: 'JSON-RPC calls to the nodes that failed',
+    labelNames: ['chain', 'method'],
+    registers: [register],
+});
+
+const receiptMismatches = new client.Counter({
+    name: 'federator_receipt_mismatches_total',
+    help: 'Cross logs not voted because they did not match their transaction receipt or the canonical block',
+    labelNames: ['direction'],
+    registers: [register],
+});
+
+const receiptProofFailures = new client.Counter({
+    name: 'federator_receipt_proof_failures_total',
+    help: 'Cross logs not voted because their receipt proof did not match the block header',
+    labelNames: ['direction'],
+    registers: [register],
+});
+
+const quorumDisagreements = new client.Counter({
+    name: 'federator_quorum_disagreements_total',
+    help: 'Cross logs a quorum provider returned different from the node, or did not find',
+    labelNames: ['direction', 'provider'],
+    registers: [register],
+});
+
+const subsystemState = new client.Gauge({
+    name: 'federator_subsystem_circuit_state',
+    help: 'Circuit breaker of each subsystem, 0 closed, 1 half open, 2 open',
+    labelNames: ['subsystem'],
+    registers: [register],
+});
+
+const subsystemFailures = new client.Counter({
+    name: 'federator_subsystem_failures_total',
+    help: 'Failed runs of each subsystem',
+    labelNames: ['subsystem'],
+    registers: [register],
+});
+
+const alerts = new client.Counter({
+    name: 'federator_alerts_total',
+    help: 'Alerts by type and result, sent, suppressed or failed',
+    labelNames: ['type', 'result'],
+    registers: [register],
+});
+
+new client.Gauge({
+    name: 'federator_memory_usage_mb',
+    help: 'Heap used by the federator process in MB',
+    registers: [register],
+    collect() {
+        this.set(utils.memoryUsage());
+    },
+});
+
+// The optional chain name of the network .json file, or the host of the node without the path that may hold an API key
+function chainName(chainConfig) {
+    if (chainConfig.name) {
+        return chainConfig.name;
+    }
+    try {
+        return new URL(utils.getHosts(chainConfig)[0]).host;
+    } catch (err) {
+        return 'unknown';
+    }
+}
+
+function directionName(config) {
+    return `${chainName(config.mainchain)}->${chainName(config.sidechain)}`;
+}
+
+// Times every JSON-RPC call of the web3 instance and counts the ones that fail
+function instrumentWeb3(web3, chain) {
+    const provider = web3 && web3.currentProvider;
+    if (!provider || typeof provider.send !== 'function' || provider.instrumented) {
+        return web3;
+    }
+    const send = provider.send.bind(provider);
+    provider.send = (payload, callback) => {
+        const method = Array.isArray(payload) ? 'batch' : payload.method;
+        const endTimer = rpcDuration.startTimer({ chain, method });
+        send(payload, (err, result) => {
+            endTimer();
+            if (err || (result && result.error)) {
+                rpcErrors.inc({ chain, method });
+            }
+            callback(err, result);
+        });
+    };
+    provider.instrumented = true;
+    return web3;
+}
+
+module.exports = {
+    register,
+    lastBlock,
+    blockLag,
+    crossEvents,
+    votes,
+    gasUsed,
+    gasSpent,
+    balance,
+    fundsRemaining,
+    heartbeats,
+    rpcDuration,
+    rpcErrors,
+    receiptMismatches,
+    receiptProofFailures,
+    quorumDisagreements,
+    subsystemState,
+    subsystemFailures,
+    alerts,
+    chainName,
+    directionName,
+    instrumentWeb3,
+};
@@ -0,0 +1,86 @@
+/**
+ * Keeps track of the nonces this federator used per chain and address, and of the transactions sent
+ * with them that are not mined yet, so they can be replaced with the same nonce when they get stuck.
+ */
+module.exports = class NonceManager {
+    constructor(storage) {
+        this.storage = storage;
+    }
+
+    _key(chainId, address) {
+        return `nonces:${chainId}:${address.toLowerCase()}`;
+    }
+
+    _getState(chainId, address) {
+        return this.storage.get(this._key(chainId, address), { nextNonce: 0, pending: {} });
+    }
+
+    _setState(chainId, address, state) {
+        this.storage.set(this._key(chainId, address), state);
+    }
+
+    // The node pending count doesn't include transactions it dropped or never received, we never go below what we issued
+    // and skip the nonces still tracked, they're only reused by their replacements
+    getNonce(chainId, address, nodeNonce) {
+        const state = this._getState(chainId, address);
+        let nonce = Math.max(parseInt(nodeNonce), state.nextNonce);
+        while (state.pending[nonce]) {
+            nonce++;
+        }
+        return nonce;
+    }
+
+    // cancelled marks the 0 value transfer that replaces a transaction that was never mined
+    track(chainId, address, nonce, { transactionHash, rawTx, gasPrice, cancelled = false }) {
+        const state = this._getState(chainId, address);
+        const previous = state.pending[nonce];
+        state.pending[nonce] = {
+            nonce,
+            rawTx,
+            gasPrice,
+            transactionHashes: [...(previous ? previous.transactionHashes : []), transactionHash],
+            replacements: previous ? previous.replacements + 1 : 0,
+            cancelled,
+            sentAt: Date.now()
+        };
+        state.nextNonce = Math.max(state.nextNonce, nonce + 1);
+        this._setState(chainId, address, state);
+    }
+
+    confirm(chainId, address, nonce) {
+        this._remove(chainId, address, nonce);
+    }
+
+    // Stops replacing a nonce whose cancel was not mined either. When the node dropped it the next transaction
+    // takes that nonce again, otherwise the following ones would wait forever behind the gap
+    abandon(chainId, address, nonce) {
+        const state = this._getState(chainId, address);
+        delete state.pending[nonce];
+        state.nextNonce = Math.min(state.nextNonce, nonce);
+        this._setState(chainId, address, state);
+    }
+
+    _remove(chainId, address, nonce) {
+        const state = this._getState(chainId, address);
+        if (state.pending[nonce]) {
+            delete state.pending[nonce];
+            this._setState(chainId, address, state);
+        }
+    }
+
+    // Returns the transactions not mined yet, minedNonce is the node transaction count at the latest block
+    getPending(chainId, address, minedNonce) {
+        const state = this._getState(chainId, address);
+        const minedNonces = Object.keys(state.pending).filter(nonce => parseInt(nonce) < minedNonce);
+        if (minedNonces.length) {
+            minedNonces.forEach(nonce => delete state.pending[nonce]);
+            this._setState(chainId, address, state);
+        }
+        return Object.values(state.pending).sort((a, b) => a.nonce - b.nonce);
+    }
+
+    // Transactions sent more than timeout ms ago that are still not mined
+    getStuck(chainId, address, minedNonce, timeout, now = Date.now()) {
+        return this.getPending(chainId, address, minedNonce).filter(({ sentAt }) => now - sentAt >= timeout);
+    }
+}
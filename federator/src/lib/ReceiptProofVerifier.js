@@ -0,0 +1,121 @@
+const ethUtils = require('ethereumjs-util');
+const ReceiptTrie = require('./ReceiptTrie');
+const CrossLogVerifier = require('./CrossLogVerifier');
+const utils = require('./utils');
+
+const bytes = value => ethUtils.toBuffer(value || '0x');
+const quantity = value => ethUtils.unpad(ethUtils.toBuffer(value || '0x'));
+
+// Header fields in RLP order, the last ones were added by later forks and are only encoded when the node returns them
+const HEADER_FIELDS = [
+    ['parentHash', bytes], ['sha3Uncles', bytes], ['miner', bytes], ['stateRoot', bytes], ['transactionsRoot', bytes],
+    ['receiptsRoot', bytes], ['logsBloom', bytes], ['difficulty', quantity], ['number', quantity], ['gasLimit', quantity],
+    ['gasUsed', quantity], ['timestamp', quantity], ['extraData', bytes], ['mixHash', bytes], ['nonce', bytes]
+];
+const FORK_HEADER_FIELDS = [
+    ['baseFeePerGas', quantity], ['withdrawalsRoot', bytes], ['blobGasUsed', quantity], ['excessBlobGas', quantity],
+    ['parentBeaconBlockRoot', bytes], ['requestsHash', bytes]
+];
+// Receipts requested at once when the node has no eth_getBlockReceipts
+const RECEIPTS_BATCH_SIZE = 20;
+// RSK mainnet, testnet and regtest, their block headers are not encoded as the Ethereum ones
+const RSK_CHAIN_IDS = [30, 31, 33];
+
+/**
+ * Proves a Cross log is part of the block being voted, without trusting the node answers:
+ * the receipts trie of the block is rebuilt from its receipts, the Merkle-Patricia proof of the
+ * transaction receipt has to hash up to the receiptsRoot of the header, and the header has to hash
+ * to the block hash of the log. Only Ethereum block headers are supported.
+ */
+module.exports = class ReceiptProofVerifier {
+    constructor(web3) {
+        this.web3 = web3;
+        this.crossLogVerifier = new CrossLogVerifier(web3);
+        this.blockReceiptsSupported = true;
+    }
+
+    static isSupported(chainId) {
+        return !RSK_CHAIN_IDS.includes(Number(chainId));
+    }
+
+    static hashHeader(block) {
+        const fields = HEADER_FIELDS.map(([name, encode]) => encode(block[name]));
+        for (const [name, encode] of FORK_HEADER_FIELDS) {
+            if (block[name] !== undefined && block[name] !== null) {
+                fields.push(encode(block[name]));
+            }
+        }
+        return ethUtils.bufferToHex(ethUtils.keccak256(ethUtils.rlp.encode(fields)));
+    }
+
+    // Folds the proof nodes from the leaf up to the root as a contract would with the prefixes and suffixes
+    static proofRoot(proof) {
+        const nodes = proof.map(utils.stripHexPrefix);
+        const { prefixes, suffixes } = utils.calculatePrefixesSuffixes([...proof]);
+        // calculatePrefixesSuffixes skips the nodes embedded in the next one, the first node left is the hashed leaf
+        const leaf = nodes.find((node, k) => k + 1 >= nodes.length || nodes[k + 1].indexOf(node) < 0);
+        let hash = ethUtils.keccak256(Buffer.from(leaf, 'hex'));
+        for (let k = 1; k < prefixes.length; k++) {
+            hash = ethUtils.keccak256(Buffer.concat([ethUtils.toBuffer(prefixes[k]), hash, ethUtils.toBuffer(suffixes[k])]));
+        }
+        return ethUtils.bufferToHex(hash);
+    }
+
+    // Returns the mismatches found, the log can be voted when there are none
+    async verify(log, abi, bridgeAddress) {
+        const blockHash = String(log.blockHash).toLowerCase();
+        const block = await utils.retry3Times(() => this._request('eth_getBlockByHash', [blockHash, false]));
+        if (!block) {
+            return [`block ${blockHash} not found`];
+        }
+        const headerHash = ReceiptProofVerifier.hashHeader(block);
+        if (headerHash !== blockHash) {
+            return [`header of block ${blockHash} hashes to ${headerHash}`];
+        }
+
+        const receipts = await this._getBlockReceipts(block);
+        const receipt = receipts.find(({ transactionHash }) => transactionHash.toLowerCase() === String(log.transactionHash).toLowerCase());
+        if (!receipt) {
+            return [`transaction ${log.transactionHash} is not in the receipts of block ${blockHash}`];
+        }
+        const proof = ReceiptTrie.fromReceipts(receipts).proof(ethUtils.rlp.encode(parseInt(receipt.transactionIndex)));
+        const proofRoot = ReceiptProofVerifier.proofRoot(proof);
+        if (proofRoot !== block.receiptsRoot.toLowerCase()) {
+            return [`receipt proof hashes to ${proofRoot} instead of the receiptsRoot ${block.receiptsRoot}`];
+        }
+        return this.crossLogVerifier.checkReceipt(receipt, log, abi, bridgeAddress);
+    }
+
+    async _getBlockReceipts(block) {
+        if (this.blockReceiptsSupported) {
+            try {
+                return await this._request('eth_getBlockReceipts', [block.hash]);
+            } catch (err) {
+                this.blockReceiptsSupported = false;
+            }
+        }
+        const receipts = [];
+        for (let i = 0; i < block.transactions.length; i += RECEIPTS_BATCH_SIZE) {
+            const batch = block.transactions.slice(i, i + RECEIPTS_BATCH_SIZE);
+            receipts.push(...await Promise.all(batch.map(transactionHash =>
+                utils.retry3Times(() => this._request('eth_getTransactionReceipt', [transactionHash]))
+            )));
+        }
+        return receipts.filter(receipt => receipt);
+    }
+
+    // Raw JSON-RPC answers, web3 formatters drop or convert the fields the encodings need
+    _request(method, params) {
+        return new Promise((resolve, reject) => {
+            this.web3.currentProvider.send({ jsonrpc: '2.0', id: Date.now(), method, params }, (err, response) => {
+                if (err) {
+                    return reject(err);
+                }
+                if (response.error) {
+                    return reject(new Error(response.error.message));
+                }
+                resolve(response.result);
+            });
+        });
+    }
+}
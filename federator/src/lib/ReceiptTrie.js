@@ -0,0 +1,157 @@
+const ethUtils = require('ethereumjs-util');
+
+const { rlp, keccak256, BN } = ethUtils;
+
+function bytes(hex) {
+    return Buffer.from(ethUtils.stripHexPrefix(hex || ''), 'hex');
+}
+
+// Quantities are encoded big endian without leading zeros, zero is the empty byte string
+function quantity(value) {
+    const bn = typeof value === 'number' ? new BN(value) : new BN(ethUtils.stripHexPrefix(value || '0x0'), 16);
+    return bn.isZero() ? Buffer.alloc(0) : bn.toArrayLike(Buffer);
+}
+
+function toNibbles(key) {
+    const nibbles = [];
+    for (const byte of key) {
+        nibbles.push(byte >> 4, byte & 0x0f);
+    }
+    return nibbles;
+}
+
+// Hex prefix encoding of a leaf or extension path
+function encodePath(nibbles, isLeaf) {
+    const flag = (isLeaf ? 2 : 0) + nibbles.length % 2;
+    const padded = nibbles.length % 2 ? [flag, ...nibbles] : [flag, 0, ...nibbles];
+    const encoded = Buffer.alloc(padded.length / 2);
+    for (let i = 0; i < encoded.length; i++) {
+        encoded[i] = padded[2 * i] * 16 + padded[2 * i + 1];
+    }
+    return encoded;
+}
+
+function decodePath(encoded) {
+    const nibbles = toNibbles(encoded);
+    return { nibbles: nibbles.slice(nibbles[0] % 2 ? 1 : 2), isLeaf: nibbles[0] >= 2 };
+}
+
+function commonPrefixLength(entries, depth) {
+    const first = entries[0].nibbles;
+    let length = 0;
+    while (entries.every(({ nibbles }) => depth + length < nibbles.length && nibbles[depth + length] === first[depth + length])) {
+        length++;
+    }
+    return length;
+}
+
+/**
+ * In memory Merkle Patricia trie built at once from all its entries, like the receipts trie of a block
+ * whose keys are the RLP encoded transaction indexes and whose values are the encoded receipts.
+ */
+module.exports = class ReceiptTrie {
+    // entries is a list of [key, value] Buffers
+    constructor(entries) {
+        this.nodesByHash = new Map();
+        const nodeEntries = entries.map(([key, value]) => ({ nibbles: toNibbles(key), value }));
+        this.rootNode = nodeEntries.length ? this._build(nodeEntries, 0) : null;
+    }
+
+    static fromReceipts(receipts) {
+        return new ReceiptTrie(receipts.map(receipt => [
+            rlp.encode(parseInt(receipt.transactionIndex)),
+            ReceiptTrie.encodeReceipt(receipt)
+        ]));
+    }
+
+    // Consensus encoding of a receipt as returned by eth_getTransactionReceipt, typed receipts are prefixed by their type
+    static encodeReceipt(receipt) {
+        const logs = receipt.logs.map(log => [bytes(log.address), log.topics.map(bytes), bytes(log.data)]);
+        // Receipts before Byzantium have the state root instead of the status
+        const statusOrRoot = receipt.root ? bytes(receipt.root) : quantity(typeof receipt.status === 'boolean' ? Number(receipt.status) : receipt.status);
+        const encoded = rlp.encode([statusOrRoot, quantity(receipt.cumulativeGasUsed), bytes(receipt.logsBloom), logs]);
+        const type = receipt.type ? parseInt(receipt.type) : 0;
+        return type ? Buffer.concat([Buffer.from([type]), encoded]) : encoded;
+    }
+
+    _build(entries, depth) {
+        if (entries.length === 1) {
+            return [encodePath(entries[0].nibbles.slice(depth), true), entries[0].value];
+        }
+        const prefixLength = commonPrefixLength(entries, depth);
+        if (prefixLength) {
+            const path = entries[0].nibbles.slice(depth, depth + prefixLength);
+            return [encodePath(path, false), this._reference(this._build(entries, depth + prefixLength))];
+        }
+        const branch = new Array(17).fill(Buffer.alloc(0));
+        for (let nibble = 0; nibble < 16; nibble++) {
+            const children = entries.filter(({ nibbles }) => nibbles.length > depth && nibbles[depth] === nibble);
+            if (children.length) {
+                branch[nibble] = this._reference(this._build(children, depth + 1));
+            }
+        }
+        const valueEntry = entries.find(({ nibbles }) => nibbles.length === depth);
+        if (valueEntry) {
+            branch[16] = valueEntry.value;
+        }
+        return branch;
+    }
+
+    // Nodes shorter than a hash are embedded in their parent, the rest are referenced by their hash
+    _reference(node) {
+        const encoded = rlp.encode(node);
+        if (encoded.length < 32) {
+            return node;
+        }
+        const hash = keccak256(encoded);
+        this.nodesByHash.set(hash.toString('hex'), node);
+        return hash;
+    }
+
+    _child(reference) {
+        if (Array.isArray(reference)) {
+            return reference;
+        }
+        return reference.length ? this.nodesByHash.get(reference.toString('hex')) : null;
+    }
+
+    root() {
+        return ethUtils.bufferToHex(keccak256(rlp.encode(this.rootNode || Buffer.alloc(0))));
+    }
+
+    /**
+     * RLP encoded nodes from the leaf of key up to the root, the order utils.calculatePrefixesSuffixes expects.
+     * Returns null when the key is not in the trie.
+     */
+    proof(key) {
+        const nibbles = toNibbles(key);
+        const path = [];
+        let node = this.rootNode;
+        let depth = 0;
+        while (node) {
+            path.push(node);
+            if (node.length === 17) {
+                if (depth === nibbles.length) {
+                    return node[16].length ? this._encodePath(path) : null;
+                }
+                node = this._child(node[nibbles[depth]]);
+                depth++;
+                continue;
+            }
+            const { nibbles: nodePath, isLeaf } = decodePath(node[0]);
+            if (!nodePath.every((nibble, i) => nibbles[depth + i] === nibble)) {
+                return null;
+            }
+            depth += nodePath.length;
+            if (isLeaf) {
+                return depth === nibbles.length ? this._encodePath(path) : null;
+            }
+            node = this._child(node[1]);
+        }
+        return null;
+    }
+
+    _encodePath(path) {
+        return path.reverse().map(node => ethUtils.bufferToHex(rlp.encode(node)));
+    }
+}
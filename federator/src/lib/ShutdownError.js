@@ -0,0 +1,6 @@
+// Thrown between votes once a shutdown was requested, the progress of the current page is not saved so it's read again on the next start
+module.exports = class ShutdownError extends Error {
+    constructor() {
+        super('Shutting down, remaining logs will be processed on the next start');
+    }
+}
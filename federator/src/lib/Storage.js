@@ -0,0 +1,306 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const LOG_FILE = 'state.log';
+// Holds the pid and host of the process writing the storage, only one process can write it
+const LOCK_FILE = 'state.lock';
+// The holder rewrites lockedAt every minute, a lock not refreshed for 5 minutes was left by a process that is gone
+const LOCK_REFRESH_MS = 60_000;
+const LOCK_TTL_MS = 5 * 60_000;
+// Rewrite the log once it holds this many operations more than live keys
+const COMPACTION_THRESHOLD = 1000;
+
+// Files the federator used to keep in the storage path before this store existed
+const LEGACY_FILES = {
+    lastBlock: 'lastBlock.txt',
+    heartbeatLastBlock: 'heartBeatLastBlock.txt',
+    revertedTxns: 'revertedTxns.json',
+    manuallyCheck: 'manuallyCheck.txt',
+};
+
+const openStorages = new Map();
+
+/**
+ * Crash safe key/value store backed by an append-only log of JSON lines.
+ * Every write is appended and fsynced before returning, a torn last line left by a crash is
+ * discarded on load, and the log is compacted into a snapshot once it grows past the live data.
+ * The first write takes a lock file that is released on close, writes fail while another live process holds it.
+ * The holder refreshes the lock while it runs, so a lock left by a process of another host expires.
+ */
+class Storage {
+    constructor(storagePath) {
+        this.storagePath = storagePath;
+        this.logPath = path.join(storagePath, LOG_FILE);
+        this.lockPath = path.join(storagePath, LOCK_FILE);
+        this.data = null;
+        this.fd = null;
+        this.operations = 0;
+        this.locked = false;
+        this.lockTimer = null;
+        // Bytes of the log before a torn write, it's truncated by the first write of the process holding the lock
+        this.validBytes = null;
+    }
+
+    // Returns the store for a directory, every component using the same storage path shares it
+    static open(storagePath) {
+        const resolvedPath = path.resolve(storagePath);
+        let storage = openStorages.get(resolvedPath);
+        if (!storage) {
+            storage = new Storage(resolvedPath);
+            openStorages.set(resolvedPath, storage);
+        }
+        return storage;
+    }
+
+    static closeAll() {
+        for (const storage of openStorages.values()) {
+            storage.close();
+        }
+        openStorages.clear();
+    }
+
+    get(key, defaultValue = undefined) {
+        const data = this._load();
+        return data.has(key) ? data.get(key) : defaultValue;
+    }
+
+    has(key) {
+        return this._load().has(key);
+    }
+
+    set(key, value) {
+        const data = this._load();
+        // Before changing the data, a refused write leaves it as it's stored
+        this.lock();
+        data.set(key, value);
+        this._append({ k: key, v: value });
+    }
+
+    delete(key) {
+        const data = this._load();
+        if (!data.has(key)) {
+            return false;
+        }
+        this.lock();
+        data.delete(key);
+        this._append({ k: key, d: true });
+        return true;
+    }
+
+    // Returns the [key, value] pairs whose key starts with prefix
+    entries(prefix = '') {
+        return [...this._load().entries()].filter(([key]) => key.startsWith(prefix));
+    }
+
+    compact() {
+        const data = this._load();
+        if (!fs.existsSync(this.storagePath)) {
+            return;
+        }
+        this.lock();
+        const tmpPath = `${this.logPath}.tmp`;
+        const lines = [...data.entries()].map(([k, v]) => `${JSON.stringify({ k, v })}\n`).join('');
+        const tmpFd = fs.openSync(tmpPath, 'w');
+        try {
+            fs.writeSync(tmpFd, lines);
+            fs.fsyncSync(tmpFd);
+        } finally {
+            fs.closeSync(tmpFd);
+        }
+        this._closeLog();
+        fs.renameSync(tmpPath, this.logPath);
+        this.operations = data.size;
+        this.validBytes = null;
+    }
+
+    // Taken by the first write, the federator takes it on start so nothing else writes its storage while it runs
+    lock() {
+        if (this.locked) {
+            return;
+        }
+        fs.mkdirSync(this.storagePath, { recursive: true });
+        try {
+            this._writeLock('wx');
+        } catch (err) {
+            if (err.code !== 'EEXIST') {
+                throw err;
+            }
+            const holder = this._lockHolder();
+            if (holder && !this._isOwner(holder) && !this._isStale(holder)) {
+                throw new Error(`Storage ${this.storagePath} is locked by process ${holder.pid} on ${holder.hostname}, stop it or remove ${this.lockPath} if it's not running`);
+            }
+            // Left by a process that is gone, or by this one
+            this._writeLock('w');
+        }
+        this.locked = true;
+        this.lockTimer = setInterval(() => this._refreshLock(), LOCK_REFRESH_MS);
+        this.lockTimer.unref();
+    }
+
+    close() {
+        this._closeLog();
+        if (this.locked) {
+            fs.rmSync(this.lockPath, { force: true });
+            this._unlock();
+        }
+    }
+
+    _unlock() {
+        clearInterval(this.lockTimer);
+        this.lockTimer = null;
+        this.locked = false;
+    }
+
+    _writeLock(flag) {
+        fs.writeFileSync(this.lockPath, JSON.stringify({ pid: process.pid, hostname: os.hostname(), lockedAt: new Date().toISOString() }), { flag });
+    }
+
+    // A process that took over the lock meanwhile keeps it, the next write of this one fails
+    _refreshLock() {
+        const holder = this._lockHolder();
+        if (holder && !this._isOwner(holder)) {
+            this._unlock();
+            return;
+        }
+        try {
+            this._writeLock('w');
+        } catch (err) {
+            // Retried on the next refresh, the lock only goes stale after several missed ones
+        }
+    }
+
+    _isOwner({ pid, hostname }) {
+        return pid === process.pid && hostname === os.hostname();
+    }
+
+    _closeLog() {
+        if (this.fd !== null) {
+            fs.fsyncSync(this.fd);
+            fs.closeSync(this.fd);
+            this.fd = null;
+        }
+    }
+
+    _lockHolder() {
+        try {
+            return JSON.parse(fs.readFileSync(this.lockPath, 'utf8'));
+        } catch (err) {
+            // A lock file torn by a crash
+            return null;
+        }
+    }
+
+    // The processes of other hosts, like a previous container of the federator, can't be checked and their lock
+    // goes stale once it's no longer refreshed. The pid of a gone process can be taken by another one too.
+    _isStale({ pid, hostname, lockedAt }) {
+        if (!(Date.now() - Date.parse(lockedAt) < LOCK_TTL_MS)) {
+            return true;
+        }
+        if (hostname !== os.hostname()) {
+            return false;
+        }
+        try {
+            process.kill(pid, 0);
+            return false;
+        } catch (err) {
+            return err.code === 'ESRCH';
+        }
+    }
+
+    _append(operation) {
+        if (this.fd === null) {
+            this.lock();
+            if (this.validBytes !== null) {
+                fs.truncateSync(this.logPath, this.validBytes);
+                this.validBytes = null;
+            }
+            this.fd = fs.openSync(this.logPath, 'a');
+        }
+        fs.writeSync(this.fd, `${JSON.stringify(operation)}\n`);
+        fs.fsyncSync(this.fd);
+        this.operations++;
+        if (this.operations - this.data.size > COMPACTION_THRESHOLD) {
+            this.compact();
+        }
+    }
+
+    _load() {
+        if (this.data) {
+            return this.data;
+        }
+        this.data = new Map();
+        if (!fs.existsSync(this.logPath)) {
+            this._migrateLegacyFiles();
+            return this.data;
+        }
+
+        const content = fs.readFileSync(this.logPath, 'utf8');
+        // Anything after the last new line is a write interrupted by a crash, and so is an unreadable last line.
+        // An unreadable line followed by others is not, the operations after it can't be dropped.
+        const lines = content.split('\n').slice(0, -1);
+        let validBytes = 0;
+        for (const [index, line] of lines.entries()) {
+            let operation;
+            try {
+                operation = JSON.parse(line);
+            } catch (err) {
+                if (index < lines.length - 1) {
+                    this.data = null;
+                    throw new Error(`Storage ${this.logPath} is corrupted at line ${index + 1}, restore it from a backup`);
+                }
+                break;
+            }
+            if (operation.d) {
+                this.data.delete(operation.k);
+            } else {
+                this.data.set(operation.k, operation.v);
+            }
+            this.operations++;
+            validBytes += Buffer.byteLength(line) + 1;
+        }
+        if (validBytes < Buffer.byteLength(content)) {
+            this.validBytes = validBytes;
+        }
+        return this.data;
+    }
+
+    // One time import of the plain files used by previous versions, they are renamed to *.migrated afterwards
+    _migrateLegacyFiles() {
+        const legacyPath = (key) => path.join(this.storagePath, LEGACY_FILES[key]);
+        const migrated = Object.keys(LEGACY_FILES).filter(key => fs.existsSync(legacyPath(key)));
+        if (!migrated.length) {
+            return;
+        }
+
+        for (const key of ['lastBlock', 'heartbeatLastBlock']) {
+            if (migrated.includes(key)) {
+                const value = parseInt(fs.readFileSync(legacyPath(key), 'utf8'));
+                if (!isNaN(value)) {
+                    this.data.set(key, value);
+                }
+            }
+        }
+        if (migrated.includes('revertedTxns')) {
+            const revertedTxns = JSON.parse(fs.readFileSync(legacyPath('revertedTxns'), 'utf8'));
+            for (const txId in revertedTxns) {
+                this.data.set(`revertedTxns:${txId}`, revertedTxns[txId]);
+            }
+        }
+        if (migrated.includes('manuallyCheck')) {
+            const lines = fs.readFileSync(legacyPath('manuallyCheck'), 'utf8').split('\n').filter(line => line.length);
+            for (const line of lines) {
+                const [, transactionHash, to, data] = line.match(/^transactionHash:(\S*) to:(\S*) data:(\S*)$/) || [];
+                this.data.set(`manuallyCheck:${transactionHash || line}`, { transactionHash, to, data });
+            }
+        }
+
+        // The snapshot is written atomically, a crash before this point leaves the legacy files untouched
+        this.compact();
+        for (const key of migrated) {
+            fs.renameSync(legacyPath(key), `${legacyPath(key)}.migrated`);
+        }
+    }
+}
+
+module.exports = Storage;
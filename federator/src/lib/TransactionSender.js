@@ -1,20 +1,44 @@
 
-const Tx = require('ethereumjs-tx');
-const ethUtils = require('ethereumjs-util');
 const utils = require('./utils');
-const fs = require('fs');
 const axios = require('axios');
 
 const CustomError = require('./CustomError');
+const Storage = require('./Storage');
+const NonceManager = require('./NonceManager');
+const GasPriceStrategyFactory = require('../gasPrice/GasPriceStrategyFactory');
+const GasPriceCeilingError = require('../gasPrice/GasPriceCeilingError');
+const LocalSigner = require('../signers/LocalSigner');
+const SignerFactory = require('../signers/SignerFactory');
+const Metrics = require('./Metrics');
+const Alerter = require('./Alerter');
 const ESTIMATED_GAS = 250000;
+const CANCEL_GAS = 21000;
+// Nodes only accept a replacement transaction paying at least 10% more
+const GAS_PRICE_BUMP = 1.125;
+// Lower than the 750 seconds web3 waits for a receipt, so the next send replaces a transaction that timed out
+const DEFAULT_STUCK_TRANSACTION_MINUTES = 10;
+const DEFAULT_MAX_TRANSACTION_REPLACEMENTS = 3;
+const EIP1559_TRANSACTION_TYPE = '0x2';
+const GWEI = 1000000000;
 
 module.exports = class TransactionSender {
-    constructor(client, logger, config) {
+    constructor(client, logger, config, chainConfig = {}) {
         this.client = client;
         this.logger = logger;
         this.chainId = null;
-        this.manuallyCheck = `${config.storagePath || __dirname}/manuallyCheck.txt`;
+        this.chainName = Metrics.chainName(chainConfig);
+        this.transactionType = chainConfig.transactionType || 'legacy';
+        this.gasPriceStrategyConfig = chainConfig.gasPriceStrategy || {};
+        // A configured strategy is created now so its options fail at startup, the default one depends on the chain id
+        this.gasPriceStrategy = this.gasPriceStrategyConfig.type ? this._createGasPriceStrategy(this.gasPriceStrategyConfig.type) : null;
+        this.gasPriceCeiling = chainConfig.gasPriceCeilingGwei ? Math.round(chainConfig.gasPriceCeilingGwei * GWEI) : null;
+        this.storage = Storage.open(config.storagePath || __dirname);
+        // Shared by every sender of the process, the nonces of an address on a chain can't be tracked twice
+        this.nonceManager = new NonceManager(Storage.open(config.nonceStoragePath || config.storagePath || __dirname));
+        this.stuckTransactionTimeout = (config.stuckTransactionMinutes != null ? config.stuckTransactionMinutes : DEFAULT_STUCK_TRANSACTION_MINUTES) * 1000 * 60;
+        this.maxTransactionReplacements = config.maxTransactionReplacements != null ? config.maxTransactionReplacements : DEFAULT_MAX_TRANSACTION_REPLACEMENTS;
         this.etherscanApiKey = config.etherscanApiKey;
+        this.signer = config.signer ? SignerFactory.create(logger, config.signer) : null;
         this.debuggingMode = false;
     }
 
@@ -29,12 +53,60 @@ module.exports = class TransactionSender {
         return `0x${Math.ceil(parseInt(number)).toString(16)}`;
     }
 
-    async getGasPrice() {
+    isRskChainId(chainId) {
+        return chainId >= 30 && chainId <= 33;
+    }
+
+    // RSK has no fee market, its transactions are always legacy regardless of the chain transactionType
+    async useEip1559() {
         const chainId = await this.getChainId();
-        if (chainId >= 30 && chainId <= 33) {
-            return this.getRskGasPrice();
+        return this.transactionType === 'eip1559' && !this.isRskChainId(chainId);
+    }
+
+    async getGasPriceStrategy() {
+        if (!this.gasPriceStrategy) {
+            const chainId = await this.getChainId();
+            this.gasPriceStrategy = this._createGasPriceStrategy(GasPriceStrategyFactory.getDefaultType(chainId, await this.useEip1559()));
         }
-        return this.getEthGasPrice();
+        return this.gasPriceStrategy;
+    }
+
+    _createGasPriceStrategy(type) {
+        const { type: configuredType, ...options } = this.gasPriceStrategyConfig;
+        return GasPriceStrategyFactory.create(this.client, this.logger, type, {
+            ...options,
+            useEtherscanApi: (data) => this.useEtherscanApi(data)
+        });
+    }
+
+    // Returns { gasPrice } for legacy transactions or { maxFeePerGas, maxPriorityFeePerGas } for EIP-1559 ones.
+    // Throws GasPriceCeilingError when the gasPrice or maxFeePerGas is above the chain gasPriceCeilingGwei,
+    // not every strategy knows the base fee and a maxFeePerGas capped below it would never be mined
+    async getFees(useEip1559 = null) {
+        const chainId = await this.getChainId();
+        if (useEip1559 === null) {
+            useEip1559 = await this.useEip1559();
+        }
+        const strategy = await this.getGasPriceStrategy();
+        const { baseFeePerGas, ...fees } = await strategy.getFees(chainId, useEip1559);
+        this._checkGasPriceCeiling(fees.gasPrice || fees.maxFeePerGas);
+        return fees;
+    }
+
+    _checkGasPriceCeiling(gasPrice) {
+        if (this.gasPriceCeiling && gasPrice > this.gasPriceCeiling) {
+            throw new GasPriceCeilingError(gasPrice, this.gasPriceCeiling);
+        }
+    }
+
+    // Fees for a replacement, at least GAS_PRICE_BUMP times the ones of rawTx or the current ones if they are higher
+    bumpFees(rawTx, currentFees) {
+        const fees = {};
+        for (const fee in currentFees) {
+            const bumpedFee = rawTx[fee] ? Math.ceil(parseInt(rawTx[fee]) * GAS_PRICE_BUMP) : 0;
+            fees[fee] = this.numberToHexString(Math.max(bumpedFee, currentFees[fee]));
+        }
+        return fees;
     }
 
     async getGasLimit(rawTx) {
@@ -51,76 +123,39 @@ module.exports = class TransactionSender {
         return +estimatedGas < ESTIMATED_GAS ? ESTIMATED_GAS : +estimatedGas;
     }
 
-    async getEthGasPrice() {
-        const chainId = await this.getChainId();
-        const gasPrice = parseInt(await this.client.eth.getGasPrice());
-        let useGasPrice = gasPrice <= 1 ? 1: Math.round(gasPrice * 1.5);
-        if (chainId == 1) {
-            const data = {
-                module: 'gastracker',
-                action: 'gasoracle'
-            };
-            const response = await this.useEtherscanApi(data);
-            const gasOraclePrice = response.result;
-            const proposeGasPrice = parseInt(this.client.utils.toWei(gasOraclePrice.ProposeGasPrice, 'gwei'));
-            const fastGasPrice = parseInt(this.client.utils.toWei(gasOraclePrice.FastGasPrice, 'gwei'));
-            // Add a 1.3% margin to avoid gas spikes as even fast gas price is not enough
-            const fastGasPricePlus = Math.ceil(fastGasPrice * 1.013);
-            if (fastGasPrice >= gasPrice && useGasPrice >= fastGasPrice) {
-                // If fastGasPrice is cheaper than gasPrice x1.5 use fastGasPrice
-                // we check that fastGasPrice is bigger than gasPrice to avoid posible attacks and API errors
-                this.logger.info('gasPrice', gasPrice,'useGasPrice', useGasPrice);
-                this.logger.info('gasOraclePrice', gasOraclePrice);
-                this.logger.debug('useGasPrice >= fastGasPrice, we will use', fastGasPricePlus);
-                return fastGasPricePlus;
-            }
-            if (useGasPrice <= 25000000000) {
-                // Currently when we restart an ethereum node the eth_getPrice is given values that are lower than the network
-                // Usually around 9 GWei or 15 GWei that's why we set the limit in 25 GWei
-                // When this happens we will use the gas price provided by etherscan
-                this.logger.info('gasPrice', gasPrice,'useGasPrice', useGasPrice);
-                this.logger.info('gasOraclePrice', gasOraclePrice);
-                this.logger.debug('useGasPrice <= 25000000000, we will use', fastGasPricePlus);
-                return fastGasPricePlus;
-            }
-            if (proposeGasPrice >= gasPrice && proposeGasPrice >= useGasPrice && proposeGasPrice < (useGasPrice * 5)) {
-                // if useGasPrice is lower than proposeGasPrice the transaction will probably get stucked
-                // we add a control in case proposeGasPrice is way high
-                // Try to use fastGasPrice if the value is too high, use proposeGasPrice and add 2 Gwei to help avoid gas spikes
-                const recommendedGas = fastGasPrice < (useGasPrice * 5) ? fastGasPricePlus : proposeGasPrice + 5000000000;
-                this.logger.info('gasPrice', gasPrice,'useGasPrice', useGasPrice);
-                this.logger.info('gasOraclePrice', gasOraclePrice);
-                this.logger.debug('proposeGasPrice >= useGasPrice, we will use', recommendedGas);
-                return recommendedGas;
-            }
-        }
-        return useGasPrice;
-    }
-
-    async getRskGasPrice() {
-        let block = await this.client.eth.getBlock('latest');
-        let gasPrice= parseInt(block.minimumGasPrice);
-        return gasPrice <= 1 ? 1: Math.round(gasPrice * 1.03);
-    }
-
     async getChainId() {
         return parseInt(this.chainId || await this.client.eth.net.getId());
     }
 
     async createRawTransaction(from, to, data, value) {
-        const nonce = await this.getNonce(from);
         const chainId =  await this.getChainId();
-        const gasPrice = await this.getGasPrice();
-        let rawTx = {
-            chainId: chainId,
-            gasPrice: this.numberToHexString(gasPrice),
-            value: this.numberToHexString(value),
-            to: to,
-            data: data,
-            from: from,
-            nonce: this.numberToHexString(nonce),
-            r: 0,
-            s: 0
+        const nonce = this.nonceManager.getNonce(chainId, from, await this.getNonce(from));
+        const fees = await this.getFees();
+        let rawTx;
+        if (fees.maxFeePerGas) {
+            rawTx = {
+                type: EIP1559_TRANSACTION_TYPE,
+                chainId: chainId,
+                maxFeePerGas: this.numberToHexString(fees.maxFeePerGas),
+                maxPriorityFeePerGas: this.numberToHexString(fees.maxPriorityFeePerGas),
+                value: this.numberToHexString(value),
+                to: to,
+                data: data,
+                from: from,
+                nonce: this.numberToHexString(nonce)
+            }
+        } else {
+            rawTx = {
+                chainId: chainId,
+                gasPrice: this.numberToHexString(fees.gasPrice),
+                value: this.numberToHexString(value),
+                to: to,
+                data: data,
+                from: from,
+                nonce: this.numberToHexString(nonce),
+                r: 0,
+                s: 0
+            }
         }
         rawTx.gas = this.numberToHexString(await this.getGasLimit(rawTx));
 
@@ -133,21 +168,25 @@ module.exports = class TransactionSender {
     }
 
     signRawTransaction(rawTx, privateKey) {
-        let tx = new Tx(rawTx);
-        tx.sign(utils.hexStringToBuffer(privateKey));
-        return tx;
+        return LocalSigner.signRawTransaction(rawTx, privateKey);
     }
 
-    async getAddress(privateKey) {
-        let address = null;
+    // An explicit private key is used over the configured signer, without either transactions are sent with personal
+    getSigner(privateKey) {
         if (privateKey && privateKey.length) {
-            address = utils.privateToAddress(privateKey);
-        } else {
-            //If no private key provided we use personal (personal is only for testing)
-            let accounts = await this.client.eth.getAccounts();
-            address = accounts[0];
+            return new LocalSigner(privateKey);
+        }
+        return this.signer;
+    }
+
+    async getAddress(privateKey) {
+        const signer = this.getSigner(privateKey);
+        if (signer) {
+            return signer.getAddress();
         }
-        return address;
+        //If no private key provided we use personal (personal is only for testing)
+        let accounts = await this.client.eth.getAccounts();
+        return accounts[0];
     }
 
     async useEtherscanApi(data) {
@@ -176,37 +215,151 @@ module.exports = class TransactionSender {
         return response.data;
     }
 
+    // Sends again the transactions that were not mined after stuckTransactionMinutes with the same nonce and a higher gas price.
+    // After maxTransactionReplacements the transaction is cancelled with a 0 value transfer to ourselves, and when
+    // the cancel is not mined either the nonce is no longer replaced and left in manuallyCheck for an operator.
+    async replaceStuckTransactions(from, privateKey) {
+        const signer = this.getSigner(privateKey);
+        const chainId = await this.getChainId();
+        const minedNonce = parseInt(await this.client.eth.getTransactionCount(from, 'latest'));
+        const stuckTransactions = this.nonceManager.getStuck(chainId, from, minedNonce, this.stuckTransactionTimeout);
+        for (const stuck of stuckTransactions) {
+            if (stuck.cancelled) {
+                this.logger.error(`Cancel of stuck transaction nonce:${stuck.nonce} txHashes:${stuck.transactionHashes} was not mined, it's no longer replaced`);
+                const key = `manuallyCheck:${stuck.transactionHashes[0]}`;
+                this._addManualCheck({ ...this.storage.get(key), transactionHash: stuck.transactionHashes[0], nonce: stuck.nonce, transactionHashes: stuck.transactionHashes, abandoned: true });
+                this.nonceManager.abandon(chainId, from, stuck.nonce);
+                Alerter.send({
+                    type: 'nonceAbandoned',
+                    key: `${chainId}:${from}:${stuck.nonce}`,
+                    severity: 'critical',
+                    title: `Nonce ${stuck.nonce} of ${from} on ${this.chainName} is no longer replaced, the following transactions wait until it's mined`,
+                    details: { chain: this.chainName, address: from, nonce: stuck.nonce, transactionHashes: stuck.transactionHashes }
+                });
+                continue;
+            }
+            // The replacement keeps the type of the stuck transaction
+            const currentFees = await this.getFees(stuck.rawTx.type === EIP1559_TRANSACTION_TYPE);
+            let rawTx = { ...stuck.rawTx, ...this.bumpFees(stuck.rawTx, currentFees) };
+            const gasPrice = parseInt(rawTx.gasPrice || rawTx.maxFeePerGas);
+            // The following nonces wait for this one, new transactions are held as well until it can be replaced
+            if (this.gasPriceCeiling && gasPrice > this.gasPriceCeiling) {
+                this.logger.warn(`Stuck transaction nonce:${stuck.nonce} txHashes:${stuck.transactionHashes} can't be replaced, gas price ${gasPrice} is above the ceiling ${this.gasPriceCeiling}`);
+                throw new GasPriceCeilingError(gasPrice, this.gasPriceCeiling);
+            }
+            const cancel = stuck.replacements >= this.maxTransactionReplacements;
+            if (cancel) {
+                rawTx = { ...rawTx, to: from, data: '0x', value: '0x0', gas: this.numberToHexString(CANCEL_GAS) };
+                this.logger.error(`Cancelling stuck transaction nonce:${stuck.nonce} txHashes:${stuck.transactionHashes} gasPrice:${gasPrice}, it needs to be checked manually`);
+                this._addManualCheck({
+                    transactionHash: stuck.transactionHashes[0],
+                    to: stuck.rawTx.to,
+                    data: stuck.rawTx.data,
+                    cancelled: true
+                });
+            } else {
+                this.logger.warn(`Speeding up stuck transaction nonce:${stuck.nonce} txHashes:${stuck.transactionHashes} gasPrice:${stuck.gasPrice} => ${gasPrice}`);
+            }
+            try {
+                const serializedTx = await signer.signTransaction(rawTx);
+                const transactionHash = await this.broadcastTransaction(serializedTx);
+                this.nonceManager.track(chainId, from, stuck.nonce, { transactionHash, rawTx, gasPrice, cancelled: cancel });
+            } catch (err) {
+                if (/nonce too low/i.test(err.message)) {
+                    this.nonceManager.confirm(chainId, from, stuck.nonce);
+                } else {
+                    this.logger.error(`Failed to replace stuck transaction nonce:${stuck.nonce}`, err);
+                }
+            }
+        }
+    }
+
+    // Called on every run, the stuck transactions are replaced even when there's nothing new to send
+    async checkStuckTransactions(privateKey) {
+        if (!this.getSigner(privateKey)) {
+            return;
+        }
+        try {
+            const from = await this.getAddress(privateKey);
+            await this.replaceStuckTransactions(from, privateKey);
+        } catch (err) {
+            this.logger.warn('Failed to replace the stuck transactions', err);
+        }
+    }
+
+    // Resolves with the transaction hash without waiting for the receipt
+    broadcastTransaction(serializedTx) {
+        return new Promise((resolve, reject) => {
+            this.client.eth.sendSignedTransaction(serializedTx)
+                .once('transactionHash', (hash) => {
+                    resolve(hash);
+                    this._broadcastToEtherscan(serializedTx)
+                        .catch(err => this.logger.warn('Failed to broadcast the transaction to Etherscan', err));
+                })
+                .catch(reject);
+        });
+    }
+
+    async _broadcastToEtherscan(serializedTx) {
+        const chainId = await this.getChainId();
+        if (chainId == 1) {
+            // send a POST request to Etherscan, we broadcast the same transaction as GETH is not working correclty
+            // see  https://github.com/ethereum/go-ethereum/issues/22308
+            const data = {
+                module: 'proxy',
+                action: 'eth_sendRawTransaction',
+                hex: serializedTx,
+            }
+            await this.useEtherscanApi(data);
+        }
+    }
+
+    // RSK receipts have no effectiveGasPrice, legacy transactions pay their gasPrice
+    _recordGasSpent(receipt, rawTx) {
+        if (!receipt || !receipt.gasUsed) {
+            return;
+        }
+        const gasPrice = parseInt(receipt.effectiveGasPrice || rawTx.gasPrice || 0);
+        Metrics.gasUsed.inc({ chain: this.chainName }, Number(receipt.gasUsed));
+        Metrics.gasSpent.inc({ chain: this.chainName }, Number(receipt.gasUsed) * gasPrice);
+    }
+
     async sendTransaction(to, data, value, privateKey, throwOnError=false) {
         const chainId =  await this.getChainId();
         let txHash;
         let receipt;
         let rawTx;
         try {
+            const signer = this.getSigner(privateKey);
             let from = await this.getAddress(privateKey);
+            if (signer) {
+                await this.replaceStuckTransactions(from, privateKey);
+            }
             rawTx = await this.createRawTransaction(from, to, data, value);
-            if (privateKey && privateKey.length) {
-                let signedTx = this.signRawTransaction(rawTx, privateKey);
-                const serializedTx = ethUtils.bufferToHex(signedTx.serialize());
+            const trackTransaction = (hash) => this.nonceManager.track(chainId, from, parseInt(rawTx.nonce), {
+                transactionHash: hash,
+                rawTx,
+                gasPrice: parseInt(rawTx.gasPrice || rawTx.maxFeePerGas)
+            });
+            if (signer) {
+                const serializedTx = await signer.signTransaction(rawTx);
                 receipt = await this.client.eth.sendSignedTransaction(serializedTx).once('transactionHash', async (hash) => {
                     txHash = hash;
-                    if (chainId == 1) {
-                        // send a POST request to Etherscan, we broadcast the same transaction as GETH is not working correclty
-                        // see  https://github.com/ethereum/go-ethereum/issues/22308
-                        const data = {
-                            module: 'proxy',
-                            action: 'eth_sendRawTransaction',
-                            hex: serializedTx,
-                        }
-                        await this.useEtherscanApi(data);
-                    }
+                    trackTransaction(hash);
+                    await this._broadcastToEtherscan(serializedTx);
                 });
             } else {
                 //If no private key provided we use personal (personal is only for testing)
                 delete rawTx.r;
                 delete rawTx.s;
                 delete rawTx.v;
-                receipt = await this.client.eth.sendTransaction(rawTx).once('transactionHash', hash => txHash = hash);
+                receipt = await this.client.eth.sendTransaction(rawTx).once('transactionHash', hash => {
+                    txHash = hash;
+                    trackTransaction(hash);
+                });
             }
+            this.nonceManager.confirm(chainId, from, parseInt(rawTx.nonce));
+            this._recordGasSpent(receipt, rawTx);
 
             if(receipt.status == 1) {
                 this.logger.info(`Transaction Successful txHash:${receipt.transactionHash} blockNumber:${receipt.blockNumber}`);
@@ -218,18 +371,40 @@ module.exports = class TransactionSender {
             return receipt;
 
         } catch(err) {
+            if (err instanceof GasPriceCeilingError) {
+                // Not a failed transaction, it was never sent and needs to be retried later
+                this.logger.warn(`Transaction to:${to} not sent, ${err.message}`);
+                throw err;
+            }
             if(throwOnError)
                 throw new CustomError('Error in sendTransaction', err);
 
             if (err.message.indexOf('it might still be mined') > 0) {
                 this.logger.warn(`Transaction was not mined within 750 seconds, please make sure your transaction was properly sent. Be aware that
                 it might still be mined. transactionHash:${txHash}`);
-                fs.appendFileSync(this.manuallyCheck, `transactionHash:${txHash} to:${to} data:${data}\n`);
-            } else {
-                this.logger.error('Transaction Hash Failed', txHash, err);
-                this.logger.error('RawTx that failed', rawTx);
+                this._addManualCheck({ transactionHash: txHash, to, data });
+                // Not reverted, the nonce manager keeps replacing it until it's mined
+                return { transactionHash: txHash, status: false, pending: true };
             }
+            this.logger.error('Transaction Hash Failed', txHash, err);
+            this.logger.error('RawTx that failed', rawTx);
             return { transactionHash: txHash, status: false };
         }
     }
+
+    // Transactions in manuallyCheck need an operator. The ones not mined are still replaced with higher fees and
+    // cancelled like any stuck transaction, and once the cancel isn't mined either they're marked as abandoned
+    _addManualCheck(transaction) {
+        const key = `manuallyCheck:${transaction.transactionHash}`;
+        if (!this.storage.has(key)) {
+            Alerter.send({
+                type: 'manualCheck',
+                key: transaction.transactionHash,
+                severity: 'critical',
+                title: `Transaction ${transaction.transactionHash} on ${this.chainName} needs to be checked manually`,
+                details: { chain: this.chainName, transactionHash: transaction.transactionHash, to: transaction.to, cancelled: Boolean(transaction.cancelled) }
+            });
+        }
+        this.storage.set(key, transaction);
+    }
 }
@@ -139,6 +139,64 @@ function checkHttpsOrLocalhost(url = '') {
     return isHttps || isLocalhost;
 }
 
+// config.host of a chain is a URL or an ordered list of them, the first one is the primary
+function getHosts(chainConfig = {}) {
+    return [].concat(chainConfig.host || []);
+}
+
+// The host of a node URL without the path or credentials, which may hold an API key
+function urlHost(url) {
+    try {
+        return new URL(url).host;
+    } catch (err) {
+        return 'unknown';
+    }
+}
+
+function withTimeout(promise, ms) {
+    let timeout;
+    return Promise.race([
+        promise,
+        new Promise((resolve, reject) => {
+            timeout = setTimeout(() => reject(new Error(`No response after ${ms}ms`)), ms);
+        })
+    ]).finally(() => clearTimeout(timeout));
+}
+
+// Fields of a Cross log that identify it, comparable between nodes
+function normalizeCrossLog(log) {
+    const returnValues = {};
+    for (const name of Object.keys(log.returnValues).filter(key => isNaN(key) && key !== '__length__').sort()) {
+        returnValues[name] = String(log.returnValues[name]).toLowerCase();
+    }
+    return {
+        blockHash: String(log.blockHash).toLowerCase(),
+        transactionHash: String(log.transactionHash).toLowerCase(),
+        logIndex: Number(log.logIndex),
+        returnValues
+    };
+}
+
+// Names of the fields that differ between two normalized Cross logs
+function crossLogDifferences(expected, actual) {
+    const fields = ['blockHash', 'transactionHash', 'logIndex'].filter(field => expected[field] !== actual[field]);
+    const names = new Set([...Object.keys(expected.returnValues), ...Object.keys(actual.returnValues)]);
+    for (const name of names) {
+        if (expected.returnValues[name] !== actual.returnValues[name]) {
+            fields.push(`returnValues.${name}`);
+        }
+    }
+    return fields;
+}
+
+// Logger writing the lines of the given logger with fields added to their context, the JSON layout outputs them.
+// Works with log4js loggers and any object with the logging methods
+function childLogger(logger, fields) {
+    const child = Object.create(logger);
+    child.context = { ...logger.context, ...fields };
+    return child;
+}
+
 function checkIfItsInRSK(chainId = -1) {
     return chainId === 0 ||
         chainId === 5777 ||
@@ -147,8 +205,7 @@ function checkIfItsInRSK(chainId = -1) {
         chainId === 33;
 }
 
-async function getHeartbeatPollingInterval({host, runHeartbeatEvery}) {
-    const web3 = new Web3(host);
+async function getHeartbeatPollingInterval(web3, {runHeartbeatEvery}) {
     const chainId = await web3.eth.net.getId();
     const pollingInterval = [30, 31].includes(chainId) ? 1000 * 60 * 60 : runHeartbeatEvery * 1000 * 60;
     return pollingInterval;
@@ -205,6 +262,12 @@ module.exports = {
     calculatePrefixesSuffixes,
     waitForReceipt,
     checkHttpsOrLocalhost,
+    getHosts,
+    urlHost,
+    withTimeout,
+    normalizeCrossLog,
+    crossLogDifferences,
+    childLogger,
     checkIfItsInRSK,
     zeroHash: '0x0000000000000000000000000000000000000000000000000000000000000000',
     zeroAddress: '0x0000000000000000000000000000000000000000',
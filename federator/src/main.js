@@ -1,91 +1,165 @@
 const log4js = require('log4js');
 
 // Configurations
-const config = require('../config/config.js');
+const ConfigLoader = require('./lib/ConfigLoader.js');
 const logConfig = require('../config/log-config.json');
 const utils = require('./lib/utils.js')
+const JsonLayout = require('./lib/JsonLayout.js');
+JsonLayout.register(log4js);
 log4js.configure(logConfig);
 
 // Services
 const Scheduler = require('./services/Scheduler.js');
+const ShutdownCoordinator = require('./services/ShutdownCoordinator.js');
+const Supervisor = require('./services/Supervisor.js');
 const Federator = require('./lib/Federator.js');
 const Heartbeat = require('./lib/Heartbeat.js');
+const KeyLoader = require('./lib/KeyLoader.js');
+const HealthCheck = require('./lib/HealthCheck.js');
+const AdminApi = require('./lib/AdminApi.js');
+const BalanceMonitor = require('./lib/BalanceMonitor.js');
+const Alerter = require('./lib/Alerter.js');
+const ConfigSchema = require('./lib/ConfigSchema.js');
+const Metrics = require('./lib/Metrics.js');
 
 const logger = log4js.getLogger('Federators');
+
+let config;
+try {
+    const loaded = ConfigLoader.get();
+    config = loaded.config;
+    logger.info(`Config loaded from ${loaded.file || 'the defaults'}`, loaded.overrides.length ? `overridden by ${loaded.overrides.join(', ')}` : '');
+    loaded.warnings.forEach(warning => logger.warn(warning));
+} catch(err) {
+    logger.error('Unable to load the config', err);
+    process.exit(1);
+}
+const configValidation = ConfigSchema.validate(config);
+configValidation.warnings.forEach(warning => logger.warn(`Config ${warning}`));
+if (configValidation.errors.length) {
+    configValidation.errors.forEach(error => logger.error(`Invalid config, ${error}`));
+    process.exit(1);
+}
 logger.info('RSK Host', config.mainchain.host);
 logger.info('ETH Host', config.sidechain.host);
 
 // Status Server
 const StatusServer = require('./lib/Endpoints.js');
-StatusServer.init(logger);
-
-if(!config.mainchain || !config.sidechain) {
-    logger.error('Mainchain and Sidechain configuration are required');
-    process.exit();
-}
-
-if (!config.etherscanApiKey) {
-    logger.error('Etherscan API configuration is required');
-    process.exit();
-}
 
-const heartbeat = new Heartbeat(config, log4js.getLogger('HEARTBEAT'));
-const mainFederator = new Federator(config, log4js.getLogger('MAIN-FEDERATOR'));
-const sideFederator = new Federator({
-    ...config,
-    mainchain: config.sidechain,
-    sidechain: config.mainchain,
-    storagePath: `${config.storagePath}/side-fed`
-}, log4js.getLogger('SIDE-FEDERATOR'));
+let heartbeat;
+let mainFederator;
+let sideFederator;
+let healthCheck;
+let balanceMonitor;
 
 let pollingInterval = config.runEvery * 1000 * 60; // Minutes
 let scheduler = new Scheduler(pollingInterval, logger, { run: () => run() });
+const supervisor = new Supervisor(log4js.getLogger('SUPERVISOR'), config.supervisor);
+const shutdownCoordinator = new ShutdownCoordinator(logger, config.shutdownTimeoutSeconds);
+shutdownCoordinator.addScheduler(scheduler);
+shutdownCoordinator.addServer(StatusServer);
 
-scheduler.start().catch((err) => {
-    logger.error('Unhandled Error on start()', err);
-});
+start();
 
-async function run() {
+async function start() {
+    try {
+        // The side federator gets a copy of the config, the key has to be loaded before creating it
+        config.privateKey = await KeyLoader.loadPrivateKey(config, logger);
+    } catch(err) {
+        logger.error('Unable to load the federator key', err);
+        process.exit(1);
+    }
+    try {
+        Alerter.configure(config, log4js.getLogger('ALERTS'));
+    } catch(err) {
+        logger.error('Invalid alerting configuration', err);
+        process.exit(1);
+    }
+
+    heartbeat = new Heartbeat(config, log4js.getLogger('HEARTBEAT'));
+    mainFederator = new Federator(config, log4js.getLogger('MAIN-FEDERATOR'));
+    sideFederator = new Federator(Federator.sideConfig(config), log4js.getLogger('SIDE-FEDERATOR'));
+    [heartbeat, mainFederator, sideFederator].forEach(service => shutdownCoordinator.addService(service));
     try {
-        await mainFederator.run();
-        await sideFederator.run();
-        await heartbeat.readLogs();
+        // Another federator or the command line writing the same storage would corrupt it
+        [mainFederator.storage, sideFederator.storage].forEach(storage => storage.lock());
     } catch(err) {
-        logger.error('Unhandled Error on run()', err);
-        process.exit();
+        logger.error('Unable to lock the storage', err);
+        process.exit(1);
+    }
+
+    healthCheck = new HealthCheck(config, log4js.getLogger('HEALTH'), mainFederator);
+    // Votes are paid on the chain each federator writes to, heartbeats on the mainchain
+    balanceMonitor = new BalanceMonitor(config, log4js.getLogger('BALANCE'), [
+        {
+            chain: Metrics.chainName(config.sidechain),
+            web3: mainFederator.sideWeb3,
+            transactionSender: mainFederator.transactionSender,
+            spenders: [{ kind: 'vote', storage: mainFederator.storage }]
+        },
+        {
+            chain: Metrics.chainName(config.mainchain),
+            web3: heartbeat.mainWeb3,
+            transactionSender: heartbeat.transactionSender,
+            spenders: [{ kind: 'vote', storage: sideFederator.storage }, { kind: 'heartbeat', storage: heartbeat.storage }]
+        }
+    ]);
+    const federators = { main: mainFederator, side: sideFederator };
+    StatusServer.init(logger, {
+        healthCheck,
+        federators,
+        supervisor,
+        balanceMonitor,
+        adminApi: config.adminToken ? new AdminApi(config, logger, log4js.getLogger('AUDIT'), federators) : null
+    });
+
+    scheduler.start().catch((err) => {
+        logger.error('Unhandled Error on start()', err);
+    });
+    scheduleHeartbeatProcesses();
+}
+
+// Each direction and the heartbeat fail and back off on their own
+async function run() {
+    const startedAt = supervisor.now();
+    await supervisor.run('main', () => mainFederator.run());
+    await supervisor.run('side', () => sideFederator.run());
+    await supervisor.run('heartbeatLogs', () => heartbeat.readLogs());
+    await supervisor.run('balance', () => balanceMonitor.run());
+    // The liveness check only counts the runs where both federators succeeded
+    if (supervisor.succeededSince('main', startedAt) && supervisor.succeededSince('side', startedAt)) {
+        healthCheck.recordRun();
     }
 }
 
 
 async function scheduleHeartbeatProcesses() {
-    const heartBeatPollingInterval = await utils.getHeartbeatPollingInterval(config.mainchain)
+    const heartBeatPollingInterval = await utils.getHeartbeatPollingInterval(heartbeat.mainWeb3, config.mainchain)
+    if (shutdownCoordinator.isShuttingDown()) {
+        return;
+    }
     const heartBeatScheduler = new Scheduler(
         heartBeatPollingInterval, logger, {
-            run: async function() {
-                try {
-                    await heartbeat.run();
-                } catch(err) {
-                    logger.error('Unhandled Error on runHeartbeat()', err);
-                    process.exit();
-                }
-            }
+            run: () => supervisor.run('heartbeat', () => heartbeat.run())
         }
     );
+    shutdownCoordinator.addScheduler(heartBeatScheduler);
 
     heartBeatScheduler.start().catch((err) => {
         logger.error('Unhandled Error on start()', err);
     });
 }
 
-scheduleHeartbeatProcesses();
-
-async function exitHandler() {
-    process.exit();
+async function exitHandler(signal) {
+    await shutdownCoordinator.shutdown(signal);
 }
 
 // catches ctrl+c event
 process.on('SIGINT', exitHandler);
 
+// catches "docker stop"
+process.on('SIGTERM', exitHandler);
+
 // catches "kill pid" (for example: nodemon restart)
 process.on('SIGUSR1', exitHandler);
 process.on('SIGUSR2', exitHandler);
@@ -6,6 +6,7 @@ module.exports = class Scheduler {
         this.pollingTimeout = null;
         this.pollingInterval = pollingInterval != null ? pollingInterval : DEFAULT_POLLING_INTERVAL_MS;
         this.running = false;
+        this.currentRun = null;
         this.service = service;
     }
 
@@ -21,7 +22,16 @@ module.exports = class Scheduler {
         this.logger.info('scheduler triggered poll');
         if (this.running) {
             this.pollingTimeout = null;
-            await this.service.run();
+            this.currentRun = this.service.run();
+            try {
+                await this.currentRun;
+            } finally {
+                this.currentRun = null;
+            }
+            if (!this.running) {
+                this.logger.info('scheduler service stopped during the poll run');
+                return;
+            }
             this.logger.info("scheduler poll run succesful, trigger next poll in ", this.pollingInterval);
             // Trigger next poll
             this.pollingTimeout = setTimeout(() => this.poll(), this.pollingInterval);
@@ -33,6 +43,7 @@ module.exports = class Scheduler {
     async stop() {
         this.logger.info('stop scheduler service');
         if (this.running) {
+            this.running = false;
             if (this.pollingTimeout != null) {
                 clearTimeout(this.pollingTimeout);
                 this.pollingTimeout = null;
@@ -41,4 +52,11 @@ module.exports = class Scheduler {
             this.logger.warn("can't stop scheduler service already stoped");
         }
     }
-}
\ No newline at end of file
+
+    // Resolves when the run in progress, if any, ends
+    async waitForCurrentRun() {
+        if (this.currentRun) {
+            await this.currentRun.catch(() => {});
+        }
+    }
+}
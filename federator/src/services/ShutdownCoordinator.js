@@ -0,0 +1,83 @@
+const Storage = require('../lib/Storage');
+
+const DEFAULT_TIMEOUT_SECONDS = 60;
+
+/**
+ * Stops the federator without leaving a transaction sent but not recorded.
+ * Schedulers stop first so nothing new starts, services finish the vote or heartbeat in progress
+ * (up to the timeout), then the state is flushed, the servers closed and the process exits.
+ */
+module.exports = class ShutdownCoordinator {
+    constructor(logger, timeoutSeconds = DEFAULT_TIMEOUT_SECONDS, exit = (code) => process.exit(code)) {
+        this.logger = logger;
+        this.timeout = timeoutSeconds * 1000;
+        this.exit = exit;
+        this.schedulers = [];
+        this.services = [];
+        this.servers = [];
+        this.shutdownPromise = null;
+    }
+
+    addScheduler(scheduler) {
+        this.schedulers.push(scheduler);
+    }
+
+    // Services have stop(), after which they don't start anything new, and optionally runInProgress, the promise of their current run
+    addService(service) {
+        this.services.push(service);
+    }
+
+    // Servers have close() resolving when they're closed
+    addServer(server) {
+        this.servers.push(server);
+    }
+
+    isShuttingDown() {
+        return this.shutdownPromise !== null;
+    }
+
+    shutdown(reason, exitCode = 0) {
+        if (this.shutdownPromise) {
+            this.logger.warn(`${reason} received while shutting down, exiting now`);
+            this.exit(1);
+            return this.shutdownPromise;
+        }
+        this.shutdownPromise = this._shutdown(reason, exitCode);
+        return this.shutdownPromise;
+    }
+
+    async _shutdown(reason, exitCode) {
+        this.logger.info(`Shutting down (${reason}), waiting up to ${this.timeout / 1000}s for the work in progress`);
+        for (const scheduler of this.schedulers) {
+            await scheduler.stop();
+        }
+        this.services.forEach(service => service.stop());
+
+        const inProgress = [
+            ...this.schedulers.map(scheduler => scheduler.waitForCurrentRun()),
+            ...this.services.map(service => service.runInProgress)
+        ].filter(Boolean).map(promise => promise.catch(() => {}));
+        let timeout;
+        const finished = await Promise.race([
+            Promise.all(inProgress).then(() => true),
+            new Promise(resolve => {
+                timeout = setTimeout(() => resolve(false), this.timeout);
+            })
+        ]);
+        clearTimeout(timeout);
+        if (!finished) {
+            this.logger.error(`Work in progress didn't finish in ${this.timeout / 1000}s, the transactions sent are tracked and checked on the next start`);
+        }
+
+        Storage.closeAll();
+        for (const server of this.servers) {
+            try {
+                await server.close();
+            } catch (err) {
+                this.logger.warn('Failed to close the server', err.message);
+            }
+        }
+        this.logger.info('Shutdown complete');
+        this.exit(exitCode);
+    }
+}
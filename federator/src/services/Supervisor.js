@@ -0,0 +1,116 @@
+const Metrics = require('../lib/Metrics');
+
+const DEFAULTS = {
+    initialBackoffSeconds: 60,
+    maxBackoffSeconds: 30 * 60,
+    failureThreshold: 5,
+    openCircuitSeconds: 30 * 60,
+};
+const CIRCUIT_STATE_VALUES = { closed: 0, 'half-open': 1, open: 2 };
+
+/**
+ * Runs each subsystem (main and side federators, heartbeat) isolated from the others.
+ * A failed run is retried on the following polls once an exponential backoff has passed, and after
+ * failureThreshold consecutive failures the subsystem circuit opens and it's only tried again
+ * every openCircuitSeconds until a run succeeds.
+ */
+module.exports = class Supervisor {
+    constructor(logger, options = {}, now = () => Date.now()) {
+        this.logger = logger;
+        this.options = { ...DEFAULTS, ...options };
+        this.now = now;
+        this.subsystems = {};
+    }
+
+    _getSubsystem(name) {
+        if (!this.subsystems[name]) {
+            this.subsystems[name] = {
+                state: 'closed',
+                consecutiveFailures: 0,
+                totalFailures: 0,
+                lastError: null,
+                lastFailureAt: null,
+                lastSuccessAt: null,
+                nextAttemptAt: null,
+            };
+            Metrics.subsystemState.set({ subsystem: name }, CIRCUIT_STATE_VALUES.closed);
+        }
+        return this.subsystems[name];
+    }
+
+    _setState(name, subsystem, state) {
+        subsystem.state = state;
+        Metrics.subsystemState.set({ subsystem: name }, CIRCUIT_STATE_VALUES[state]);
+    }
+
+    // Runs task unless the subsystem is backing off, never throws. Resolves with the task result or undefined
+    async run(name, task) {
+        const subsystem = this._getSubsystem(name);
+        const now = this.now();
+        if (subsystem.nextAttemptAt && now < subsystem.nextAttemptAt) {
+            this.logger.debug(`Skipping ${name}, ${subsystem.state} after ${subsystem.consecutiveFailures} failures until ${new Date(subsystem.nextAttemptAt).toISOString()}`);
+            return undefined;
+        }
+        if (subsystem.state === 'open') {
+            this._setState(name, subsystem, 'half-open');
+            this.logger.info(`Trying ${name} again after its circuit was open`);
+        }
+
+        try {
+            const result = await task();
+            if (subsystem.consecutiveFailures) {
+                this.logger.info(`${name} recovered after ${subsystem.consecutiveFailures} failures`);
+            }
+            subsystem.consecutiveFailures = 0;
+            subsystem.nextAttemptAt = null;
+            subsystem.lastSuccessAt = this.now();
+            this._setState(name, subsystem, 'closed');
+            return result;
+        } catch (err) {
+            this._recordFailure(name, subsystem, err);
+            return undefined;
+        }
+    }
+
+    _recordFailure(name, subsystem, err) {
+        const now = this.now();
+        subsystem.consecutiveFailures++;
+        subsystem.totalFailures++;
+        subsystem.lastError = err.message;
+        subsystem.lastFailureAt = now;
+        Metrics.subsystemFailures.inc({ subsystem: name });
+
+        if (subsystem.state === 'half-open' || subsystem.consecutiveFailures >= this.options.failureThreshold) {
+            this._setState(name, subsystem, 'open');
+            subsystem.nextAttemptAt = now + this.options.openCircuitSeconds * 1000;
+            this.logger.error(`${name} circuit open after ${subsystem.consecutiveFailures} consecutive failures, next attempt at ${new Date(subsystem.nextAttemptAt).toISOString()}`, err);
+            return;
+        }
+        const backoff = Math.min(
+            this.options.initialBackoffSeconds * 2 ** (subsystem.consecutiveFailures - 1),
+            this.options.maxBackoffSeconds
+        );
+        subsystem.nextAttemptAt = now + backoff * 1000;
+        this.logger.error(`${name} failed ${subsystem.consecutiveFailures} times, retrying in ${backoff}s`, err);
+    }
+
+    // Whether the last successful run of the subsystem ended at or after since, run never says if the task failed
+    succeededSince(name, since) {
+        const subsystem = this.subsystems[name];
+        return Boolean(subsystem && subsystem.lastSuccessAt !== null && subsystem.lastSuccessAt >= since);
+    }
+
+    getState() {
+        const state = {};
+        for (const name in this.subsystems) {
+            const subsystem = this.subsystems[name];
+            state[name] = {
+                ...subsystem,
+                lastFailureAt: subsystem.lastFailureAt && new Date(subsystem.lastFailureAt).toISOString(),
+                lastSuccessAt: subsystem.lastSuccessAt && new Date(subsystem.lastSuccessAt).toISOString(),
+                nextAttemptAt: subsystem.nextAttemptAt && new Date(subsystem.nextAttemptAt).toISOString(),
+            };
+        }
+        return state;
+    }
+}
@@ -0,0 +1,45 @@
+const Tx = require('ethereumjs-tx');
+const { FeeMarketEIP1559Transaction } = require('@ethereumjs/tx');
+const Common = require('@ethereumjs/common').default;
+const ethUtils = require('ethereumjs-util');
+const utils = require('../lib/utils');
+
+const EIP1559_TRANSACTION_TYPE = '0x2';
+
+/**
+ * Signs with a private key held by the federator process.
+ */
+module.exports = class LocalSigner {
+    constructor(privateKey) {
+        this.privateKey = privateKey;
+    }
+
+    async getAddress() {
+        return utils.privateToAddress(this.privateKey);
+    }
+
+    // Resolves with the serialized signed transaction
+    async signTransaction(rawTx) {
+        return ethUtils.bufferToHex(LocalSigner.signRawTransaction(rawTx, this.privateKey).serialize());
+    }
+
+    static signRawTransaction(rawTx, privateKey) {
+        if (rawTx.type === EIP1559_TRANSACTION_TYPE) {
+            const common = Common.custom({ chainId: rawTx.chainId, networkId: rawTx.chainId }, { hardfork: 'london' });
+            const tx = FeeMarketEIP1559Transaction.fromTxData({
+                chainId: rawTx.chainId,
+                nonce: rawTx.nonce,
+                maxFeePerGas: rawTx.maxFeePerGas,
+                maxPriorityFeePerGas: rawTx.maxPriorityFeePerGas,
+                gasLimit: rawTx.gas,
+                to: rawTx.to,
+                value: rawTx.value,
+                data: rawTx.data
+            }, { common });
+            return tx.sign(utils.hexStringToBuffer(privateKey));
+        }
+        let tx = new Tx(rawTx);
+        tx.sign(utils.hexStringToBuffer(privateKey));
+        return tx;
+    }
+}
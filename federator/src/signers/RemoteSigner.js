@@ -0,0 +1,70 @@
+const axios = require('axios');
+const CustomError = require('../lib/CustomError');
+
+const DEFAULT_TIMEOUT = 30000;
+// Fields of the transaction sent to the signing service, the empty r and s of legacy transactions are left out
+const TRANSACTION_FIELDS = ['type', 'chainId', 'from', 'to', 'nonce', 'gas', 'gasPrice', 'maxFeePerGas', 'maxPriorityFeePerGas', 'value', 'data'];
+
+/**
+ * Signs with an external signing service, so the private key never reaches the federator.
+ * The unsigned transaction is sent with the JSON-RPC method eth_signTransaction, the service answers
+ * with the serialized signed transaction either as the result or as result.raw (the format used by geth and clef).
+ */
+module.exports = class RemoteSigner {
+    constructor(logger, { url, address, headers = {}, timeout = DEFAULT_TIMEOUT }) {
+        if (!url) {
+            throw new Error('Remote signer url is required');
+        }
+        this.logger = logger;
+        this.url = url;
+        this.address = address;
+        this.headers = headers;
+        this.timeout = timeout;
+        this.requestId = 0;
+    }
+
+    // The configured address, or the first account of the signing service
+    async getAddress() {
+        if (!this.address) {
+            const accounts = await this._call('eth_accounts', []);
+            if (!accounts || !accounts.length) {
+                throw new Error(`Remote signer ${this.url} has no accounts`);
+            }
+            this.address = accounts[0];
+        }
+        return this.address;
+    }
+
+    async signTransaction(rawTx) {
+        const transaction = { from: await this.getAddress() };
+        for (const field of TRANSACTION_FIELDS) {
+            if (rawTx[field] !== undefined && field !== 'from') {
+                transaction[field] = field === 'chainId' ? `0x${parseInt(rawTx.chainId).toString(16)}` : rawTx[field];
+            }
+        }
+        const result = await this._call('eth_signTransaction', [transaction]);
+        const serializedTx = typeof result === 'string' ? result : result && result.raw;
+        if (!/^0x[0-9a-fA-F]+$/.test(serializedTx)) {
+            throw new Error(`Remote signer ${this.url} returned an invalid signed transaction ${JSON.stringify(result)}`);
+        }
+        return serializedTx;
+    }
+
+    async _call(method, params) {
+        let response;
+        try {
+            response = await axios.post(this.url, {
+                jsonrpc: '2.0',
+                id: ++this.requestId,
+                method,
+                params
+            }, { headers: this.headers, timeout: this.timeout });
+        } catch (err) {
+            throw new CustomError(`Remote signer ${this.url} ${method} request failed`, err);
+        }
+        if (response.data.error) {
+            throw new Error(`Remote signer ${this.url} ${method} failed: ${response.data.error.message}`);
+        }
+        return response.data.result;
+    }
+}
@@ -0,0 +1,20 @@
+const LocalSigner = require('./LocalSigner');
+const RemoteSigner = require('./RemoteSigner');
+
+module.exports = class SignerFactory {
+    // signerConfig is the config.signer object, { type: 'local', privateKey } or { type: 'remote', url, address, headers, timeout }
+    static create(logger, signerConfig) {
+        const { type, ...options } = signerConfig;
+        switch (type) {
+            case 'local':
+                if (!options.privateKey) {
+                    throw new Error('Local signer privateKey is required');
+                }
+                return new LocalSigner(options.privateKey);
+            case 'remote':
+                return new RemoteSigner(logger, options);
+            default:
+                throw new Error(`Unknown signer ${type}, valid signers are local, remote`);
+        }
+    }
+}
@@ -0,0 +1,122 @@
+const express = require('express');
+const axios = require('axios');
+
+const AdminApi = require('../src/lib/AdminApi');
+
+const logger = {
+    trace: jest.fn(),
+    debug: jest.fn(),
+    info: jest.fn(),
+    warn: jest.fn(),
+    error: jest.fn(),
+};
+const auditLogger = { info: jest.fn() };
+const adminToken = 'test-admin-token';
+
+function createFederator() {
+    return {
+        isRunning: jest.fn().mockReturnValue(false),
+        pause: jest.fn(),
+        resume: jest.fn(),
+        rewind: jest.fn().mockImplementation(block => ({ previousLastBlock: 200, lastBlock: block })),
+        clearRevertedVote: jest.fn().mockReturnValue({ amount: '1' }),
+        retryRevertedVote: jest.fn().mockReturnValue(Promise.resolve({ voted: true, reverted: false })),
+        run: jest.fn().mockReturnValue(Promise.resolve(true)),
+    };
+}
+
+describe('AdminApi module tests', () => {
+    let server;
+    let federators;
+    let request;
+
+    beforeAll(async () => {
+        federators = { main: createFederator(), side: createFederator() };
+        const app = express();
+        app.use('/admin', new AdminApi({ adminToken }, logger, auditLogger, federators).router());
+        server = await new Promise(resolve => {
+            const listening = app.listen(0, '127.0.0.1', () => resolve(listening));
+        });
+        request = (method, url, { data, token = adminToken } = {}) => axios({
+            method,
+            url: `http://127.0.0.1:${server.address().port}/admin${url}`,
+            data,
+            headers: token ? { Authorization: `Bearer ${token}` } : {},
+            validateStatus: () => true
+        });
+    });
+
+    afterAll(async () => {
+        await new Promise(resolve => server.close(resolve));
+    });
+
+    beforeEach(() => {
+        jest.clearAllMocks();
+        federators.main.isRunning.mockReturnValue(false);
+    });
+
+    const lastAudit = () => JSON.parse(auditLogger.info.mock.calls[auditLogger.info.mock.calls.length - 1][0]);
+
+    it('should require the admin token', async () => {
+        expect(() => new AdminApi({}, logger, auditLogger, federators)).toThrow('adminToken is required');
+
+        let response = await request('post', '/main/pause', { token: null });
+        expect(response.status).toEqual(401);
+        response = await request('post', '/main/pause', { token: 'wrong' });
+        expect(response.status).toEqual(401);
+        expect(federators.main.pause).not.toHaveBeenCalled();
+        expect(lastAudit()).toMatchObject({ action: 'authenticate', outcome: 'denied' });
+    });
+
+    it('should pause and resume a direction', async () => {
+        let response = await request('post', '/side/pause', { data: { reason: 'maintenance' } });
+        expect(response.status).toEqual(200);
+        expect(response.data).toEqual({ paused: true });
+        expect(federators.side.pause).toHaveBeenCalledWith('maintenance');
+        expect(federators.main.pause).not.toHaveBeenCalled();
+        expect(lastAudit()).toMatchObject({ action: 'pause', outcome: 'ok', direction: 'side', body: { reason: 'maintenance' } });
+
+        response = await request('post', '/side/resume');
+        expect(response.data).toEqual({ paused: false });
+        expect(federators.side.resume).toHaveBeenCalled();
+
+        response = await request('post', '/up/pause');
+        expect(response.status).toEqual(404);
+        expect(lastAudit()).toMatchObject({ action: 'pause', outcome: 'rejected' });
+    });
+
+    it('should rewind unless the federator is running', async () => {
+        let response = await request('post', '/main/rewind', { data: { block: 150 } });
+        expect(response.status).toEqual(200);
+        expect(response.data).toEqual({ previousLastBlock: 200, lastBlock: 150 });
+        expect(federators.main.rewind).toHaveBeenCalledWith(150);
+
+        federators.main.isRunning.mockReturnValue(true);
+        response = await request('post', '/main/rewind', { data: { block: 100 } });
+        expect(response.status).toEqual(409);
+        expect(federators.main.rewind).toHaveBeenCalledTimes(1);
+        expect(lastAudit()).toMatchObject({ action: 'rewind', outcome: 'failed' });
+    });
+
+    it('should clear and retry reverted transactions', async () => {
+        let response = await request('delete', '/main/reverted/0xabc');
+        expect(response.data).toEqual({ cleared: { amount: '1' } });
+        expect(federators.main.clearRevertedVote).toHaveBeenCalledWith('0xabc');
+
+        response = await request('post', '/main/reverted/0xabc/retry');
+        expect(response.data).toEqual({ voted: true, reverted: false });
+        expect(lastAudit()).toMatchObject({ action: 'retryReverted', outcome: 'ok', transactionId: '0xabc' });
+
+        federators.main.clearRevertedVote.mockImplementation(() => { throw new Error('Transaction 0xdef is not in the reverted transactions'); });
+        response = await request('delete', '/main/reverted/0xdef');
+        expect(response.status).toEqual(400);
+        expect(response.data.error).toContain('is not in the reverted transactions');
+    });
+
+    it('should trigger a run', async () => {
+        const response = await request('post', '/main/run');
+        expect(response.status).toEqual(202);
+        expect(federators.main.run).toHaveBeenCalled();
+        expect(lastAudit()).toMatchObject({ action: 'run', outcome: 'ok' });
+    });
+});
@@ -0,0 +1,125 @@
+const http = require('http');
+
+const Alerter = require('../src/lib/Alerter');
+const Metrics = require('../src/lib/Metrics');
+
+const logger = {
+    trace: jest.fn(),
+    debug: jest.fn(),
+    info: jest.fn(),
+    warn: jest.fn(),
+    error: jest.fn(),
+};
+const alert = {
+    type: 'voteFailed',
+    key: '0xabc',
+    severity: 'critical',
+    title: 'Vote reverted on rsk->eth',
+    details: { direction: 'rsk->eth', transactionId: '0xabc', blockNumber: 100 }
+};
+
+// Webhook stand-in, keeps the requests by path and answers with HTTP 500 while it's down
+function createWebhook() {
+    const webhook = { requests: [], down: false };
+    webhook.server = http.createServer((req, res) => {
+        let body = '';
+        req.on('data', chunk => body += chunk);
+        req.on('end', () => {
+            webhook.requests.push({ path: req.url, body: JSON.parse(body) });
+            res.writeHead(webhook.down ? 500 : 200);
+            res.end(webhook.down ? 'error' : 'ok');
+        });
+    });
+    return webhook;
+}
+
+describe('Alerter module tests', () => {
+    let webhook;
+    let url;
+    let now;
+
+    beforeAll(async () => {
+        webhook = createWebhook();
+        await new Promise(resolve => webhook.server.listen(0, '127.0.0.1', resolve));
+        url = `http://127.0.0.1:${webhook.server.address().port}`;
+    });
+
+    afterAll(() => new Promise(resolve => webhook.server.close(resolve)));
+
+    beforeEach(() => {
+        jest.clearAllMocks();
+        Metrics.register.resetMetrics();
+        webhook.requests = [];
+        webhook.down = false;
+        now = Date.parse('2021-09-01T10:00:00.000Z');
+    });
+
+    function createAlerter(alerting) {
+        return new Alerter({ alerting: { name: 'fed-1', ...alerting } }, logger, () => now);
+    }
+
+    it('should post the generic and Slack formats', async () => {
+        const alerter = createAlerter({ webhooks: [`${url}/generic`, { url: `${url}/slack`, format: 'slack' }] });
+
+        expect(await alerter.send(alert)).toBeTruthy();
+        const requests = Object.fromEntries(webhook.requests.map(({ path, body }) => [path, body]));
+        expect(requests['/generic']).toEqual({ ...alert, source: 'fed-1', repeated: 0, timestamp: '2021-09-01T10:00:00.000Z' });
+        expect(requests['/slack']).toEqual({
+            text: '[CRITICAL] Vote reverted on rsk->eth',
+            attachments: [{
+                color: '#d40000',
+                fields: [
+                    { title: 'direction', value: 'rsk->eth', short: true },
+                    { title: 'transactionId', value: '0xabc', short: true },
+                    { title: 'blockNumber', value: '100', short: true }
+                ],
+                footer: 'fed-1',
+                ts: 1630490400
+            }]
+        });
+    });
+
+    it('should not post the same alert again until its cooldown passes', async () => {
+        const alerter = createAlerter({ webhooks: [url], cooldownMinutes: 60, cooldowns: { lag: 10 } });
+
+        expect(await alerter.send(alert)).toBeTruthy();
+        expect(await alerter.send(alert)).toBeFalsy();
+        expect(await alerter.send({ ...alert, key: '0xdef' })).toBeTruthy();
+        now += 59 * 60 * 1000;
+        expect(await alerter.send(alert)).toBeFalsy();
+        now += 60 * 1000;
+        expect(await alerter.send(alert)).toBeTruthy();
+        expect(webhook.requests.map(({ body }) => [body.key, body.repeated])).toEqual([['0xabc', 0], ['0xdef', 0], ['0xabc', 2]]);
+
+        const lag = { type: 'lag', key: 'rsk->eth', title: 'Federator rsk->eth is 500 blocks behind the chain head' };
+        expect(await alerter.send(lag)).toBeTruthy();
+        now += 10 * 60 * 1000;
+        expect(await alerter.send(lag)).toBeTruthy();
+        expect(await Metrics.register.metrics()).toContain('federator_alerts_total{type="voteFailed",result="suppressed"} 2');
+    });
+
+    it('should post the same alert raised at once a single time', async () => {
+        const alerter = createAlerter({ webhooks: [url] });
+        const results = await Promise.all([alerter.send(alert), alerter.send(alert)]);
+        expect(results).toEqual([true, false]);
+        expect(webhook.requests.length).toEqual(1);
+    });
+
+    it('should post again the alerts that failed', async () => {
+        const alerter = createAlerter({ webhooks: [url] });
+        webhook.down = true;
+        expect(await alerter.send(alert)).toBeFalsy();
+        expect(logger.warn).toHaveBeenCalledWith(expect.stringMatching(/^Failed to post alert voteFailed:0xabc/), expect.any(String));
+
+        webhook.down = false;
+        expect(await alerter.send(alert)).toBeTruthy();
+        expect(webhook.requests.length).toEqual(2);
+        expect(await Metrics.register.metrics()).toContain('federator_alerts_total{type="voteFailed",result="failed"} 1');
+    });
+
+    it('should only accept https or localhost webhooks', () => {
+        expect(() => createAlerter({ webhooks: ['http://hooks.example.com/alerts'] })).toThrow('https or localhost required');
+        expect(() => createAlerter({ webhooks: [{ url, format: 'teams' }] })).toThrow('Unknown alerting webhook format teams');
+        expect(createAlerter({}).isEnabled()).toBeFalsy();
+    });
+});
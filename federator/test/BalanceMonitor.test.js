@@ -0,0 +1,104 @@
+const BalanceMonitor = require('../src/lib/BalanceMonitor');
+const Metrics = require('../src/lib/Metrics');
+const Alerter = require('../src/lib/Alerter');
+
+const logger = {
+    trace: jest.fn(),
+    debug: jest.fn(),
+    info: jest.fn(),
+    warn: jest.fn(),
+    error: jest.fn(),
+};
+const GWEI = 1000000000;
+
+function createStorage() {
+    const data = new Map();
+    return {
+        get: (key, defaultValue) => data.has(key) ? data.get(key) : defaultValue,
+        set: (key, value) => data.set(key, value)
+    };
+}
+
+function createChain(chain, balance, gasPrice, spenders) {
+    return {
+        chain,
+        web3: { eth: { getBalance: jest.fn().mockReturnValue(Promise.resolve(String(balance))), getGasPrice: jest.fn().mockReturnValue(Promise.resolve(String(gasPrice))) } },
+        transactionSender: { getAddress: jest.fn().mockReturnValue(Promise.resolve('0x01')) },
+        spenders
+    };
+}
+
+describe('BalanceMonitor module tests', () => {
+    const config = { privateKey: 'key', balanceMonitor: { warningVotes: 100, criticalVotes: 20, warningHeartbeats: 50, criticalHeartbeats: 10 } };
+    let voteStorage;
+    let heartbeatStorage;
+
+    beforeEach(() => {
+        jest.clearAllMocks();
+        Metrics.register.resetMetrics();
+        voteStorage = createStorage();
+        heartbeatStorage = createStorage();
+    });
+
+    it('should keep the gas used by the latest transactions', () => {
+        for (let i = 1; i <= 25; i++) {
+            BalanceMonitor.recordGasUsed(voteStorage, 'vote', { gasUsed: i });
+        }
+        BalanceMonitor.recordGasUsed(voteStorage, 'vote', { status: false });
+        expect(voteStorage.get('recentGasUsed:vote')).toEqual([6, 7, 8, 9, 10, 11, 12, 13, 14, 15, 16, 17, 18, 19, 20, 21, 22, 23, 24, 25]);
+    });
+
+    it('should estimate the votes and heartbeats the balance covers', async () => {
+        BalanceMonitor.recordGasUsed(voteStorage, 'vote', { gasUsed: 200000 });
+        BalanceMonitor.recordGasUsed(voteStorage, 'vote', { gasUsed: 300000 });
+        // 1 ether at 40 gwei pays 200 votes of 125000 gas
+        const monitor = new BalanceMonitor(config, logger, [createChain('eth', 10n ** 18n, 40 * GWEI, [{ kind: 'vote', storage: voteStorage }])]);
+        BalanceMonitor.recordGasUsed(voteStorage, 'vote', { gasUsed: 125000 / 2 });
+
+        const status = await monitor.run();
+        expect(status.eth).toMatchObject({
+            address: '0x01',
+            balance: '1000000000000000000',
+            level: 'ok',
+            covers: { vote: { averageGas: 187500, estimatedFromTransactions: 3, remaining: 133, level: 'ok' } }
+        });
+        expect(monitor.chains[0].transactionSender.getAddress).toHaveBeenCalledWith('key');
+        expect(await Metrics.register.metrics()).toContain('federator_funds_remaining{chain="eth",kind="vote"} 133');
+        expect(logger.warn).not.toHaveBeenCalled();
+    });
+
+    it('should warn and alert below the thresholds', async () => {
+        const send = jest.spyOn(Alerter, 'send').mockReturnValue(Promise.resolve(true));
+        // Without transactions the default gas is used, 0.01 rbtc at 0.06 gwei covers 555 votes and 1666 heartbeats
+        const rsk = createChain('rsk', 10n ** 16n, 0.06 * GWEI, [{ kind: 'vote', storage: voteStorage }, { kind: 'heartbeat', storage: heartbeatStorage }]);
+        const monitor = new BalanceMonitor({ ...config, balanceMonitor: { ...config.balanceMonitor, warningHeartbeats: 2000 } }, logger, [rsk]);
+        expect((await monitor.run()).rsk).toMatchObject({ level: 'warning', covers: { vote: { remaining: 555, level: 'ok' }, heartbeat: { remaining: 1666, level: 'warning' } } });
+        expect(logger.warn).toHaveBeenCalledWith('Low funds, Federator 0x01 balance on rsk is 0.01, enough for 555 votes or 1666 heartbeats');
+        expect(send).toHaveBeenLastCalledWith(expect.objectContaining({
+            type: 'lowBalance',
+            key: 'rsk:warning',
+            severity: 'warning',
+            title: 'Low funds, Federator 0x01 balance on rsk is 0.01, enough for 555 votes or 1666 heartbeats',
+            details: expect.objectContaining({ chain: 'rsk', address: '0x01', balance: '10000000000000000' })
+        }));
+
+        rsk.web3.eth.getBalance.mockReturnValue(Promise.resolve('100000000000000'));
+        expect((await monitor.run()).rsk).toMatchObject({ level: 'critical', covers: { vote: { remaining: 5, level: 'critical' } } });
+        expect(logger.error).toHaveBeenCalledWith(expect.stringMatching(/^ALERT low funds, Federator 0x01 balance on rsk/));
+        expect(send).toHaveBeenLastCalledWith(expect.objectContaining({ type: 'lowBalance', key: 'rsk:critical', severity: 'critical' }));
+        expect(send).toHaveBeenCalledTimes(2);
+        send.mockRestore();
+    });
+
+    it('should keep the last figures when a node fails', async () => {
+        const eth = createChain('eth', 10n ** 18n, 0, [{ kind: 'vote', storage: voteStorage }]);
+        const monitor = new BalanceMonitor(config, logger, [eth]);
+        const send = jest.spyOn(Alerter, 'send');
+        expect((await monitor.run()).eth.covers.vote).toMatchObject({ remaining: null, level: 'ok' });
+        expect(send).not.toHaveBeenCalled();
+        send.mockRestore();
+
+        eth.web3.eth.getBalance.mockReturnValue(Promise.reject(new Error('ECONNREFUSED')));
+        expect((await monitor.run()).eth).toMatchObject({ balance: '1000000000000000000', error: 'ECONNREFUSED' });
+    });
+});
@@ -0,0 +1,108 @@
+const BlockRangePager = require('../src/lib/BlockRangePager');
+
+const logger = {
+    trace: jest.fn(),
+    debug: jest.fn(),
+    info: jest.fn(),
+    warn: jest.fn(),
+    error: jest.fn(),
+};
+
+async function collectPages(pager, fromBlock, toBlock, getPage) {
+    const pages = [];
+    await pager.forEachPage(fromBlock, toBlock, getPage, async (result, fromPageBlock, toPagedBlock) => {
+        pages.push([fromPageBlock, toPagedBlock]);
+    });
+    return pages;
+}
+
+describe('BlockRangePager module tests', () => {
+    beforeEach(async function () {
+        jest.clearAllMocks();
+    });
+
+    it('should cover the whole range with consecutive pages', async () => {
+        const pager = new BlockRangePager(logger, { minBlockRange: 10, maxBlockRange: 1000 });
+        const pages = await collectPages(pager, 1, 2500, () => Promise.resolve([]));
+
+        expect(pages).toEqual([[1, 1000], [1001, 2000], [2001, 2500]]);
+    });
+
+    it('should shrink the range when the node rejects it', async () => {
+        const pager = new BlockRangePager(logger, { minBlockRange: 100, maxBlockRange: 1000 });
+        const getPage = jest.fn().mockImplementation((fromBlock, toBlock) => {
+            if (toBlock - fromBlock + 1 > 250) {
+                return Promise.reject(new Error('query returned more than 10000 results'));
+            }
+            return Promise.resolve([]);
+        });
+        const pages = await collectPages(pager, 1, 500, getPage);
+
+        expect(pages).toEqual([[1, 250], [251, 500]]);
+        expect(pager.blockRange).toEqual(250);
+    });
+
+    it('should grow the range after consecutive successes up to the max', async () => {
+        const pager = new BlockRangePager(logger, { minBlockRange: 100, maxBlockRange: 3000 });
+        await collectPages(pager, 1, 20000, () => Promise.resolve([]));
+
+        expect(pager.blockRange).toEqual(3000);
+    });
+
+    it('should rethrow errors not related to the range or at the min range', async () => {
+        const pager = new BlockRangePager(logger, { minBlockRange: 500, maxBlockRange: 1000 });
+
+        await expect(collectPages(pager, 1, 100, () => Promise.reject(new Error('invalid address'))))
+            .rejects.toThrow('invalid address');
+        await expect(collectPages(pager, 1, 2000, () => Promise.reject(new Error('query returned more than 10000 results'))))
+            .rejects.toThrow('query returned more than 10000 results');
+        expect(pager.blockRange).toEqual(500);
+    });
+
+    it('should only shrink the range on the errors of a range too big', async () => {
+        const rangeErrors = [
+            'query returned more than 10000 results',
+            'block range too large',
+            'exceed maximum block range: 5000',
+            'Log response size exceeded. You can make eth_getLogs requests with up to a 2K block range',
+            'eth_getLogs is limited to a 10,000 range'
+        ];
+        for (const message of rangeErrors) {
+            expect(new BlockRangePager(logger).isRangeError(new Error(message))).toBeTruthy();
+        }
+
+        const otherErrors = ['rate limit exceeded', 'Too Many Requests', 'CONNECTION ERROR: Couldn\'t connect to node', 'Invalid JSON RPC response: ""'];
+        for (const message of otherErrors) {
+            const pager = new BlockRangePager(logger, { minBlockRange: 100, maxBlockRange: 1000 });
+            await expect(collectPages(pager, 1, 2000, () => Promise.reject(new Error(message)))).rejects.toThrow(message);
+            expect(pager.blockRange).toEqual(1000);
+        }
+    });
+
+    it('should retry a page that timed out once and shrink the range when it times out again', async () => {
+        const pager = new BlockRangePager(logger, { minBlockRange: 100, maxBlockRange: 1000 });
+        let timeouts = 1;
+        const getPage = jest.fn().mockImplementation((fromBlock, toBlock) => {
+            if (timeouts > 0 || toBlock - fromBlock + 1 > 250) {
+                timeouts--;
+                return Promise.reject(new Error('CONNECTION TIMEOUT: timeout of 30000 ms achived'));
+            }
+            return Promise.resolve([]);
+        });
+
+        // Slow for a moment, the range is kept
+        await collectPages(pager, 1, 1000, () => getPage(1, 100));
+        expect(pager.blockRange).toEqual(1000);
+
+        getPage.mockClear();
+        const pages = await collectPages(pager, 1, 500, getPage);
+        expect(pages).toEqual([[1, 250], [251, 500]]);
+        // Two timeouts with 1000 and 500 blocks per page
+        expect(getPage).toHaveBeenCalledTimes(2 + 2 + 2);
+        expect(pager.blockRange).toEqual(250);
+
+        await expect(collectPages(pager, 1, 500, () => Promise.reject(new Error('request timed out'))))
+            .rejects.toThrow('request timed out');
+        expect(pager.blockRange).toEqual(100);
+    });
+});
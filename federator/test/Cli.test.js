@@ -0,0 +1,190 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const http = require('http');
+
+const Cli = require('../src/lib/Cli');
+const Storage = require('../src/lib/Storage');
+const FederationFactory = require('../src/contracts/FederationFactory');
+const TransactionSender = require('../src/lib/TransactionSender');
+const web3Mock = require('./web3Mock');
+
+const config = JSON.parse(fs.readFileSync(path.join(__dirname, 'config.js'), 'utf8'));
+
+const logger = {
+    trace: jest.fn(),
+    debug: jest.fn(),
+    info: jest.fn(),
+    warn: jest.fn(),
+    error: jest.fn(),
+};
+const storagePath = fs.mkdtempSync(path.join(os.tmpdir(), 'cli-'));
+
+function listen(server) {
+    return new Promise(resolve => server.listen(0, '127.0.0.1', () => resolve(server.address().port)));
+}
+
+function close(server) {
+    return new Promise(resolve => server.close(resolve));
+}
+
+describe('Cli module tests', () => {
+    let closedPort;
+    let output;
+    let errors;
+
+    const createCli = (settings = {}) => new Cli(
+        { config: { ...config, storagePath, endpointsPort: closedPort, ...settings }, file: 'config/config.js', overrides: [], warnings: [] },
+        logger,
+        { Web3: web3Mock, print: line => output.push(line), printError: line => errors.push(line) }
+    );
+    const result = () => JSON.parse(output[output.length - 1]);
+
+    beforeAll(async () => {
+        // Nothing listens on it, the federator is not running
+        const server = http.createServer();
+        closedPort = await listen(server);
+        await close(server);
+    });
+
+    beforeEach(() => {
+        output = [];
+        errors = [];
+        jest.restoreAllMocks();
+        Storage.closeAll();
+        fs.rmSync(storagePath, { recursive: true, force: true });
+    });
+
+    afterAll(() => {
+        Storage.closeAll();
+        fs.rmSync(storagePath, { recursive: true, force: true });
+    });
+
+    it('should parse the command and its options', async () => {
+        expect(Cli.parseArgs(['resync', '--from', '100', '--direction=side'])).toEqual({ command: 'resync', options: { from: '100', direction: 'side' } });
+        expect(() => Cli.parseArgs(['resync', '--block', '100'])).toThrow('Unknown option --block');
+        expect(() => Cli.parseArgs(['resync', '--from', '--direction', 'main'])).toThrow('Option --from needs a value');
+        expect(() => Cli.parseArgs(['status', '--direction', 'up'])).toThrow('Unknown direction up, valid directions are main, side');
+
+        const cli = createCli();
+        expect(await cli.run([])).toEqual(1);
+        expect(output[0]).toMatch(/^Usage: federator <command>/);
+        expect(await cli.run(['rewind'])).toEqual(1);
+        expect(errors[0]).toEqual('Error: Unknown command rewind');
+    });
+
+    it('should read and resync the storage when the federator is not running', async () => {
+        const mainStorage = Storage.open(storagePath);
+        mainStorage.set('lastBlock', 200);
+        mainStorage.set('revertedTxns:0xabc', { transactionHash: '0x123', amount: '1' });
+        Storage.open(path.join(storagePath, 'side-fed')).set('manuallyCheck:0x456', { transactionHash: '0x456', to: '0x789', data: '0x' });
+        Storage.closeAll();
+
+        expect(await createCli().run(['show-reverted'])).toEqual(0);
+        expect(result()).toEqual({ main: [{ transactionId: '0xabc', transactionHash: '0x123', amount: '1' }], side: [] });
+        expect(await createCli().run(['show-manual', '--direction', 'side'])).toEqual(0);
+        expect(result()).toEqual({ side: [{ transactionHash: '0x456', to: '0x789', data: '0x' }] });
+
+        expect(await createCli().run(['resync', '--from', '100'])).toEqual(1);
+        expect(errors[0]).toEqual('Error: resync needs --from <block> and --direction main|side');
+        expect(await createCli().run(['resync', '--from', '100', '--direction', 'main'])).toEqual(0);
+        expect(result()).toEqual({ previousLastBlock: 200, lastBlock: 100 });
+        expect(new Storage(storagePath).get('lastBlock')).toEqual(100);
+    });
+
+    it('should not write the storage of a federator it can not reach', async () => {
+        const mainStorage = Storage.open(storagePath);
+        mainStorage.set('lastBlock', 200);
+        Storage.closeAll();
+        // A federator running on this host, with its endpoints on another port or not reachable
+        fs.writeFileSync(path.join(storagePath, 'state.lock'), JSON.stringify({ pid: process.ppid, hostname: os.hostname(), lockedAt: new Date().toISOString() }));
+
+        expect(await createCli().run(['show-reverted', '--direction', 'main'])).toEqual(0);
+        expect(result()).toEqual({ main: [] });
+        expect(await createCli().run(['resync', '--from', '100', '--direction', 'main'])).toEqual(1);
+        expect(errors[0]).toEqual(`Error: Storage ${storagePath} is locked by process ${process.ppid} on ${os.hostname()}, stop it or remove ${path.join(storagePath, 'state.lock')} if it's not running`);
+        expect(new Storage(storagePath).get('lastBlock')).toEqual(200);
+    });
+
+    it('should use the endpoints of the running federator', async () => {
+        const requests = [];
+        const server = http.createServer((req, res) => {
+            let body = '';
+            req.on('data', chunk => body += chunk);
+            req.on('end', () => {
+                requests.push({ method: req.method, url: req.url, authorization: req.headers.authorization, body });
+                const data = {
+                    '/isAlive': { status: 'error' },
+                    '/status': { main: { manuallyCheck: [{ transactionHash: '0x1' }] }, side: { manuallyCheck: [] }, supervisor: {} },
+                    '/admin/side/rewind': { previousLastBlock: 300, lastBlock: 250 }
+                }[req.url];
+                res.writeHead(req.url === '/isAlive' ? 503 : 200, { 'Content-Type': 'application/json' });
+                res.end(JSON.stringify(data));
+            });
+        });
+        const port = await listen(server);
+        const url = `http://127.0.0.1:${port}`;
+        try {
+            expect(await createCli().run(['show-manual', '--url', url])).toEqual(0);
+            expect(result()).toEqual({ main: [{ transactionHash: '0x1' }], side: [] });
+            expect(await createCli().run(['status', '--url', url])).toEqual(0);
+            expect(result()).toHaveProperty('supervisor');
+
+            expect(await createCli().run(['resync', '--from', '250', '--direction', 'side', '--url', url])).toEqual(1);
+            expect(errors[0]).toMatch(/^Error: The federator is running at http:\/\/127.0.0.1:\d+, stop it or set adminToken/);
+
+            requests.length = 0;
+            expect(await createCli({ adminToken: 'test-admin-token' }).run(['resync', '--from', '250', '--direction', 'side', '--url', url])).toEqual(0);
+            expect(result()).toEqual({ previousLastBlock: 300, lastBlock: 250 });
+            expect(requests[1]).toEqual({ method: 'POST', url: '/admin/side/rewind', authorization: 'Bearer test-admin-token', body: '{"block":250}' });
+            // The storage is left to the running federator
+            expect(fs.existsSync(path.join(storagePath, 'state.log'))).toBeFalsy();
+        } finally {
+            await close(server);
+        }
+
+        expect(await createCli().run(['status', '--url', url])).toEqual(1);
+        expect(errors[errors.length - 1]).toMatch(/^Error: No federator answering at http:\/\/127.0.0.1:\d+/);
+    });
+
+    it('should print the members of both Federations', async () => {
+        const address = '0x1111111111111111111111111111111111111111';
+        const federation = (federationAddress, members, required) => ({
+            getAddress: () => federationAddress,
+            getVersion: () => 'v2',
+            getMembers: () => ({ call: () => Promise.resolve(members) }),
+            getRequired: () => ({ call: () => Promise.resolve(String(required)) }),
+            isMember: member => ({ call: () => Promise.resolve(members.includes(member)) })
+        });
+        jest.spyOn(TransactionSender.prototype, 'getAddress').mockResolvedValue(address);
+        jest.spyOn(FederationFactory.prototype, 'getMainFederationContract').mockResolvedValue(federation(config.mainchain.federation, [address], 1));
+        jest.spyOn(FederationFactory.prototype, 'getSideFederationContract').mockResolvedValue(federation(config.sidechain.federation, ['0x2222222222222222222222222222222222222222'], 2));
+
+        expect(await createCli().run(['membership'])).toEqual(0);
+        expect(result()).toEqual({
+            '127.0.0.1:4444': { federation: config.mainchain.federation, version: 'v2', members: [address], required: 1, federator: address, isMember: true },
+            '127.0.0.1:8545': { federation: config.sidechain.federation, version: 'v2', members: ['0x2222222222222222222222222222222222222222'], required: 2, federator: address, isMember: false }
+        });
+    });
+
+    it('should print the config without its secrets', async () => {
+        const cli = createCli({
+            privateKey: 'abcdef',
+            adminToken: 'test-admin-token',
+            etherscanApiKey: 'etherscan-key',
+            mainchain: { ...config.mainchain, host: ['https://mainnet.infura.io/v3/project-id', 'http://127.0.0.1:4444'] },
+            alerting: { webhooks: [{ url: 'https://hooks.slack.com/services/T0/B0/secret', format: 'slack' }] }
+        });
+        expect(await cli.run(['config-print'])).toEqual(0);
+        const { file, config: printed } = result();
+        expect(file).toEqual('config/config.js');
+        expect(printed).toMatchObject({
+            privateKey: '<redacted>',
+            adminToken: '<redacted>',
+            etherscanApiKey: '<redacted>',
+            mainchain: { host: ['https://mainnet.infura.io/<redacted>', 'http://127.0.0.1:4444'], fromBlock: 44 },
+            alerting: { webhooks: [{ url: 'https://hooks.slack.com/<redacted>', format: 'slack' }] }
+        });
+        expect(output[0]).not.toMatch(/abcdef|test-admin-token|etherscan-key|project-id|secret/);
+    });
+});
@@ -0,0 +1,110 @@
+const http = require('http');
+const Web3 = require('web3');
+
+const ConfigCheck = require('../src/lib/ConfigCheck');
+
+const abi = new Web3().eth.abi;
+
+// JSON-RPC node stand-in with a bridge answering version()
+function createNode(chainId, bridgeVersion) {
+    const node = { chainId, bridgeVersion, syncing: false };
+    node.server = http.createServer((req, res) => {
+        let body = '';
+        req.on('data', chunk => body += chunk);
+        req.on('end', () => {
+            const { id, method } = JSON.parse(body);
+            const result = {
+                net_version: String(node.chainId),
+                eth_blockNumber: '0x3e8',
+                eth_syncing: node.syncing,
+                eth_call: node.bridgeVersion ? abi.encodeParameter('string', node.bridgeVersion) : '0x'
+            }[method];
+            res.writeHead(200, { 'Content-Type': 'application/json' });
+            res.end(JSON.stringify({ jsonrpc: '2.0', id, result }));
+        });
+    });
+    return node;
+}
+
+describe('ConfigCheck module tests', () => {
+    let rsk;
+    let eth;
+    let ethBackup;
+    let config;
+
+    beforeAll(async () => {
+        rsk = createNode(31, 'v3');
+        eth = createNode(42, 'v3');
+        ethBackup = createNode(42, 'v3');
+        for (const node of [rsk, eth, ethBackup]) {
+            await new Promise(resolve => node.server.listen(0, '127.0.0.1', resolve));
+            node.url = `http://127.0.0.1:${node.server.address().port}`;
+        }
+    });
+
+    afterAll(async () => {
+        for (const node of [rsk, eth, ethBackup]) {
+            await new Promise(resolve => node.server.close(resolve));
+        }
+    });
+
+    beforeEach(() => {
+        Object.assign(rsk, { chainId: 31, bridgeVersion: 'v3', syncing: false });
+        Object.assign(eth, { chainId: 42, bridgeVersion: 'v3', syncing: false });
+        Object.assign(ethBackup, { chainId: 42, bridgeVersion: 'v3', syncing: false });
+        config = {
+            mainchain: { bridge: '0x684a8a976635fb7ad74a0134ace990a6a0fcce84', host: rsk.url, fromBlock: 1 },
+            sidechain: { bridge: '0x12ed69359919fc775bc2674860e8fe2d2b6a7b5d', host: [eth.url, ethBackup.url], fromBlock: 1 },
+            runEvery: 2,
+            runHeartbeatEvery: 1,
+            storagePath: './db',
+            etherscanApiKey: 'key'
+        };
+    });
+
+    it('should probe the nodes and bridges of both chains', async () => {
+        const result = await new ConfigCheck(config, Web3, 5).run();
+        expect(result.ok).toBeTruthy();
+        expect(result.chains.mainchain).toEqual({
+            nodes: [{ host: rsk.url.slice('http://'.length), ok: true, chainId: 31, blockNumber: 1000 }],
+            bridge: { address: config.mainchain.bridge, ok: true, version: 'v3' }
+        });
+        expect(result.chains.sidechain.nodes.length).toEqual(2);
+    });
+
+    it('should fail on nodes that are syncing or disagree and on unknown bridges', async () => {
+        ethBackup.chainId = 1;
+        rsk.bridgeVersion = null;
+        let result = await new ConfigCheck(config, Web3, 5).run();
+        expect(result.ok).toBeFalsy();
+        expect(result.chains.sidechain.nodes.map(node => node.error)).toEqual([
+            'Nodes of the chain answer different chain ids 42, 1',
+            'Nodes of the chain answer different chain ids 42, 1'
+        ]);
+        expect(result.chains.mainchain.bridge).toMatchObject({ ok: false, error: expect.stringMatching(/^version\(\) failed/) });
+
+        ethBackup.chainId = 42;
+        ethBackup.syncing = { startingBlock: '0x1', currentBlock: '0x2', highestBlock: '0x3e8' };
+        result = await new ConfigCheck(config, Web3, 5).run();
+        expect(result.chains.sidechain.nodes[1]).toMatchObject({ ok: false, error: expect.stringMatching(/^Node is syncing/) });
+        expect(result.chains.sidechain.bridge.ok).toBeTruthy();
+    });
+
+    it('should reject receipt proofs on RSK chains', async () => {
+        config.mainchain.receiptProofs = true;
+        let result = await new ConfigCheck(config, Web3, 5).run();
+        expect(result.ok).toBeFalsy();
+        expect(result.errors).toEqual(['mainchain.receiptProofs is not supported on the RSK chain id 31, its block headers are not Ethereum ones']);
+
+        config.mainchain.receiptProofs = false;
+        config.sidechain.receiptProofs = true;
+        result = await new ConfigCheck(config, Web3, 5).run();
+        expect(result).toMatchObject({ ok: true, errors: [] });
+    });
+
+    it('should not probe an invalid config', async () => {
+        config.mainchain.host = 'http://rsk-node:4444';
+        const result = await new ConfigCheck(config, Web3, 5).run();
+        expect(result).toEqual({ ok: false, errors: ['mainchain.host must be an https or localhost URL, got "http://rsk-node:4444"'], warnings: [], chains: {} });
+    });
+});
@@ -0,0 +1,99 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const ConfigLoader = require('../src/lib/ConfigLoader');
+const ConfigSchema = require('../src/lib/ConfigSchema');
+
+describe('ConfigLoader module tests', () => {
+    const configDir = fs.mkdtempSync(path.join(os.tmpdir(), 'config-'));
+    const configFile = path.join(configDir, 'config.js');
+    const missingFile = path.join(configDir, 'missing.js');
+
+    beforeAll(() => {
+        fs.writeFileSync(configFile, `module.exports = {
+            mainchain: { name: 'rsk', bridge: '0x684a8a976635fb7ad74a0134ace990a6a0fcce84', host: 'https://rsk-node', fromBlock: 100 },
+            sidechain: { name: 'eth', bridge: '0x12ed69359919fc775bc2674860e8fe2d2b6a7b5d', host: 'https://eth-node', fromBlock: 200 },
+            runEvery: 2,
+            etherscanApiKey: 'file-key',
+        };`);
+    });
+
+    afterAll(() => fs.rmSync(configDir, { recursive: true, force: true }));
+
+    it('should name a variable after each setting', () => {
+        const names = ConfigLoader.variables().map(({ name }) => name);
+        expect(names).toEqual(expect.arrayContaining([
+            'FEDERATOR_RUN_EVERY',
+            'FEDERATOR_ETHERSCAN_API_KEY',
+            'FEDERATOR_MAINCHAIN__HOST',
+            'FEDERATOR_SIDECHAIN__GAS_PRICE_CEILING_GWEI',
+            'FEDERATOR_SIDECHAIN__GAS_PRICE_STRATEGY__TYPE',
+            'FEDERATOR_SIGNER__HEADERS',
+            'FEDERATOR_ALERTING__WEBHOOKS'
+        ]));
+        expect(names.length).toEqual(ConfigSchema.settings().length);
+    });
+
+    it('should override the config file with the environment', () => {
+        const env = {
+            FEDERATOR_RUN_EVERY: '5',
+            FEDERATOR_MAINCHAIN__HOST: 'https://primary:4444, https://backup:4444',
+            FEDERATOR_MAINCHAIN__RECEIPT_PROOFS: 'false',
+            FEDERATOR_SIDECHAIN__GAS_PRICE_STRATEGY__TYPE: 'feeHistory',
+            FEDERATOR_SIDECHAIN__QUORUM__PROVIDERS: 'https://provider-a,https://provider-b',
+            FEDERATOR_ALERTING__WEBHOOKS: '[{"url": "https://hooks.example.com/a", "format": "slack"}]',
+            FEDERATOR_SIGNER__HEADERS: '{"Authorization": "Bearer token"}'
+        };
+        const { config, file, overrides, warnings } = ConfigLoader.load(env, configFile);
+
+        expect(file).toEqual(configFile);
+        expect(config).toMatchObject({
+            runEvery: 5,
+            runHeartbeatEvery: 1,
+            etherscanApiKey: 'file-key',
+            mainchain: { name: 'rsk', host: ['https://primary:4444', 'https://backup:4444'], fromBlock: 100, receiptProofs: false },
+            sidechain: { host: 'https://eth-node', gasPriceStrategy: { type: 'feeHistory' }, quorum: { providers: ['https://provider-a', 'https://provider-b'] } },
+            alerting: { webhooks: [{ url: 'https://hooks.example.com/a', format: 'slack' }] },
+            signer: { headers: { Authorization: 'Bearer token' } }
+        });
+        expect(overrides).toEqual(expect.arrayContaining(Object.keys(env)));
+        expect(warnings).toEqual([]);
+        // The file itself is left as it was
+        expect(require(configFile).mainchain.host).toEqual('https://rsk-node');
+    });
+
+    it('should build the config from the environment and the network files', () => {
+        const env = {
+            FEDERATOR_MAINCHAIN_NETWORK: 'rskmainnet',
+            FEDERATOR_SIDECHAIN_NETWORK: 'ethmainnet',
+            FEDERATOR_MAINCHAIN__HOST: 'https://rsk-node',
+            FEDERATOR_SIDECHAIN__HOST: 'https://eth-node',
+            FEDERATOR_ETHERSCAN_API_KEY: 'key',
+            FEDERATOR_PRIVATE_KEY: 'abc',
+            FEDERATOR_RUN_EVRY: '5'
+        };
+        const { config, file, warnings } = ConfigLoader.load(env, missingFile);
+
+        expect(file).toBeNull();
+        expect(config.mainchain).toEqual({ ...require('../config/rskmainnet.json'), host: 'https://rsk-node' });
+        expect(config.sidechain.transactionType).toEqual('eip1559');
+        expect(config.privateKey).toEqual('abc');
+        expect(env.FEDERATOR_PRIVATE_KEY).toBeUndefined();
+        expect(warnings).toEqual(['Environment variable FEDERATOR_RUN_EVRY is not a known setting, it\'s ignored']);
+        expect(ConfigSchema.validate(config).errors).toEqual([]);
+    });
+
+    it('should leave the values it cannot parse to the validation', () => {
+        const { config } = ConfigLoader.load({ FEDERATOR_ENDPOINTS_PORT: 'http', FEDERATOR_MAINCHAIN__RECEIPT_PROOFS: 'yes' }, configFile);
+        expect(ConfigSchema.validate(config).errors).toEqual([
+            'mainchain.receiptProofs must be true or false, got "yes"',
+            'endpointsPort must be an integer, got "http"'
+        ]);
+    });
+
+    it('should fail when the config or network files are missing', () => {
+        expect(() => ConfigLoader.load({ FEDERATOR_CONFIG_FILE: missingFile })).toThrow(`Config file ${missingFile} not found`);
+        expect(() => ConfigLoader.load({ FEDERATOR_MAINCHAIN_NETWORK: 'rskdevnet' }, configFile)).toThrow(/rskdevnet.json of mainchain not found/);
+    });
+});
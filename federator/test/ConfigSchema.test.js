@@ -0,0 +1,85 @@
+const ConfigSchema = require('../src/lib/ConfigSchema');
+
+const validConfig = {
+    mainchain: {
+        name: 'rsk',
+        bridge: '0x684a8a976635fb7ad74a0134ace990a6a0fcce84',
+        host: 'https://public-node.rsk.co',
+        fromBlock: 957252
+    },
+    sidechain: {
+        name: 'eth',
+        bridge: '0x12eD69359919Fc775bC2674860E8Fe2d2b6a7B5D',
+        federation: '0x479f86ecbe766073d2712ef418aceb56d5362a2b',
+        host: ['https://mainnet.infura.io/v3/key', 'http://localhost:8545'],
+        transactionType: 'eip1559',
+        gasPriceStrategy: { type: 'feeHistory', blocks: 10, percentile: 50 },
+        quorum: { providers: ['https://provider-a', 'https://provider-b'], required: 2 },
+        fromBlock: 10823910
+    },
+    runEvery: 2,
+    runHeartbeatEvery: 1,
+    storagePath: './db',
+    etherscanApiKey: 'key',
+    endpointsPort: 5000,
+    supervisor: { initialBackoffSeconds: 60 },
+    alerting: { webhooks: ['https://hooks.example.com/a', { url: 'http://127.0.0.1:9000', format: 'slack' }], cooldowns: { lag: 30 } }
+};
+
+describe('ConfigSchema module tests', () => {
+    it('should accept a valid config', () => {
+        expect(ConfigSchema.validate(validConfig)).toEqual({ errors: [], warnings: [] });
+    });
+
+    it('should report each invalid setting with its path', () => {
+        const { errors } = ConfigSchema.validate({
+            ...validConfig,
+            mainchain: { ...validConfig.mainchain, bridge: '0x684a', host: undefined, fromBlock: -1 },
+            sidechain: { ...validConfig.sidechain, host: ['https://node', 'http://node:8545'], bridge: '0x12ed69359919FC775bc2674860e8fe2d2b6a7b5d', transactionType: 'eip2930' },
+            runEvery: 0,
+            storagePath: '',
+            etherscanApiKey: undefined,
+            endpointsPort: '5000',
+            runHeartbeatEvery: 'hourly'
+        });
+        expect(errors).toEqual([
+            'mainchain.bridge must be an address, 0x followed by 40 hex characters, got "0x684a"',
+            'mainchain.host is required',
+            'mainchain.fromBlock must be at least 0, got -1',
+            'sidechain.bridge has an invalid checksum, use the checksummed or the lowercase address, got "0x12ed69359919FC775bc2674860e8fe2d2b6a7b5d"',
+            'sidechain.host[1] must be an https or localhost URL, got "http://node:8545"',
+            'sidechain.transactionType must be one of legacy, eip1559, got "eip2930"',
+            'runEvery must be greater than 0, got 0',
+            'runHeartbeatEvery must be a number, got "hourly"',
+            'storagePath must not be empty, got ""',
+            'etherscanApiKey is required',
+            'endpointsPort must be an integer, got "5000"'
+        ]);
+    });
+
+    it('should check the settings that depend on each other', () => {
+        const { errors } = ConfigSchema.validate({
+            ...validConfig,
+            mainchain: { ...validConfig.mainchain, minBlockRange: 500, maxBlockRange: 100 },
+            sidechain: { ...validConfig.sidechain, gasPriceStrategy: { type: 'fixed' }, quorum: { providers: ['https://provider-a'], required: 2 } },
+            signer: { type: 'remote' },
+            alerting: { webhooks: [{ url: 'https://hooks.example.com/a', format: 'teams' }] }
+        });
+        expect(errors).toEqual([
+            'mainchain minBlockRange 500 is greater than maxBlockRange 100',
+            'sidechain.gasPriceStrategy fixed requires gasPriceGwei or maxFeePerGasGwei',
+            'sidechain.quorum requires 2 of only 1 providers',
+            'signer url is required by the remote signer',
+            'alerting.webhooks[0] format must be one of slack, generic, got {"url":"https://hooks.example.com/a","format":"teams"}'
+        ]);
+    });
+
+    it('should warn about unknown settings', () => {
+        const { errors, warnings } = ConfigSchema.validate({ ...validConfig, runEvry: 2, mainchain: { ...validConfig.mainchain, hosts: 'https://node' } });
+        expect(errors).toEqual([]);
+        expect(warnings).toEqual([
+            'mainchain.hosts is not a known setting, it\'s ignored',
+            'runEvry is not a known setting, it\'s ignored'
+        ]);
+    });
+});
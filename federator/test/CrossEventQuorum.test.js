@@ -0,0 +1,93 @@
+const CrossEventQuorum = require('../src/lib/CrossEventQuorum');
+
+const logger = {
+    trace: jest.fn(),
+    debug: jest.fn(),
+    info: jest.fn(),
+    warn: jest.fn(),
+    error: jest.fn(),
+};
+
+const log = {
+    blockHash: '0xb1',
+    blockNumber: 100,
+    transactionHash: '0xt1',
+    logIndex: 2,
+    returnValues: {
+        0: '0xToken',
+        _tokenAddress: '0xToken',
+        _to: '0xReceiver',
+        _amount: '1000'
+    }
+};
+
+// Each provider URL answers with the block height and Cross events set in nodes
+let nodes;
+class Web3Stub {
+    constructor(url) {
+        const node = () => nodes[url];
+        this.eth = {
+            getBlockNumber: () => node().down ? Promise.reject(new Error('ECONNREFUSED')) : Promise.resolve(node().blockNumber),
+            Contract: class {
+                getPastEvents(event, { fromBlock, toBlock }) {
+                    return Promise.resolve(node().events.filter(({ blockNumber }) => blockNumber >= fromBlock && blockNumber <= toBlock));
+                }
+            }
+        };
+    }
+}
+
+describe('CrossEventQuorum module tests', () => {
+    const chainConfig = { name: 'rsk', quorum: { providers: ['https://a.node', 'https://b.node', 'https://c.node'], required: 2 } };
+
+    beforeEach(() => {
+        nodes = {
+            'https://a.node': { blockNumber: 110, events: [log] },
+            'https://b.node': { blockNumber: 110, events: [{ ...log, blockHash: '0xB1', returnValues: { _tokenAddress: '0xtoken', _to: '0xreceiver', _amount: '1000' } }] },
+            'https://c.node': { blockNumber: 110, events: [log] },
+        };
+    });
+
+    it('should be enabled only with providers', () => {
+        expect(CrossEventQuorum.isEnabled({})).toBeFalsy();
+        expect(CrossEventQuorum.isEnabled(chainConfig)).toBeTruthy();
+        expect(() => new CrossEventQuorum(logger, { name: 'rsk', quorum: { providers: ['https://a.node'], required: 2 } }, Web3Stub))
+            .toThrow('Quorum of rsk requires 2 of 1 providers');
+        expect(new CrossEventQuorum(logger, { quorum: { providers: ['https://a.node', 'https://b.node', 'https://c.node'] } }, Web3Stub).required).toEqual(2);
+    });
+
+    it('should verify a log every provider returns', async () => {
+        const quorum = new CrossEventQuorum(logger, chainConfig, Web3Stub);
+        expect(await quorum.verify(log, [], '0xbridge')).toEqual({
+            verified: true,
+            required: 2,
+            total: 3,
+            agreeing: ['a.node', 'b.node', 'c.node'],
+            disagreeing: [],
+            unavailable: []
+        });
+    });
+
+    it('should report the providers that disagree', async () => {
+        nodes['https://b.node'].events = [{ ...log, returnValues: { ...log.returnValues, _to: '0xAttacker' } }];
+        nodes['https://c.node'].events = [];
+        const result = await new CrossEventQuorum(logger, chainConfig, Web3Stub).verify(log, [], '0xbridge');
+        expect(result).toMatchObject({
+            verified: false,
+            agreeing: ['a.node'],
+            disagreeing: [{ provider: 'b.node', differences: ['returnValues._to'] }, { provider: 'c.node', differences: ['missing'] }]
+        });
+    });
+
+    it('should not count unavailable providers as disagreeing', async () => {
+        nodes['https://b.node'].down = true;
+        nodes['https://c.node'] = { blockNumber: 90, events: [] };
+        const result = await new CrossEventQuorum(logger, chainConfig, Web3Stub).verify(log, [], '0xbridge');
+        expect(result).toMatchObject({
+            verified: false,
+            agreeing: ['a.node'],
+            disagreeing: [],
+            unavailable: [{ provider: 'b.node', error: 'ECONNREFUSED' }, { provider: 'c.node', error: 'Provider is at block 90' }]
+        });
+    });
+});
@@ -0,0 +1,86 @@
+const Web3 = require('web3');
+
+const CrossLogVerifier = require('../src/lib/CrossLogVerifier');
+const abiBridge = require('../../bridge/abi/Bridge.json');
+
+const web3 = new Web3();
+const bridge = '0x684a8a976635fb7ad74a0134ace990a6a0fcce84';
+const token = '0x2ac7bdb0ea8b1bba7e3bb3b7b9f4f5f5de1f9d0a';
+const sender = '0x3444f14cbc7081aded7203e32e65304d17fe3bda';
+const receiver = '0x8f5c4e0e8c2f2d4e0f2f7c0a5b7f6c0a1b2c3d4e';
+const blockHash = '0x6a1f0f2a57e3f7b3e45b5a7cd6cf9c4e5e6f7a8b9c0d1e2f3a4b5c6d7e8f9a0b';
+const transactionHash = '0x0f1e2d3c4b5a69788796a5b4c3d2e1f00f1e2d3c4b5a69788796a5b4c3d2e1f0';
+
+const crossEvent = abiBridge.find(item => item.type === 'event' && item.name === 'Cross');
+const crossTopic = web3.eth.abi.encodeEventSignature(crossEvent);
+const topic = address => web3.eth.abi.encodeParameter('address', address);
+
+const log = {
+    blockHash,
+    blockNumber: 100,
+    transactionHash,
+    logIndex: 1,
+    returnValues: { _tokenAddress: token, _from: sender, _to: receiver, _amount: '1000', _userData: null }
+};
+
+function receiptFor({ amount = '1000', status = true, address = bridge, topics } = {}) {
+    return {
+        status,
+        blockHash,
+        blockNumber: 100,
+        transactionHash,
+        logs: [
+            { logIndex: 0, address: token, topics: [web3.utils.sha3('Transfer(address,address,uint256)')], data: '0x' },
+            {
+                logIndex: 1,
+                address,
+                topics: topics || [crossTopic, topic(token), topic(sender), topic(receiver)],
+                data: web3.eth.abi.encodeParameters(['uint256', 'bytes'], [amount, '0x'])
+            }
+        ]
+    };
+}
+
+describe('CrossLogVerifier module tests', () => {
+    let verifier;
+
+    beforeEach(() => {
+        verifier = new CrossLogVerifier(web3);
+        web3.eth.getBlock = jest.fn().mockReturnValue(Promise.resolve({ number: 100, hash: blockHash }));
+        web3.eth.getTransactionReceipt = jest.fn().mockReturnValue(Promise.resolve(receiptFor()));
+    });
+
+    it('should accept a log that matches its receipt', async () => {
+        expect(await verifier.verify(log, abiBridge, bridge.toUpperCase().replace('0X', '0x'))).toEqual([]);
+        expect(web3.eth.getTransactionReceipt).toHaveBeenCalledWith(transactionHash);
+        expect(web3.eth.getBlock).toHaveBeenCalledWith(100);
+    });
+
+    it('should reject a log that is not canonical anymore', async () => {
+        web3.eth.getBlock.mockReturnValue(Promise.resolve({ number: 100, hash: '0x01' }));
+        expect(await verifier.verify(log, abiBridge, bridge)).toEqual(['block 100 canonical hash is 0x01']);
+    });
+
+    it('should reject reverted transactions and unknown receipts', async () => {
+        web3.eth.getTransactionReceipt.mockReturnValue(Promise.resolve(receiptFor({ status: false })));
+        expect(await verifier.verify(log, abiBridge, bridge)).toEqual(['transaction reverted']);
+
+        web3.eth.getTransactionReceipt.mockReturnValue(Promise.resolve(null));
+        expect(await verifier.verify(log, abiBridge, bridge)).toEqual(['receipt not found']);
+    });
+
+    it('should reject logs not emitted by the bridge as a Cross event', async () => {
+        web3.eth.getTransactionReceipt.mockReturnValue(Promise.resolve(receiptFor({ address: token })));
+        expect(await verifier.verify(log, abiBridge, bridge)).toEqual([`log emitted by ${token}`]);
+
+        web3.eth.getTransactionReceipt.mockReturnValue(Promise.resolve(receiptFor({ topics: [web3.utils.sha3('Other()')] })));
+        expect(await verifier.verify(log, abiBridge, bridge)).toEqual(['log is not a Cross event']);
+
+        expect(await verifier.verify({ ...log, logIndex: 5 }, abiBridge, bridge)).toEqual(['receipt has no log 5']);
+    });
+
+    it('should reject logs with values different from the receipt', async () => {
+        web3.eth.getTransactionReceipt.mockReturnValue(Promise.resolve(receiptFor({ amount: '999999' })));
+        expect(await verifier.verify(log, abiBridge, bridge)).toEqual(['receipt log differs in returnValues._amount']);
+    });
+});
@@ -0,0 +1,133 @@
+const http = require('http');
+const Web3 = require('web3');
+
+const FailoverProvider = require('../src/lib/FailoverProvider');
+
+const logger = {
+    trace: jest.fn(),
+    debug: jest.fn(),
+    info: jest.fn(),
+    warn: jest.fn(),
+    error: jest.fn(),
+};
+
+// JSON-RPC node stand-in, it answers with HTTP 500 while it's down
+function createNode(blockNumber) {
+    const node = { blockNumber, down: false, requests: 0 };
+    node.server = http.createServer((req, res) => {
+        let body = '';
+        req.on('data', chunk => body += chunk);
+        req.on('end', () => {
+            node.requests++;
+            if (node.down) {
+                res.writeHead(500);
+                return res.end('Bad gateway');
+            }
+            const { id } = JSON.parse(body);
+            res.writeHead(200, { 'Content-Type': 'application/json' });
+            res.end(JSON.stringify({ jsonrpc: '2.0', id, result: `0x${node.blockNumber.toString(16)}` }));
+        });
+    });
+    return node;
+}
+
+describe('FailoverProvider module tests', () => {
+    let primary;
+    let backup;
+    let chainConfig;
+    let now;
+
+    beforeAll(async () => {
+        primary = createNode(1000);
+        backup = createNode(1000);
+        for (const node of [primary, backup]) {
+            await new Promise(resolve => node.server.listen(0, '127.0.0.1', resolve));
+            node.url = `http://127.0.0.1:${node.server.address().port}`;
+        }
+    });
+
+    afterAll(async () => {
+        for (const node of [primary, backup]) {
+            await new Promise(resolve => node.server.close(resolve));
+        }
+    });
+
+    beforeEach(() => {
+        jest.clearAllMocks();
+        now = 0;
+        Object.assign(primary, { blockNumber: 1000, down: false, requests: 0 });
+        Object.assign(backup, { blockNumber: 1000, down: false, requests: 0 });
+        chainConfig = { name: 'rsk', host: [primary.url, backup.url], healthCheckSeconds: 30, maxBlockLag: 5 };
+    });
+
+    it('should accept a single host', () => {
+        const provider = new FailoverProvider(logger, { host: primary.url });
+        expect(provider.endpoints.length).toEqual(1);
+        expect(() => new FailoverProvider(logger, { name: 'rsk' })).toThrow('No host configured for rsk');
+    });
+
+    it('should use the primary while it is healthy', async () => {
+        const provider = new FailoverProvider(logger, chainConfig, () => now);
+        await provider.checkHealth();
+        const web3 = new Web3(provider);
+
+        expect(await web3.eth.getBlockNumber()).toEqual(1000);
+        expect(primary.requests).toEqual(2);
+        expect(backup.requests).toEqual(1);
+        expect(logger.info).toHaveBeenCalledWith(expect.stringContaining(`rsk RPC block heights ${provider.endpoints[0].name} 1000 (active)`));
+    });
+
+    it('should fail over on errors and fail back when the primary recovers', async () => {
+        const provider = new FailoverProvider(logger, chainConfig, () => now);
+        await provider.checkHealth();
+        const web3 = new Web3(provider);
+
+        primary.down = true;
+        expect(await web3.eth.getBlockNumber()).toEqual(1000);
+        expect(provider.getStatus()).toMatchObject({
+            active: provider.endpoints[1].name,
+            endpoints: [{ active: false, healthy: false }, { active: true, healthy: true }]
+        });
+        expect(logger.warn).toHaveBeenCalledWith(`rsk RPC switched from ${provider.endpoints[0].name} to ${provider.endpoints[1].name}`);
+
+        // Not due for a health check, the primary is not tried again
+        primary.requests = 0;
+        await web3.eth.getBlockNumber();
+        expect(primary.requests).toEqual(0);
+
+        primary.down = false;
+        now = 30 * 1000;
+        await web3.eth.getBlockNumber();
+        await provider.healthCheckInProgress;
+        expect(provider.getStatus().active).toEqual(provider.endpoints[0].name);
+    });
+
+    it('should fail over when the block height is stale', async () => {
+        const provider = new FailoverProvider(logger, chainConfig, () => now);
+        backup.blockNumber = 1010;
+        await provider.checkHealth();
+
+        expect(provider.getStatus()).toMatchObject({
+            active: provider.endpoints[1].name,
+            endpoints: [
+                { healthy: false, blockNumber: 1000, lastError: '10 blocks behind' },
+                { healthy: true, blockNumber: 1010, lastError: null }
+            ]
+        });
+        expect(await new Web3(provider).eth.getBlockNumber()).toEqual(1010);
+    });
+
+    it('should return the error when every endpoint fails', async () => {
+        const provider = new FailoverProvider(logger, chainConfig, () => now);
+        await provider.checkHealth();
+        primary.down = true;
+        backup.down = true;
+
+        await expect(new Web3(provider).eth.getBlockNumber()).rejects.toThrow();
+        expect(provider.getStatus().endpoints.every(endpoint => !endpoint.healthy)).toBeTruthy();
+    });
+
+    it('should share the provider of a chain', () => {
+        expect(FailoverProvider.forChain(logger, chainConfig)).toBe(FailoverProvider.forChain(logger, { ...chainConfig }));
+    });
+});
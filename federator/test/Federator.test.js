@@ -1,7 +1,12 @@
 const fs = require('fs');
+const os = require('os');
 const path = require('path');
 
 const Federator = require('../src/lib/Federator');
+const Heartbeat = require('../src/lib/Heartbeat');
+const Storage = require('../src/lib/Storage');
+const Metrics = require('../src/lib/Metrics');
+const Alerter = require('../src/lib/Alerter');
 const eth = require('./web3Mock/eth.js');
 const web3Mock = require('./web3Mock');
 
@@ -15,27 +20,29 @@ const logger = {
     warn: jest.fn(),
     error: console.log,
 };
-const storagePath = `${__dirname}`;
-const testPath = `${storagePath}/lastBlock.txt`;
+const storagePath = fs.mkdtempSync(path.join(os.tmpdir(), 'federator-'));
 let testConfig = { ...config, storagePath };
 
+function removeStorage() {
+    Storage.closeAll();
+    fs.rmSync(storagePath, { recursive: true, force: true });
+}
+
 describe('Federator module tests', () => {
     beforeEach(async function () {
         jest.clearAllMocks();
-        if(fs.existsSync(testPath)) {
-            fs.unlinkSync(testPath);
-        }
+        removeStorage();
     });
 
-    it('Saves the progress in a file path', async () => {
-        let federator = new Federator(testConfig, logger, web3Mock);
+    afterAll(removeStorage);
 
-        federator._saveProgress(testPath, 'test');
+    it('Saves the progress in the storage', async () => {
+        let federator = new Federator(testConfig, logger, web3Mock);
 
-        expect(fs.existsSync(testPath)).toBeTruthy();
+        federator._saveProgress('lastBlock', 123);
 
-        let value = fs.readFileSync(testPath, 'utf8');
-        expect(value).toEqual('test');
+        expect(federator.storage.get('lastBlock')).toEqual(123);
+        expect(new Storage(storagePath).get('lastBlock')).toEqual(123);
     });
 
     it('Should no vote for empty log and receiver', async () => {
@@ -48,7 +55,405 @@ describe('Federator module tests', () => {
         } catch (err) {
             expect(err).not.toBeNull();
         }
-        expect(fs.existsSync(testPath)).toBeFalsy();
+        expect(federator.storage.has('lastBlock')).toBeFalsy();
     })
 
+    it('Should keep the last block when the checkpoints are canonical', async () => {
+        let federator = new Federator(testConfig, logger, web3Mock);
+        federator.mainWeb3.eth.getBlock = jest.fn().mockImplementation((number) => Promise.resolve({ number, hash: `0x${number}` }));
+
+        await federator._saveCheckpoint(100);
+        await federator._saveCheckpoint(200);
+        const fromBlock = await federator._rewindOnReorg(200, 0);
+
+        expect(fromBlock).toEqual(200);
+        expect(federator._readCheckpoints()).toEqual([
+            { blockNumber: 100, blockHash: '0x100' },
+            { blockNumber: 200, blockHash: '0x200' }
+        ]);
+    });
+
+    it('Should keep the nonces of the side federator with the heartbeat ones', async () => {
+        const sideFederator = new Federator(Federator.sideConfig(testConfig), logger, web3Mock);
+        const heartbeat = new Heartbeat(testConfig, logger, web3Mock);
+        expect(sideFederator.storage).toBe(Storage.open(path.join(storagePath, 'side-fed')));
+        expect(sideFederator.transactionSender.nonceManager.storage).toBe(heartbeat.transactionSender.nonceManager.storage);
+        expect(heartbeat.transactionSender.nonceManager.storage).toBe(Storage.open(storagePath));
+    });
+
+    it('Should replace the stuck transactions on every run', async () => {
+        let federator = new Federator(testConfig, logger, web3Mock);
+        const confirmations = { smallAmountConfirmations: 200, mediumAmountConfirmations: 200, largeAmountConfirmations: 200 };
+        jest.spyOn(federator.mainWeb3.eth, 'getBlockNumber').mockReturnValue(Promise.resolve(120));
+        federator.mainWeb3.eth.isSyncing = jest.fn().mockReturnValue(Promise.resolve(false));
+        federator.sideWeb3.eth.isSyncing = jest.fn().mockReturnValue(Promise.resolve(false));
+        federator.allowTokensFactory.getMainAllowTokensContract = jest.fn().mockReturnValue(Promise.resolve({
+            getConfirmations: () => Promise.resolve(confirmations)
+        }));
+        federator.transactionSender.checkStuckTransactions = jest.fn().mockReturnValue(Promise.resolve());
+
+        expect(await federator.run()).toBeFalsy();
+        expect(federator.transactionSender.checkStuckTransactions).toHaveBeenCalledWith(testConfig.privateKey);
+        delete federator.mainWeb3.eth.isSyncing;
+        delete federator.sideWeb3.eth.isSyncing;
+    });
+
+    it('Should not mark as reverted the votes that are not mined yet', async () => {
+        let federator = new Federator(testConfig, logger, web3Mock);
+        const send = jest.spyOn(Alerter, 'send').mockReturnValue(Promise.resolve(true));
+        const fedContract = {
+            getAddress: () => '0x02',
+            voteTransaction: () => ({ encodeABI: () => '0x1234' })
+        };
+        const vote = (txId) => federator._voteTransaction(fedContract, '0x05', '0x06', '0x07', '1', 'TKN', '0x08', '0x09', 1, 18, 1, 0, txId);
+
+        federator.transactionSender.sendTransaction = jest.fn().mockReturnValue(Promise.resolve({ transactionHash: '0x0a', status: false, pending: true }));
+        expect(await vote('0xA1')).toBeTruthy();
+        expect(federator.storage.has('revertedTxns:0xa1')).toBeFalsy();
+        expect(federator.storage.get('lastVote')).toMatchObject({ transactionId: '0xa1', status: 'pending' });
+        expect(send).not.toHaveBeenCalled();
+
+        federator.transactionSender.sendTransaction = jest.fn().mockReturnValue(Promise.resolve({ transactionHash: '0x0b', blockNumber: 10, status: false }));
+        expect(await vote('0xA2')).toBeTruthy();
+        expect(federator.storage.has('revertedTxns:0xa2')).toBeTruthy();
+        expect(federator.storage.get('lastVote')).toMatchObject({ transactionId: '0xa2', status: 'reverted' });
+        expect(send).toHaveBeenCalledWith(expect.objectContaining({ type: 'voteFailed', key: '0xa2' }));
+        send.mockRestore();
+    });
+
+    it('Should scan a range of a single block', async () => {
+        let federator = new Federator(testConfig, logger, web3Mock);
+        federator.mainWeb3.eth.getBlock = jest.fn().mockImplementation((number) => Promise.resolve({ number, hash: `0x${number}` }));
+        const mainBridge = { getPastEvents: jest.fn().mockReturnValue(Promise.resolve([])) };
+        federator.bridgeFactory.getMainBridgeContract = jest.fn().mockReturnValue(Promise.resolve(mainBridge));
+        federator._processLogs = jest.fn().mockReturnValue(Promise.resolve([]));
+
+        await federator.getLogsAndProcess(100, 100, 110, false, {});
+        expect(mainBridge.getPastEvents).toHaveBeenCalledWith('Cross', { fromBlock: 100, toBlock: 100 });
+        expect(federator.storage.get('lastBlock')).toEqual(100);
+        await federator.getLogsAndProcess(101, 101, 110, true, {});
+        expect(mainBridge.getPastEvents).toHaveBeenLastCalledWith('Cross', { fromBlock: 101, toBlock: 101 });
+        expect(federator.storage.get('lastScannedBlock')).toEqual(101);
+
+        await federator.getLogsAndProcess(102, 101, 110, true, {});
+        expect(mainBridge.getPastEvents).toHaveBeenCalledTimes(2);
+    });
+
+    it('Should rewind to the common ancestor after a reorg', async () => {
+        let federator = new Federator(testConfig, logger, web3Mock);
+        federator.mainWeb3.eth.getBlock = jest.fn().mockImplementation((number) => Promise.resolve({ number, hash: `0x${number}` }));
+
+        await federator._saveCheckpoint(100);
+        await federator._saveCheckpoint(200);
+        await federator._saveCheckpoint(300);
+        federator.mainWeb3.eth.getBlock = jest.fn().mockImplementation((number) => Promise.resolve({ number, hash: number > 100 ? '0xfork' : `0x${number}` }));
+        const fromBlock = await federator._rewindOnReorg(300, 0);
+
+        expect(fromBlock).toEqual(100);
+        expect(federator.storage.get('lastBlock')).toEqual(100);
+        expect(federator._readCheckpoints()).toEqual([{ blockNumber: 100, blockHash: '0x100' }]);
+    });
+
+    it('Should rewind to fromBlock when no checkpoint is canonical', async () => {
+        let federator = new Federator(testConfig, logger, web3Mock);
+        federator.mainWeb3.eth.getBlock = jest.fn().mockImplementation((number) => Promise.resolve({ number, hash: `0x${number}` }));
+
+        await federator._saveCheckpoint(100);
+        federator.mainWeb3.eth.getBlock = jest.fn().mockImplementation((number) => Promise.resolve({ number, hash: '0xfork' }));
+        const fromBlock = await federator._rewindOnReorg(100, 44);
+
+        expect(fromBlock).toEqual(44);
+        expect(federator._readCheckpoints()).toEqual([]);
+    });
+
+    it('Should vote the pending votes once they are mature', async () => {
+        let federator = new Federator(testConfig, logger, web3Mock);
+        federator._processLogs = jest.fn().mockReturnValue(Promise.resolve([]));
+        const confirmations = { smallAmountConfirmations: 2, mediumAmountConfirmations: 5, largeAmountConfirmations: 10 };
+        const log = (blockNumber, logIndex) => ({
+            blockHash: '0x01',
+            blockNumber,
+            transactionHash: '0x02',
+            logIndex,
+            returnValues: { _tokenAddress: '0x03' }
+        });
+
+        federator._queuePendingVote(log(100, 1), 'medium', 5);
+        federator._queuePendingVote(log(100, 2), 'large', 10);
+        federator._queuePendingVote(log(100, 2), 'large', 10);
+        expect(federator.getPendingVotesSummary()).toMatchObject({ count: 2, byToken: { '0x03': 2 }, nextVotableAtBlock: 105 });
+
+        await federator._processPendingVotes(104, confirmations);
+        expect(federator._processLogs).not.toHaveBeenCalled();
+
+        await federator._processPendingVotes(106, confirmations);
+        expect(federator._processLogs).toHaveBeenCalledWith([log(100, 1)], 106, false, confirmations);
+        expect(federator.getPendingVotesSummary().count).toEqual(1);
+
+        await federator._processPendingVotes(110, confirmations);
+        expect(federator._processLogs).toHaveBeenLastCalledWith([log(100, 2)], 110, false, confirmations);
+        expect(federator.getPendingVotesSummary().count).toEqual(0);
+    });
+
+    it('Should keep the votes held by the gas price ceiling', async () => {
+        let federator = new Federator(testConfig, logger, web3Mock);
+        const confirmations = { smallAmountConfirmations: 2, mediumAmountConfirmations: 5, largeAmountConfirmations: 10 };
+        const log = { blockHash: '0x01', blockNumber: 100, transactionHash: '0x02', logIndex: 0, returnValues: { _tokenAddress: '0x03' } };
+
+        federator._queuePendingVote(log, 'held', 0);
+        federator._processLogs = jest.fn().mockImplementation((logs) => Promise.resolve(logs));
+        await federator._processPendingVotes(102, confirmations);
+        expect(federator._processLogs).toHaveBeenCalledWith([log], 102, false, confirmations);
+        expect(federator.getPendingVotesSummary().count).toEqual(1);
+
+        federator._processLogs = jest.fn().mockReturnValue(Promise.resolve([]));
+        await federator._processPendingVotes(103, confirmations);
+        expect(federator.getPendingVotesSummary().count).toEqual(0);
+    });
+
+    it('Should block the votes of logs that do not match their receipt', async () => {
+        let federator = new Federator({ ...testConfig, mainchain: { ...testConfig.mainchain, name: 'rsk' }, sidechain: { ...testConfig.sidechain, name: 'eth' } }, logger, web3Mock);
+        const log = { blockHash: '0x01', blockNumber: 100, transactionHash: '0x02', logIndex: 0, returnValues: { _tokenAddress: '0x03' } };
+        const mainBridge = { getAbi: () => [], getAddress: () => '0x04' };
+        const send = jest.spyOn(Alerter, 'send').mockReturnValue(Promise.resolve(true));
+        federator.crossLogVerifier.verify = jest.fn().mockReturnValue(Promise.resolve(['transaction reverted']));
+
+        expect(await federator._verifyReceipt(log, mainBridge)).toBeFalsy();
+        expect(federator.crossLogVerifier.verify).toHaveBeenCalledWith(log, [], '0x04');
+        expect(await Metrics.register.metrics()).toContain('federator_receipt_mismatches_total{direction="rsk->eth"} 1');
+        expect(send).toHaveBeenCalledWith(expect.objectContaining({
+            type: 'receiptMismatch',
+            key: '0x02:0',
+            severity: 'critical',
+            details: expect.objectContaining({ direction: 'rsk->eth', transactionHash: '0x02', mismatches: ['transaction reverted'] })
+        }));
+
+        federator.crossLogVerifier.verify = jest.fn().mockReturnValue(Promise.resolve([]));
+        expect(await federator._verifyReceipt(log, mainBridge)).toBeTruthy();
+        expect(send).toHaveBeenCalledTimes(1);
+        send.mockRestore();
+    });
+
+    it('Should block the votes of logs without a valid receipt proof', async () => {
+        let federator = new Federator({ ...testConfig, mainchain: { ...testConfig.mainchain, name: 'eth', receiptProofs: true }, sidechain: { ...testConfig.sidechain, name: 'rsk' } }, logger, web3Mock);
+        const log = { blockHash: '0x01', blockNumber: 100, transactionHash: '0x02', logIndex: 0, returnValues: { _tokenAddress: '0x03' } };
+        const mainBridge = { getAbi: () => [], getAddress: () => '0x04' };
+        federator.receiptProofVerifier.verify = jest.fn().mockReturnValue(Promise.resolve(['header of block 0x01 hashes to 0x05']));
+
+        expect(await federator._verifyReceiptProof(log, mainBridge)).toBeFalsy();
+        expect(await Metrics.register.metrics()).toContain('federator_receipt_proof_failures_total{direction="eth->rsk"} 1');
+        expect(new Federator(testConfig, logger, web3Mock).receiptProofVerifier).toBeNull();
+    });
+
+    it('Should hold the votes a quorum of providers does not confirm', async () => {
+        const quorum = { providers: ['https://a.node', 'https://b.node'], required: 2 };
+        let federator = new Federator({ ...testConfig, mainchain: { ...testConfig.mainchain, name: 'rsk', quorum }, sidechain: { ...testConfig.sidechain, name: 'eth' } }, logger, web3Mock);
+        const send = jest.spyOn(Alerter, 'send').mockReturnValue(Promise.resolve(true));
+        const log = { blockHash: '0x01', blockNumber: 100, transactionHash: '0x02', logIndex: 0, returnValues: { _tokenAddress: '0x03' } };
+        const mainBridge = { getAbi: () => [], getAddress: () => '0x04' };
+        federator.crossEventQuorum.verify = jest.fn().mockReturnValue(Promise.resolve({
+            verified: false, required: 2, total: 3, agreeing: ['a.node'], unavailable: [],
+            disagreeing: [{ provider: 'b.node', differences: ['returnValues._to'] }, { provider: 'c.node', differences: ['blockHash'] }]
+        }));
+
+        expect(await federator._verifyQuorum(log, mainBridge)).toBeFalsy();
+        expect(federator.crossEventQuorum.verify).toHaveBeenCalledWith(log, [], '0x04');
+        expect(await Metrics.register.metrics()).toContain('federator_quorum_disagreements_total{direction="rsk->eth",provider="b.node"} 1');
+        expect(send).toHaveBeenCalledTimes(2);
+        expect(send).toHaveBeenCalledWith(expect.objectContaining({
+            type: 'quorumDisagreement',
+            key: 'rsk->eth:b.node',
+            severity: 'critical',
+            details: expect.objectContaining({ provider: 'b.node', differences: ['returnValues._to'], transactionHash: '0x02' })
+        }));
+        expect(send).toHaveBeenCalledWith(expect.objectContaining({ type: 'quorumDisagreement', key: 'rsk->eth:c.node' }));
+
+        federator.crossEventQuorum.verify = jest.fn().mockReturnValue(Promise.resolve({
+            verified: true, required: 2, total: 2, agreeing: ['a.node', 'b.node'], disagreeing: [], unavailable: []
+        }));
+        expect(await federator._verifyQuorum(log, mainBridge)).toBeTruthy();
+        expect(send).toHaveBeenCalledTimes(2);
+        send.mockRestore();
+    });
+
+    it('Should update the progress and balance metrics', async () => {
+        let federator = new Federator({ ...testConfig, mainchain: { ...testConfig.mainchain, name: 'rsk' }, sidechain: { ...testConfig.sidechain, name: 'eth' } }, logger, web3Mock);
+        federator.transactionSender.getAddress = jest.fn().mockReturnValue(Promise.resolve('0x01'));
+        federator.sideWeb3.eth.getBalance = jest.fn().mockReturnValue(Promise.resolve('1000'));
+        federator._saveProgress('lastBlock', 90);
+
+        await federator._updateMetrics(100);
+        const metrics = await Metrics.register.metrics();
+        expect(metrics).toContain('federator_last_block{direction="rsk->eth"} 90');
+        expect(metrics).toContain('federator_block_lag{direction="rsk->eth"} 10');
+        expect(metrics).toContain('federator_balance_wei{chain="eth"} 1000');
+    });
+
+    it('Should alert on lag, long syncs and failing runs', async () => {
+        const alerting = { maxLagBlocks: 50, maxSyncingMinutes: 30, maxFailedRuns: 2 };
+        let federator = new Federator({ ...testConfig, alerting, mainchain: { ...testConfig.mainchain, name: 'rsk' }, sidechain: { ...testConfig.sidechain, name: 'eth' } }, logger, web3Mock);
+        const send = jest.spyOn(Alerter, 'send').mockReturnValue(Promise.resolve(true));
+        federator.transactionSender.getAddress = jest.fn().mockReturnValue(Promise.resolve('0x01'));
+        federator.sideWeb3.eth.getBalance = jest.fn().mockReturnValue(Promise.resolve('1000'));
+        federator._saveProgress('lastBlock', 90);
+
+        await federator._updateMetrics(140);
+        expect(send).not.toHaveBeenCalled();
+        await federator._updateMetrics(141);
+        expect(send).toHaveBeenLastCalledWith(expect.objectContaining({ type: 'lag', key: 'rsk->eth', details: expect.objectContaining({ lastBlock: 90, currentBlock: 141 }) }));
+
+        federator._checkSyncing(testConfig.sidechain, { currentBlock: 10, highestBlock: 20 }, 0);
+        federator._checkSyncing(testConfig.sidechain, false, 29 * 60 * 1000);
+        federator._checkSyncing(testConfig.sidechain, { currentBlock: 15, highestBlock: 20 }, 30 * 60 * 1000);
+        expect(send).toHaveBeenCalledTimes(1);
+        federator._checkSyncing(testConfig.sidechain, { currentBlock: 18, highestBlock: 20 }, 60 * 60 * 1000);
+        expect(send).toHaveBeenLastCalledWith(expect.objectContaining({ type: 'nodeSyncing', title: expect.stringMatching(/syncing for 30 minutes/) }));
+
+        federator._run = jest.fn().mockReturnValue(Promise.reject(new Error('Federator rsk->eth run failed after 3 retries')));
+        await expect(federator.run()).rejects.toThrow('after 3 retries');
+        expect(send).toHaveBeenCalledTimes(2);
+        await expect(federator.run()).rejects.toThrow('after 3 retries');
+        expect(send).toHaveBeenLastCalledWith(expect.objectContaining({ type: 'runFailing', severity: 'critical', details: expect.objectContaining({ failedRuns: 2 }) }));
+        federator._run = jest.fn().mockReturnValue(Promise.resolve(true));
+        await federator.run();
+        expect(federator.failedRuns).toEqual(0);
+        send.mockRestore();
+    });
+
+    it('Should log the fields of the transfer being voted', async () => {
+        let federator = new Federator({ ...testConfig, mainchain: { ...testConfig.mainchain, name: 'rsk' }, sidechain: { ...testConfig.sidechain, name: 'eth' } }, logger, web3Mock);
+        expect(federator.transactionSender.logger).toBe(federator.logger);
+        expect(federator.logger.context).toEqual({ direction: 'rsk->eth' });
+
+        federator.chainId = 31;
+        federator._setTransferContext({ transactionHash: '0x01', logIndex: '2', blockNumber: 100 }, '0xABC');
+        expect(federator.logger.context).toEqual({ direction: 'rsk->eth', chainId: 31, transactionHash: '0x01', logIndex: 2, blockNumber: 100, transactionId: '0xabc' });
+        federator._setTransferContext();
+        expect(federator.logger.context).toEqual({ direction: 'rsk->eth', chainId: 31 });
+    });
+
+    it('Should report the status', async () => {
+        let federator = new Federator(testConfig, logger, web3Mock);
+        const confirmations = { smallAmountConfirmations: 2, mediumAmountConfirmations: 5, largeAmountConfirmations: 10 };
+        // The web3 mock is shared by all the tests
+        jest.spyOn(federator.mainWeb3.eth.net, 'getId').mockReturnValue(Promise.resolve(31));
+        jest.spyOn(federator.mainWeb3.eth, 'getBlockNumber').mockReturnValue(Promise.resolve(120));
+        federator.allowTokensFactory.getMainAllowTokensContract = jest.fn().mockReturnValue(Promise.resolve({
+            getConfirmations: () => Promise.resolve(confirmations)
+        }));
+        federator.federationFactory.getSideFederationContract = jest.fn().mockReturnValue(Promise.resolve({
+            getAddress: () => '0x02',
+            getVersion: () => 'v2',
+            isMember: () => ({ call: () => Promise.resolve(true) })
+        }));
+        federator.transactionSender.getAddress = jest.fn().mockReturnValue(Promise.resolve('0x01'));
+        federator._saveProgress('lastBlock', 100);
+        federator._queuePendingVote({ blockHash: '0x03', blockNumber: 115, transactionHash: '0x04', logIndex: 1, returnValues: { _tokenAddress: '0x05' } }, 'large', 10);
+        federator.storage.set('revertedTxns:0x06', { amount: '1' });
+        federator.storage.set('manuallyCheck:0x07', { transactionHash: '0x07', to: '0x02', data: '0x' });
+
+        const status = await federator.getStatus();
+        expect(status).toMatchObject({
+            chainId: 31,
+            currentBlock: 120,
+            lag: 20,
+            confirmations,
+            federation: { address: '0x02', version: 'v2', federator: '0x01', isMember: true },
+            lastBlock: 100,
+            lastScannedBlock: 100,
+            lastVote: null,
+            revertedTxns: [{ transactionId: '0x06', amount: '1' }],
+            manuallyCheck: [{ transactionHash: '0x07', to: '0x02', data: '0x' }]
+        });
+        expect(status.pendingVotes).toMatchObject({
+            count: 1,
+            votes: [{ transactionHash: '0x04', logIndex: 1, amountType: 'large', votableAtBlock: 125 }]
+        });
+        expect(status.rpc['127.0.0.1:4444']).toMatchObject({ active: '127.0.0.1:4444', endpoints: [{ name: '127.0.0.1:4444', healthy: true }] });
+
+        federator.mainWeb3.eth.getBlockNumber.mockReturnValue(Promise.reject(new Error('ECONNREFUSED')));
+        expect(await federator.getStatus()).toMatchObject({ error: 'ECONNREFUSED', lastBlock: 100 });
+        jest.restoreAllMocks();
+    });
+
+    it('Should pause and rewind', async () => {
+        let federator = new Federator(testConfig, logger, web3Mock);
+        federator.pause('maintenance');
+        expect(federator.storage.get('paused')).toMatchObject({ reason: 'maintenance' });
+        expect(await federator.run()).toBeFalsy();
+        federator.resume();
+        expect(federator.storage.has('paused')).toBeFalsy();
+
+        federator._saveProgress('lastBlock', 200);
+        federator._saveProgress('lastScannedBlock', 210);
+        expect(() => federator.rewind(250)).toThrow('must be between');
+        expect(federator.rewind(150)).toEqual({ previousLastBlock: 200, lastBlock: 150 });
+        expect(federator.storage.get('lastBlock')).toEqual(150);
+        expect(federator.storage.get('lastScannedBlock')).toEqual(150);
+    });
+
+    it('Should share the run in progress', async () => {
+        let federator = new Federator(testConfig, logger, web3Mock);
+        let endRun;
+        federator._run = jest.fn().mockReturnValue(new Promise(resolve => endRun = resolve));
+        const firstRun = federator.run();
+        const secondRun = federator.run();
+        expect(federator.isRunning()).toBeTruthy();
+        endRun(true);
+        expect(await firstRun).toBeTruthy();
+        expect(await secondRun).toBeTruthy();
+        expect(federator._run).toHaveBeenCalledTimes(1);
+        expect(federator.isRunning()).toBeFalsy();
+    });
+
+    it('Should not run while a reverted vote is retried', async () => {
+        let federator = new Federator(testConfig, logger, web3Mock);
+        federator.storage.set('revertedTxns:0xabc', { transactionHash: '0x123' });
+        let endRetry;
+        federator._retryRevertedVote = jest.fn().mockReturnValue(new Promise(resolve => endRetry = resolve));
+        federator._run = jest.fn().mockReturnValue(Promise.resolve(true));
+
+        const retry = federator.retryRevertedVote('0xABC');
+        await expect(federator.retryRevertedVote('0xabc')).rejects.toThrow('is running, try again when the run ends');
+        const run = federator.run();
+        await Promise.resolve();
+        expect(federator._run).not.toHaveBeenCalled();
+        await expect(federator.retryRevertedVote('0xabc')).rejects.toThrow('is running, try again when the run ends');
+        endRetry({ voted: true });
+        expect(await retry).toEqual({ voted: true });
+        expect(await run).toBeTruthy();
+        expect(federator._run).toHaveBeenCalledTimes(1);
+        expect(federator._retryRevertedVote).toHaveBeenCalledWith('0xabc', 'revertedTxns:0xabc', { transactionHash: '0x123' });
+    });
+
+    it('Should stop before the next vote', async () => {
+        let federator = new Federator(testConfig, logger, web3Mock);
+        federator.stop();
+        expect(await federator.run()).toBeFalsy();
+        federator.transactionSender.getAddress = jest.fn().mockReturnValue(Promise.resolve('0x01'));
+        federator.federationFactory.getSideFederationContract = jest.fn().mockReturnValue(Promise.resolve({
+            isMember: () => ({ call: () => Promise.resolve(true) })
+        }));
+        federator.allowTokensFactory.getMainAllowTokensContract = jest.fn().mockReturnValue(Promise.resolve({}));
+        await expect(federator._processLogs([{ transactionHash: '0x01' }], 100, false, {})).rejects.toThrow('Shutting down');
+    });
+
+    it('Should drop the pending votes of orphaned blocks', async () => {
+        let federator = new Federator(testConfig, logger, web3Mock);
+        federator.mainWeb3.eth.getBlock = jest.fn().mockImplementation((number) => Promise.resolve({ number, hash: `0x${number}` }));
+        const log = (blockNumber) => ({ blockHash: '0x01', blockNumber, transactionHash: `0x${blockNumber}`, logIndex: 0, returnValues: {} });
+
+        await federator._saveCheckpoint(100);
+        await federator._saveCheckpoint(200);
+        federator._saveProgress('lastScannedBlock', 200);
+        federator._queuePendingVote(log(90), 'large', 10);
+        federator._queuePendingVote(log(150), 'large', 10);
+        federator.mainWeb3.eth.getBlock = jest.fn().mockImplementation((number) => Promise.resolve({ number, hash: number > 100 ? '0xfork' : `0x${number}` }));
+        const fromBlock = await federator._rewindOnReorg(100, 0);
+
+        expect(fromBlock).toEqual(100);
+        expect(federator.storage.get('lastScannedBlock')).toEqual(100);
+        expect(federator.storage.entries('pendingVotes:').map(([key]) => key)).toEqual(['pendingVotes:0x90-0']);
+    });
+
 })
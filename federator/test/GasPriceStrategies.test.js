@@ -0,0 +1,156 @@
+const http = require('http');
+
+const GasPriceStrategyFactory = require('../src/gasPrice/GasPriceStrategyFactory');
+const GasPriceCeilingError = require('../src/gasPrice/GasPriceCeilingError');
+const TransactionSender = require('../src/lib/TransactionSender');
+
+const logger = {
+    trace: jest.fn(),
+    debug: jest.fn(),
+    info: jest.fn(),
+    warn: jest.fn(),
+    error: jest.fn(),
+};
+const web3Mock = jest.fn();
+const GWEI = 1000000000;
+
+describe('Gas price strategies tests', () => {
+    beforeEach(async function () {
+        jest.clearAllMocks();
+        web3Mock.eth = jest.fn();
+        web3Mock.eth.getGasPrice = jest.fn().mockReturnValue(Promise.resolve(`${30 * GWEI}`));
+        web3Mock.eth.getBlock = jest.fn().mockReturnValue(Promise.resolve({ baseFeePerGas: `${20 * GWEI}`, minimumGasPrice: '60000000' }));
+        web3Mock.eth.getFeeHistory = jest.fn().mockReturnValue(Promise.resolve({
+            baseFeePerGas: ['0x3b9aca00', '0x77359400', '0x4a817c800'],
+            reward: [['0x77359400'], ['0xb2d05e00']]
+        }));
+    });
+
+    it('should use the node gas price', async () => {
+        const strategy = GasPriceStrategyFactory.create(web3Mock, logger, 'node');
+        expect(await strategy.getFees(42, false)).toEqual({ gasPrice: 45 * GWEI });
+        expect(await strategy.getFees(30, false)).toEqual({ gasPrice: 61800000 });
+        expect(await strategy.getFees(42, true)).toEqual({
+            baseFeePerGas: 20 * GWEI,
+            maxPriorityFeePerGas: 10 * GWEI,
+            maxFeePerGas: 50 * GWEI
+        });
+    });
+
+    it('should use the fee history percentile', async () => {
+        const strategy = GasPriceStrategyFactory.create(web3Mock, logger, 'feeHistory', { blocks: 2, percentile: 90 });
+        expect(await strategy.getFees(1, false)).toEqual({ gasPrice: 23 * GWEI });
+        expect(await strategy.getFees(1, true)).toEqual({
+            baseFeePerGas: 20 * GWEI,
+            maxPriorityFeePerGas: 3 * GWEI,
+            maxFeePerGas: 43 * GWEI
+        });
+        expect(web3Mock.eth.getFeeHistory).toHaveBeenCalledWith(2, 'latest', [90]);
+    });
+
+    it('should use the fixed prices', async () => {
+        const strategy = GasPriceStrategyFactory.create(web3Mock, logger, 'fixed', { gasPriceGwei: 40, maxFeePerGasGwei: 80, maxPriorityFeePerGasGwei: 2 });
+        expect(await strategy.getFees(1, false)).toEqual({ gasPrice: 40 * GWEI });
+        expect(await strategy.getFees(1, true)).toEqual({ maxFeePerGas: 80 * GWEI, maxPriorityFeePerGas: 2 * GWEI });
+        expect(() => GasPriceStrategyFactory.create(web3Mock, logger, 'fixed', {})).toThrow();
+    });
+
+    it('should use the Etherscan gas oracle', async () => {
+        web3Mock.utils = { toWei: (value) => `${parseFloat(value) * GWEI}` };
+        const useEtherscanApi = jest.fn().mockReturnValue(Promise.resolve({
+            result: { ProposeGasPrice: '35', FastGasPrice: '40', suggestBaseFee: '25' }
+        }));
+        const strategy = GasPriceStrategyFactory.create(web3Mock, logger, 'etherscan', { useEtherscanApi });
+        expect(await strategy.getFees(1, false)).toEqual({ gasPrice: Math.ceil(40 * GWEI * 1.013) });
+        expect(await strategy.getFees(1, true)).toEqual({
+            baseFeePerGas: 25 * GWEI,
+            maxPriorityFeePerGas: 15 * GWEI,
+            maxFeePerGas: 65 * GWEI
+        });
+        expect(await strategy.getFees(42, false)).toEqual({ gasPrice: 45 * GWEI });
+    });
+
+    it('should use the Etherscan heuristics set in the options', async () => {
+        web3Mock.utils = { toWei: (value) => `${parseFloat(value) * GWEI}` };
+        const useEtherscanApi = jest.fn().mockReturnValue(Promise.resolve({
+            result: { ProposeGasPrice: '50', FastGasPrice: '200', suggestBaseFee: '25' }
+        }));
+        // The node price times 1.5 is 45 gwei, the fast gas price is under 5 times it
+        let strategy = GasPriceStrategyFactory.create(web3Mock, logger, 'etherscan', { useEtherscanApi });
+        expect(await strategy.getFees(1, false)).toEqual({ gasPrice: Math.ceil(200 * GWEI * 1.013) });
+        strategy = GasPriceStrategyFactory.create(web3Mock, logger, 'etherscan', { useEtherscanApi, proposeGasPriceExtraGwei: 2, maxOracleMultiple: 2 });
+        expect(await strategy.getFees(1, false)).toEqual({ gasPrice: 52 * GWEI });
+        strategy = GasPriceStrategyFactory.create(web3Mock, logger, 'etherscan', { useEtherscanApi, minNodeGasPriceGwei: 50, fastGasPriceMarginPercent: 25 });
+        expect(await strategy.getFees(1, false)).toEqual({ gasPrice: 250 * GWEI });
+        expect(() => GasPriceStrategyFactory.create(web3Mock, logger, 'etherscan', { maxOracleMultiple: '5' }))
+            .toThrow('Etherscan gas price strategy maxOracleMultiple must be a positive number');
+    });
+
+    it('should use the prices of an external oracle', async () => {
+        const server = http.createServer((req, res) => {
+            res.writeHead(200, { 'Content-Type': 'application/json' });
+            res.end(JSON.stringify({ data: { fast: { gasPrice: 42.5, maxFee: '60', tip: 2 } }, broken: 'n/a' }));
+        });
+        await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+        const url = `http://127.0.0.1:${server.address().port}/v1/gas`;
+        try {
+            let strategy = GasPriceStrategyFactory.create(web3Mock, logger, 'oracle', {
+                url,
+                gasPricePath: 'data.fast.gasPrice',
+                maxFeePerGasPath: 'data.fast.maxFee',
+                maxPriorityFeePerGasPath: 'data.fast.tip'
+            });
+            expect(await strategy.getFees(1, false)).toEqual({ gasPrice: 42.5 * GWEI });
+            expect(await strategy.getFees(1, true)).toEqual({ maxFeePerGas: 60 * GWEI, maxPriorityFeePerGas: 2 * GWEI });
+
+            strategy = GasPriceStrategyFactory.create(web3Mock, logger, 'oracle', { url, gasPricePath: 'data.fast.gasPrice', unit: 'wei', multiplier: 2 });
+            expect(await strategy.getFees(1, false)).toEqual({ gasPrice: 85 });
+            await expect(strategy.getFees(1, true)).rejects.toThrow('Oracle gas price strategy has no maxFeePerGasPath for EIP-1559 transactions');
+
+            strategy = GasPriceStrategyFactory.create(web3Mock, logger, 'oracle', { url, gasPricePath: 'broken' });
+            await expect(strategy.getFees(1, false)).rejects.toThrow(/answered an invalid broken: "n\/a"/);
+        } finally {
+            await new Promise(resolve => server.close(resolve));
+        }
+
+        expect(() => GasPriceStrategyFactory.create(web3Mock, logger, 'oracle', { url: 'http://oracle.example.com', gasPricePath: 'fast' }))
+            .toThrow('Oracle gas price strategy requires an https or localhost url');
+        expect(() => GasPriceStrategyFactory.create(web3Mock, logger, 'oracle', { url, maxFeePerGasPath: 'fast' }))
+            .toThrow('Oracle gas price strategy requires gasPricePath or maxFeePerGasPath and maxPriorityFeePerGasPath');
+    });
+
+    it('should fail at startup with an invalid configured strategy', async () => {
+        expect(() => new TransactionSender(web3Mock, logger, {}, { gasPriceStrategy: { type: 'fixed' } }))
+            .toThrow('Fixed gas price strategy requires gasPriceGwei or maxFeePerGasGwei');
+        expect(() => new TransactionSender(web3Mock, logger, {}, { gasPriceStrategy: { type: 'fixed', gasPriceGwei: '40' } }))
+            .toThrow('Fixed gas price strategy gasPriceGwei must be a number greater than 0, got "40"');
+    });
+
+    it('should fail with an unknown strategy', async () => {
+        expect(() => GasPriceStrategyFactory.create(web3Mock, logger, 'cheapest')).toThrow('Unknown gas price strategy cheapest');
+    });
+
+    it('should hold transactions above the ceiling', async () => {
+        web3Mock.eth.net = { getId: jest.fn().mockReturnValue(Promise.resolve(42)) };
+        let sender = new TransactionSender(web3Mock, logger, {}, { gasPriceCeilingGwei: 40 });
+        await expect(sender.getFees()).rejects.toThrow(GasPriceCeilingError);
+
+        sender = new TransactionSender(web3Mock, logger, {}, { gasPriceCeilingGwei: 50 });
+        expect(await sender.getFees()).toEqual({ gasPrice: 45 * GWEI });
+    });
+
+    it('should hold EIP-1559 transactions whose maxFeePerGas is above the ceiling', async () => {
+        web3Mock.eth.net = { getId: jest.fn().mockReturnValue(Promise.resolve(42)) };
+        const chainConfig = { transactionType: 'eip1559', gasPriceStrategy: { type: 'feeHistory' } };
+        // Twice the 20 gwei base fee plus the tip
+        let sender = new TransactionSender(web3Mock, logger, {}, { ...chainConfig, gasPriceCeilingGwei: 43 });
+        expect(await sender.getFees()).toEqual({ maxFeePerGas: 43 * GWEI, maxPriorityFeePerGas: 3 * GWEI });
+        sender = new TransactionSender(web3Mock, logger, {}, { ...chainConfig, gasPriceCeilingGwei: 30 });
+        await expect(sender.getFees()).rejects.toThrow(GasPriceCeilingError);
+
+        // Strategies without a base fee
+        const fixed = { type: 'fixed', maxFeePerGasGwei: 80, maxPriorityFeePerGasGwei: 2 };
+        sender = new TransactionSender(web3Mock, logger, {}, { ...chainConfig, gasPriceStrategy: fixed, gasPriceCeilingGwei: 50 });
+        await expect(sender.getFees()).rejects.toThrow(`Gas price ${80 * GWEI} is above the ceiling ${50 * GWEI}`);
+    });
+});
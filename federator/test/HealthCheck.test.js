@@ -0,0 +1,83 @@
+const HealthCheck = require('../src/lib/HealthCheck');
+
+const logger = {
+    trace: jest.fn(),
+    debug: jest.fn(),
+    info: jest.fn(),
+    warn: jest.fn(),
+    error: jest.fn(),
+};
+const config = {
+    mainchain: { name: 'rsk' },
+    sidechain: { name: 'eth' },
+    maxMinutesSinceLastRun: 10,
+};
+const MINUTE = 60 * 1000;
+
+function createFederator({ mainSyncing = false, sideBlockNumber = Promise.resolve(200), isMember = true } = {}) {
+    const federation = { isMember: jest.fn().mockReturnValue({ call: () => Promise.resolve(isMember) }) };
+    return {
+        mainWeb3: { eth: { getBlockNumber: () => Promise.resolve(100), isSyncing: () => Promise.resolve(mainSyncing) } },
+        sideWeb3: { eth: { getBlockNumber: () => sideBlockNumber, isSyncing: () => Promise.resolve(false) } },
+        transactionSender: { getAddress: () => Promise.resolve('0x01') },
+        federationFactory: {
+            getMainFederationContract: jest.fn().mockReturnValue(Promise.resolve(federation)),
+            getSideFederationContract: jest.fn().mockReturnValue(Promise.resolve(federation)),
+        },
+    };
+}
+
+describe('HealthCheck module tests', () => {
+    beforeEach(() => {
+        jest.clearAllMocks();
+    });
+
+    it('should fail the liveness when the last run is too old', async () => {
+        const healthCheck = new HealthCheck(config, logger, createFederator(), 0);
+        expect(healthCheck.checkLiveness(10 * MINUTE).healthy).toBeTruthy();
+        expect(healthCheck.checkLiveness(11 * MINUTE)).toEqual({
+            healthy: false,
+            checks: { lastRun: { healthy: false, lastRunAt: new Date(0).toISOString(), secondsSinceLastRun: 660 } }
+        });
+
+        healthCheck.recordRun(5 * MINUTE);
+        expect(healthCheck.checkLiveness(11 * MINUTE).healthy).toBeTruthy();
+    });
+
+    it('should be ready with synced nodes and membership', async () => {
+        const healthCheck = new HealthCheck(config, logger, createFederator(), 0);
+        const readiness = await healthCheck.checkReadiness(MINUTE);
+        expect(readiness.healthy).toBeTruthy();
+        expect(readiness.checks.nodes).toEqual({
+            rsk: { healthy: true, reachable: true, syncing: false, blockNumber: 100 },
+            eth: { healthy: true, reachable: true, syncing: false, blockNumber: 200 }
+        });
+        expect(readiness.checks.membership).toEqual({ healthy: true, address: '0x01', mainchain: true, sidechain: true });
+    });
+
+    it('should not be ready when a node is syncing or unreachable', async () => {
+        let healthCheck = new HealthCheck(config, logger, createFederator({ mainSyncing: { currentBlock: 10 } }), 0);
+        let readiness = await healthCheck.checkReadiness(MINUTE);
+        expect(readiness.healthy).toBeFalsy();
+        expect(readiness.checks.nodes.rsk).toMatchObject({ healthy: false, reachable: true, syncing: true });
+
+        healthCheck = new HealthCheck(config, logger, createFederator({ sideBlockNumber: Promise.reject(new Error('ECONNREFUSED')) }), 0);
+        readiness = await healthCheck.checkReadiness(MINUTE);
+        expect(readiness.healthy).toBeFalsy();
+        expect(readiness.checks.nodes.eth).toEqual({ healthy: false, reachable: false, error: 'ECONNREFUSED' });
+    });
+
+    it('should not be ready when the federator is not a member', async () => {
+        const federator = createFederator({ isMember: false });
+        const healthCheck = new HealthCheck(config, logger, federator, 0);
+        const readiness = await healthCheck.checkReadiness(MINUTE);
+        expect(readiness.healthy).toBeFalsy();
+        expect(readiness.checks.membership).toEqual({ healthy: false, address: '0x01', mainchain: false, sidechain: false });
+
+        // Membership is cached between probes
+        await healthCheck.checkReadiness(2 * MINUTE);
+        expect(federator.federationFactory.getMainFederationContract).toHaveBeenCalledTimes(1);
+        await healthCheck.checkReadiness(7 * MINUTE);
+        expect(federator.federationFactory.getMainFederationContract).toHaveBeenCalledTimes(2);
+    });
+});
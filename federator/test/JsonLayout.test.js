@@ -0,0 +1,56 @@
+const log4js = require('log4js');
+
+const JsonLayout = require('../src/lib/JsonLayout');
+const utils = require('../src/lib/utils');
+
+describe('JsonLayout module tests', () => {
+    let lines;
+
+    beforeAll(() => {
+        JsonLayout.register(log4js);
+        // Appender keeping the lines written with its layout
+        const memory = {
+            configure: (config, layouts) => {
+                const layout = layouts.layout(config.layout.type, config.layout);
+                return loggingEvent => lines.push(JSON.parse(layout(loggingEvent)));
+            }
+        };
+        log4js.configure({
+            appenders: { memory: { type: memory, layout: { type: 'json' } } },
+            categories: { default: { appenders: ['memory'], level: 'debug' } }
+        });
+    });
+
+    afterAll(() => new Promise(resolve => log4js.shutdown(resolve)));
+
+    beforeEach(() => {
+        lines = [];
+    });
+
+    it('should write each line as JSON with the logger context', () => {
+        const logger = utils.childLogger(log4js.getLogger('MAIN-FEDERATOR'), { direction: 'rsk->eth', chainId: 30 });
+        logger.info('Voting tx:', '0x01', { amount: 1 });
+        logger.context.transactionHash = '0x01';
+        logger.error(new Error('Exception Running Federator'));
+
+        expect(lines).toEqual([
+            expect.objectContaining({ level: 'INFO', category: 'MAIN-FEDERATOR', direction: 'rsk->eth', chainId: 30, message: "Voting tx: 0x01 { amount: 1 }" }),
+            expect.objectContaining({ level: 'ERROR', transactionHash: '0x01', error: 'Exception Running Federator' })
+        ]);
+        expect(Date.parse(lines[0].timestamp)).not.toBeNaN();
+        expect(lines[1].message).toMatch(/^Error: Exception Running Federator\n    at /);
+    });
+
+    it('should keep the context of the parent logger', () => {
+        const parent = log4js.getLogger('HEARTBEAT');
+        parent.addContext('chainId', 31);
+        const child = utils.childLogger(parent, { event: 'HeartBeat', sender: '0x02' });
+        child.debug('heartbeat');
+        parent.debug('parent');
+
+        expect(lines.map(({ message, chainId, sender }) => ({ message, chainId, sender }))).toEqual([
+            { message: 'heartbeat', chainId: 31, sender: '0x02' },
+            { message: 'parent', chainId: 31, sender: undefined }
+        ]);
+    });
+});
@@ -0,0 +1,94 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const Web3 = require('web3');
+
+const KeyLoader = require('../src/lib/KeyLoader');
+const utils = require('../src/lib/utils');
+
+const logger = {
+    trace: jest.fn(),
+    debug: jest.fn(),
+    info: jest.fn(),
+    warn: jest.fn(),
+    error: jest.fn(),
+};
+
+const pk = '3f28f888373e9ad1651a1227a5efdc0d7ea55bce6de3b5448de56c8588c6bd4d';
+const address = '0x3444f14cbc7081aded7203e32e65304d17fe3bda';
+
+describe('KeyLoader module tests', () => {
+    let keyDir;
+    let isTTY;
+
+    const writeKeyFile = (content, mode = 0o600) => {
+        const keyFile = path.join(keyDir, 'federator.key');
+        fs.writeFileSync(keyFile, content);
+        fs.chmodSync(keyFile, mode);
+        return keyFile;
+    };
+    // A low scrypt cost keeps the test fast
+    const keystore = (password) => JSON.stringify(new Web3().eth.accounts.encrypt(`0x${pk}`, password, { n: 1024 }));
+
+    beforeEach(() => {
+        jest.clearAllMocks();
+        keyDir = fs.mkdtempSync(path.join(os.tmpdir(), 'keys-'));
+        isTTY = process.stdin.isTTY;
+        process.stdin.isTTY = false;
+        delete process.env.FEDERATOR_KEYSTORE_PASSWORD;
+    });
+
+    afterEach(() => {
+        process.stdin.isTTY = isTTY;
+        fs.rmSync(keyDir, { recursive: true, force: true });
+    });
+
+    it('should load a plain private key', async () => {
+        const keyFile = writeKeyFile(`0x${pk}\n`);
+        const privateKey = await KeyLoader.loadPrivateKey({ keyFile }, logger);
+        expect(privateKey).toEqual(pk);
+        expect(utils.privateToAddress(privateKey)).toEqual(address);
+    });
+
+    it('should keep the configured private key without a key file', async () => {
+        expect(await KeyLoader.loadPrivateKey({ privateKey: pk }, logger)).toEqual(pk);
+        const keyFile = writeKeyFile(`0x${pk}`);
+        expect(await KeyLoader.loadPrivateKey({ keyFile, privateKey: '0x01' }, logger)).toEqual(pk);
+        expect(logger.warn).toHaveBeenCalledWith(`The configured privateKey is ignored, the key is loaded from ${keyFile}`);
+    });
+
+    it('should fail when the configured key file does not exist', async () => {
+        const keyFile = path.join(keyDir, 'missing.key');
+        await expect(KeyLoader.loadPrivateKey({ keyFile }, logger)).rejects.toThrow(`Key file ${keyFile} not found`);
+        await expect(KeyLoader.loadPrivateKey({ keyFile, privateKey: pk }, logger)).rejects.toThrow(`Key file ${keyFile} not found`);
+    });
+
+    it('should refuse world readable key files', async () => {
+        const keyFile = writeKeyFile(pk, 0o644);
+        await expect(KeyLoader.loadPrivateKey({ keyFile }, logger)).rejects.toThrow('is readable by every user');
+        await expect(KeyLoader.loadPrivateKey({ keyFile, privateKey: pk }, logger)).rejects.toThrow('is readable by every user');
+    });
+
+    it('should decrypt a keystore with the passphrase from the environment', async () => {
+        const keyFile = writeKeyFile(keystore('secret'));
+        process.env.FEDERATOR_KEYSTORE_PASSWORD = 'secret';
+        expect(await KeyLoader.loadPrivateKey({ keyFile }, logger)).toEqual(pk);
+        expect(process.env.FEDERATOR_KEYSTORE_PASSWORD).toBeUndefined();
+    });
+
+    it('should decrypt a keystore with the passphrase from a secret file', async () => {
+        const keyFile = writeKeyFile(keystore('secret'));
+        const keystorePasswordFile = path.join(keyDir, 'password');
+        fs.writeFileSync(keystorePasswordFile, 'secret\n');
+        expect(await KeyLoader.loadPrivateKey({ keyFile, keystorePasswordFile }, logger)).toEqual(pk);
+
+        fs.writeFileSync(keystorePasswordFile, 'wrong');
+        await expect(KeyLoader.loadPrivateKey({ keyFile, keystorePasswordFile }, logger)).rejects.toThrow('Unable to decrypt the keystore');
+    });
+
+    it('should fail without a passphrase', async () => {
+        const keyFile = writeKeyFile(keystore('secret'));
+        const keystorePasswordFile = path.join(keyDir, 'missing');
+        await expect(KeyLoader.loadPrivateKey({ keyFile, keystorePasswordFile }, logger)).rejects.toThrow('No passphrase for the keystore');
+    });
+});
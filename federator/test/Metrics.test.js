@@ -0,0 +1,54 @@
+const Metrics = require('../src/lib/Metrics');
+
+describe('Metrics module tests', () => {
+    beforeEach(() => {
+        Metrics.register.resetMetrics();
+    });
+
+    it('should name chains without exposing the node url path', () => {
+        expect(Metrics.chainName({ name: 'rsk', host: 'https://public-node.rsk.co' })).toEqual('rsk');
+        expect(Metrics.chainName({ host: 'https://mainnet.infura.io/v3/secret' })).toEqual('mainnet.infura.io');
+        expect(Metrics.chainName({ host: 'http://localhost:8545' })).toEqual('localhost:8545');
+        expect(Metrics.directionName({ mainchain: { name: 'rsk' }, sidechain: { name: 'eth' } })).toEqual('rsk->eth');
+    });
+
+    it('should time and count the failed RPC calls', async () => {
+        const provider = {
+            send: jest.fn().mockImplementation((payload, callback) => {
+                if (payload.method === 'eth_call') {
+                    callback(null, { jsonrpc: '2.0', id: payload.id, error: { message: 'execution reverted' } });
+                } else {
+                    callback(null, { jsonrpc: '2.0', id: payload.id, result: '0x1' });
+                }
+            })
+        };
+        Metrics.instrumentWeb3({ currentProvider: provider }, 'rsk');
+        const callback = jest.fn();
+        provider.send({ method: 'eth_blockNumber', id: 1 }, callback);
+        provider.send({ method: 'eth_call', id: 2 }, callback);
+        provider.send({ method: 'eth_call', id: 3 }, callback);
+
+        expect(callback).toHaveBeenCalledTimes(3);
+        expect(callback).toHaveBeenCalledWith(null, { jsonrpc: '2.0', id: 1, result: '0x1' });
+        const metrics = await Metrics.register.metrics();
+        expect(metrics).toContain('federator_rpc_request_duration_seconds_count{chain="rsk",method="eth_blockNumber"} 1');
+        expect(metrics).toContain('federator_rpc_request_duration_seconds_count{chain="rsk",method="eth_call"} 2');
+        expect(metrics).toContain('federator_rpc_errors_total{chain="rsk",method="eth_call"} 2');
+        expect(metrics).not.toContain('federator_rpc_errors_total{chain="rsk",method="eth_blockNumber"}');
+    });
+
+    it('should expose the federator metrics in Prometheus format', async () => {
+        Metrics.lastBlock.set({ direction: 'rsk->eth' }, 100);
+        Metrics.blockLag.set({ direction: 'rsk->eth' }, 5);
+        Metrics.votes.inc({ direction: 'rsk->eth', result: 'reverted' });
+        Metrics.heartbeats.inc({ result: 'sent' });
+
+        const metrics = await Metrics.register.metrics();
+        expect(metrics).toContain('# TYPE federator_last_block gauge');
+        expect(metrics).toContain('federator_last_block{direction="rsk->eth"} 100');
+        expect(metrics).toContain('federator_block_lag{direction="rsk->eth"} 5');
+        expect(metrics).toContain('federator_votes_total{direction="rsk->eth",result="reverted"} 1');
+        expect(metrics).toContain('federator_heartbeats_total{result="sent"} 1');
+        expect(metrics).toMatch(/federator_memory_usage_mb \d+/);
+    });
+});
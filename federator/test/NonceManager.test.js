@@ -0,0 +1,71 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const NonceManager = require('../src/lib/NonceManager');
+const Storage = require('../src/lib/Storage');
+
+const address = '0x3444f14CbC7081ADEd7203E32E65304D17fe3bdA';
+let storagePath;
+let storage;
+
+describe('NonceManager module tests', () => {
+    beforeEach(async function () {
+        storagePath = fs.mkdtempSync(path.join(os.tmpdir(), 'nonces-'));
+        storage = new Storage(storagePath);
+    });
+
+    afterEach(async function () {
+        storage.close();
+        fs.rmSync(storagePath, { recursive: true, force: true });
+    });
+
+    it('should never return a nonce lower than the ones issued', async () => {
+        const nonceManager = new NonceManager(storage);
+        expect(nonceManager.getNonce(1, address, '5')).toEqual(5);
+
+        nonceManager.track(1, address, 5, { transactionHash: '0x01', rawTx: {}, gasPrice: 10 });
+        expect(nonceManager.getNonce(1, address, 5)).toEqual(6);
+        expect(nonceManager.getNonce(1, address, 8)).toEqual(8);
+        expect(nonceManager.getNonce(42, address, 5)).toEqual(5);
+    });
+
+    it('should keep the replacements of a nonce until it is mined', async () => {
+        const nonceManager = new NonceManager(storage);
+        nonceManager.track(1, address, 5, { transactionHash: '0x01', rawTx: {}, gasPrice: 10 });
+        nonceManager.track(1, address, 5, { transactionHash: '0x02', rawTx: {}, gasPrice: 12 });
+        nonceManager.track(1, address, 6, { transactionHash: '0x03', rawTx: {}, gasPrice: 12 });
+
+        const pending = nonceManager.getPending(1, address, 5);
+        expect(pending.map(({ nonce }) => nonce)).toEqual([5, 6]);
+        expect(pending[0]).toMatchObject({ transactionHashes: ['0x01', '0x02'], replacements: 1, gasPrice: 12 });
+
+        expect(nonceManager.getPending(1, address, 6).map(({ nonce }) => nonce)).toEqual([6]);
+        nonceManager.confirm(1, address, 6);
+        expect(nonceManager.getPending(1, address, 6)).toEqual([]);
+    });
+
+    it('should take an abandoned nonce again and skip the ones still pending', async () => {
+        const nonceManager = new NonceManager(storage);
+        nonceManager.track(1, address, 5, { transactionHash: '0x01', rawTx: {}, gasPrice: 10 });
+        nonceManager.track(1, address, 6, { transactionHash: '0x02', rawTx: {}, gasPrice: 10 });
+        nonceManager.abandon(1, address, 5);
+
+        expect(nonceManager.getPending(1, address, 5).map(({ nonce }) => nonce)).toEqual([6]);
+        expect(nonceManager.getNonce(1, address, 5)).toEqual(5);
+        nonceManager.track(1, address, 5, { transactionHash: '0x03', rawTx: {}, gasPrice: 10 });
+        expect(nonceManager.getNonce(1, address, 5)).toEqual(7);
+        // The node still has the abandoned transaction
+        nonceManager.abandon(1, address, 5);
+        expect(nonceManager.getNonce(1, address, 7)).toEqual(7);
+    });
+
+    it('should return as stuck the transactions older than the timeout', async () => {
+        const nonceManager = new NonceManager(storage);
+        nonceManager.track(1, address, 5, { transactionHash: '0x01', rawTx: {}, gasPrice: 10 });
+        const { sentAt } = nonceManager.getPending(1, address, 0)[0];
+
+        expect(nonceManager.getStuck(1, address, 0, 60_000, sentAt + 59_999)).toEqual([]);
+        expect(nonceManager.getStuck(1, address, 0, 60_000, sentAt + 60_000).length).toEqual(1);
+    });
+});
@@ -0,0 +1,173 @@
+const Web3 = require('web3');
+
+const ReceiptProofVerifier = require('../src/lib/ReceiptProofVerifier');
+const ReceiptTrie = require('../src/lib/ReceiptTrie');
+const abiBridge = require('../../bridge/abi/Bridge.json');
+
+const zeroHash = `0x${'00'.repeat(32)}`;
+const bridge = '0x684a8a976635fb7ad74a0134ace990a6a0fcce84';
+const token = '0x2ac7bdb0ea8b1bba7e3bb3b7b9f4f5f5de1f9d0a';
+const sender = '0x3444f14cbc7081aded7203e32e65304d17fe3bda';
+const receiver = '0x8f5c4e0e8c2f2d4e0f2f7c0a5b7f6c0a1b2c3d4e';
+const abi = new Web3().eth.abi;
+const crossTopic = abi.encodeEventSignature(abiBridge.find(item => item.type === 'event' && item.name === 'Cross'));
+
+function receipt(index, logs = []) {
+    return {
+        transactionHash: `0x${(index + 1).toString(16).padStart(64, '0')}`,
+        transactionIndex: `0x${index.toString(16)}`,
+        type: index % 2 ? '0x2' : '0x0',
+        status: '0x1',
+        cumulativeGasUsed: `0x${((index + 1) * 50000).toString(16)}`,
+        logsBloom: `0x${'00'.repeat(256)}`,
+        logs
+    };
+}
+
+// Block of 30 transactions whose receipt 17 has the Cross log
+function createBlock() {
+    const receipts = [];
+    for (let i = 0; i < 30; i++) {
+        receipts.push(receipt(i));
+    }
+    receipts[17].logs = [{
+        address: bridge,
+        logIndex: '0x4',
+        topics: [crossTopic, ...[token, sender, receiver].map(address => abi.encodeParameter('address', address))],
+        data: abi.encodeParameters(['uint256', 'bytes'], ['1000', '0x'])
+    }];
+    const block = {
+        parentHash: zeroHash,
+        sha3Uncles: '0x1dcc4de8dec75d7aab85b567b6ccd41ad312451b948a7413f0a142fd40d49347',
+        miner: bridge,
+        stateRoot: zeroHash,
+        transactionsRoot: zeroHash,
+        receiptsRoot: ReceiptTrie.fromReceipts(receipts).root(),
+        logsBloom: `0x${'00'.repeat(256)}`,
+        difficulty: '0x0',
+        number: '0x64',
+        gasLimit: '0x1c9c380',
+        gasUsed: '0x16e360',
+        timestamp: '0x6130a7b0',
+        extraData: '0x',
+        mixHash: zeroHash,
+        nonce: '0x0000000000000000',
+        baseFeePerGas: '0x3b9aca00',
+        transactions: receipts.map(({ transactionHash }) => transactionHash)
+    };
+    // Built like a London header, hashHeader itself is checked against the real headers below
+    block.hash = ReceiptProofVerifier.hashHeader(block);
+    receipts.forEach(receipt => Object.assign(receipt, { blockHash: block.hash, blockNumber: block.number }));
+    return { block, receipts };
+}
+
+describe('ReceiptProofVerifier module tests', () => {
+    let block;
+    let receipts;
+    let requests;
+    let blockReceiptsSupported;
+    let verifier;
+    let log;
+
+    beforeEach(() => {
+        ({ block, receipts } = createBlock());
+        requests = [];
+        blockReceiptsSupported = true;
+        const provider = {
+            send: ({ id, method, params }, callback) => {
+                requests.push(method);
+                const results = {
+                    eth_getBlockByHash: () => params[0] === block.hash ? block : null,
+                    eth_getBlockReceipts: () => receipts,
+                    eth_getTransactionReceipt: () => receipts.find(({ transactionHash }) => transactionHash === params[0])
+                };
+                if (method === 'eth_getBlockReceipts' && !blockReceiptsSupported) {
+                    return callback(null, { jsonrpc: '2.0', id, error: { code: -32601, message: 'the method eth_getBlockReceipts does not exist' } });
+                }
+                callback(null, { jsonrpc: '2.0', id, result: results[method]() });
+            }
+        };
+        verifier = new ReceiptProofVerifier(new Web3(provider));
+        log = {
+            blockHash: block.hash,
+            blockNumber: 100,
+            transactionHash: receipts[17].transactionHash,
+            logIndex: 4,
+            returnValues: { _tokenAddress: token, _from: sender, _to: receiver, _amount: '1000', _userData: null }
+        };
+    });
+
+    it('should hash a London header with its base fee', () => {
+        // Holesky genesis, London was active from it
+        expect(ReceiptProofVerifier.hashHeader({
+            parentHash: zeroHash,
+            sha3Uncles: '0x1dcc4de8dec75d7aab85b567b6ccd41ad312451b948a7413f0a142fd40d49347',
+            miner: `0x${'00'.repeat(20)}`,
+            stateRoot: '0x69d8c9d72f6fa4ad42d4702b433707212f90db395eb54dc20bc85de253788783',
+            transactionsRoot: '0x56e81f171bcc55a6ff8345e692c0f86e5b48e01b996cadc001622fb5e363b421',
+            receiptsRoot: '0x56e81f171bcc55a6ff8345e692c0f86e5b48e01b996cadc001622fb5e363b421',
+            logsBloom: `0x${'00'.repeat(256)}`,
+            difficulty: '0x1',
+            number: '0x0',
+            gasLimit: '0x17d7840',
+            gasUsed: '0x0',
+            timestamp: '0x65156994',
+            extraData: '0x',
+            mixHash: zeroHash,
+            nonce: '0x0000000000001234',
+            baseFeePerGas: '0x3b9aca00'
+        })).toEqual('0xb5f7f912443c940f21fd611f12828d75b534364ed9e95ca4e307729a4661bde4');
+    });
+
+    it('should hash the Ethereum genesis header', () => {
+        expect(ReceiptProofVerifier.hashHeader({
+            parentHash: zeroHash,
+            sha3Uncles: '0x1dcc4de8dec75d7aab85b567b6ccd41ad312451b948a7413f0a142fd40d49347',
+            miner: `0x${'00'.repeat(20)}`,
+            stateRoot: '0xd7f8974fb5ac78d9ac099b9ad5018bedc2ce0a72dad1827a1709da30580f0544',
+            transactionsRoot: '0x56e81f171bcc55a6ff8345e692c0f86e5b48e01b996cadc001622fb5e363b421',
+            receiptsRoot: '0x56e81f171bcc55a6ff8345e692c0f86e5b48e01b996cadc001622fb5e363b421',
+            logsBloom: `0x${'00'.repeat(256)}`,
+            difficulty: '0x400000000',
+            number: '0x0',
+            gasLimit: '0x1388',
+            gasUsed: '0x0',
+            timestamp: '0x0',
+            extraData: '0x11bbe8db4e347b4e8c937c1c8370e4b5ed33adb3db69cbdb7a38e1e50b1b82fa',
+            mixHash: zeroHash,
+            nonce: '0x0000000000000042'
+        })).toEqual('0xd4e56740f876aef8c010b86a40d5f56745a118d0906a34e69aec8c0db1cb8fa3');
+    });
+
+    it('should verify the proof of a Cross log', async () => {
+        expect(await verifier.verify(log, abiBridge, bridge)).toEqual([]);
+        expect(requests).toEqual(['eth_getBlockByHash', 'eth_getBlockReceipts']);
+    });
+
+    it('should read the receipts one by one when the node has no eth_getBlockReceipts', async () => {
+        blockReceiptsSupported = false;
+        expect(await verifier.verify(log, abiBridge, bridge)).toEqual([]);
+        expect(requests.filter(method => method === 'eth_getTransactionReceipt').length).toEqual(30);
+        expect(verifier.blockReceiptsSupported).toBeFalsy();
+    });
+
+    it('should reject receipts that are not the ones of the header', async () => {
+        receipts[17].logs[0].data = abi.encodeParameters(['uint256', 'bytes'], ['1000000', '0x']);
+        const [mismatch] = await verifier.verify(log, abiBridge, bridge);
+        expect(mismatch).toMatch(/^receipt proof hashes to 0x[0-9a-f]{64} instead of the receiptsRoot/);
+    });
+
+    it('should reject headers that do not hash to the block hash', async () => {
+        block.receiptsRoot = zeroHash;
+        const [mismatch] = await verifier.verify(log, abiBridge, bridge);
+        expect(mismatch).toMatch(new RegExp(`^header of block ${block.hash} hashes to 0x`));
+    });
+
+    it('should reject logs that differ from the proven receipt', async () => {
+        expect(await verifier.verify({ ...log, returnValues: { ...log.returnValues, _to: sender } }, abiBridge, bridge))
+            .toEqual(['receipt log differs in returnValues._to']);
+        expect(await verifier.verify({ ...log, transactionHash: zeroHash }, abiBridge, bridge))
+            .toEqual([`transaction ${zeroHash} is not in the receipts of block ${block.hash}`]);
+        expect(await verifier.verify({ ...log, blockHash: zeroHash }, abiBridge, bridge)).toEqual([`block ${zeroHash} not found`]);
+    });
+});
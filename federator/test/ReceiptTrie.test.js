@@ -0,0 +1,49 @@
+const ethUtils = require('ethereumjs-util');
+
+const ReceiptTrie = require('../src/lib/ReceiptTrie');
+const ReceiptProofVerifier = require('../src/lib/ReceiptProofVerifier');
+
+const entries = values => Object.entries(values).map(([key, value]) => [Buffer.from(key), Buffer.from(value)]);
+
+describe('ReceiptTrie module tests', () => {
+    it('should calculate the root of the Ethereum trie test vectors', () => {
+        expect(new ReceiptTrie([]).root()).toEqual('0x56e81f171bcc55a6ff8345e692c0f86e5b48e01b996cadc001622fb5e363b421');
+        expect(new ReceiptTrie(entries({ doe: 'reindeer', dog: 'puppy', dogglesworth: 'cat' })).root())
+            .toEqual('0x8aad789dff2f538bca5d8ea56e8abe10f4c7ba3a5dea95fea4cd6e7c3a1168d3');
+        expect(new ReceiptTrie(entries({ do: 'verb', dog: 'puppy', doge: 'coin', horse: 'stallion' })).root())
+            .toEqual('0x5991bb8c6514148a29db676a14ac506cd2cd5775ace63c30a4fe457715e9ac84');
+    });
+
+    it('should build proofs that hash up to the root', () => {
+        const trie = new ReceiptTrie(entries({ do: 'verb', dog: 'puppy', doge: 'coin', horse: 'stallion' }));
+        for (const key of ['do', 'dog', 'doge', 'horse']) {
+            const proof = trie.proof(Buffer.from(key));
+            expect(ReceiptProofVerifier.proofRoot(proof)).toEqual(trie.root());
+        }
+        expect(trie.proof(Buffer.from('cat'))).toBeNull();
+        expect(trie.proof(Buffer.from('dogs'))).toBeNull();
+    });
+
+    it('should encode legacy and typed receipts', () => {
+        const receipt = {
+            transactionIndex: '0x0',
+            status: '0x1',
+            cumulativeGasUsed: '0x5208',
+            logsBloom: `0x${'00'.repeat(256)}`,
+            logs: []
+        };
+        const encoded = ReceiptTrie.encodeReceipt(receipt);
+        expect(ethUtils.rlp.decode(encoded).map(ethUtils.bufferToHex).slice(0, 2)).toEqual(['0x01', '0x5208']);
+        expect(ReceiptTrie.encodeReceipt({ ...receipt, status: true })).toEqual(encoded);
+
+        const typed = ReceiptTrie.encodeReceipt({ ...receipt, type: '0x2' });
+        expect(typed[0]).toEqual(2);
+        expect(typed.slice(1)).toEqual(encoded);
+    });
+
+    it('should calculate the receiptsRoot of a block with a single transfer', () => {
+        // Any block whose only transaction is a successful plain transfer has this receiptsRoot
+        const receipt = { transactionIndex: '0x0', status: '0x1', cumulativeGasUsed: '0x5208', logsBloom: `0x${'00'.repeat(256)}`, logs: [] };
+        expect(ReceiptTrie.fromReceipts([receipt]).root()).toEqual('0x056b23fbba480696b65fe5a59b8f2148a1299103c4f57df839233af2cf4ca2d2');
+    });
+});
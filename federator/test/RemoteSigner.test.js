@@ -0,0 +1,120 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const RemoteSigner = require('../src/signers/RemoteSigner');
+const LocalSigner = require('../src/signers/LocalSigner');
+const SignerFactory = require('../src/signers/SignerFactory');
+const TransactionSender = require('../src/lib/TransactionSender');
+const Storage = require('../src/lib/Storage');
+const createSignerServer = require('../integrationTest/signerServer');
+
+const logger = {
+    trace: jest.fn(),
+    debug: jest.fn(),
+    info: jest.fn(),
+    warn: jest.fn(),
+    error: jest.fn(),
+};
+const web3Mock = jest.fn();
+
+const pk = '3f28f888373e9ad1651a1227a5efdc0d7ea55bce6de3b5448de56c8588c6bd4d';
+const from = '0x3444f14cbc7081aded7203e32e65304d17fe3bda';
+const legacyTx = {
+    chainId: 31,
+    gasPrice: '0x3b9aca00',
+    value: '0x0',
+    to: '0x0000000000000000000000000000000000000001',
+    data: '0x1234',
+    from: from,
+    nonce: '0x7',
+    gas: '0x3d090',
+    r: 0,
+    s: 0
+};
+const eip1559Tx = {
+    type: '0x2',
+    chainId: 1,
+    maxFeePerGas: '0xa02ffee00',
+    maxPriorityFeePerGas: '0xb2d05e00',
+    value: '0x0',
+    to: '0x0000000000000000000000000000000000000001',
+    data: '0x1234',
+    from: from,
+    nonce: '0x3',
+    gas: '0x3d090'
+};
+
+describe('RemoteSigner module tests', () => {
+    let server;
+    let url;
+
+    beforeAll(async () => {
+        server = createSignerServer(pk);
+        await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+        url = `http://127.0.0.1:${server.address().port}`;
+    });
+
+    afterAll(async () => {
+        await new Promise(resolve => server.close(resolve));
+    });
+
+    beforeEach(async function () {
+        jest.clearAllMocks();
+        web3Mock.eth = jest.fn();
+    });
+
+    it('should get the address from the signing service', async () => {
+        const signer = new RemoteSigner(logger, { url });
+        expect(await signer.getAddress()).toEqual(from);
+        expect(await new RemoteSigner(logger, { url, address: '0x01' }).getAddress()).toEqual('0x01');
+    });
+
+    it('should sign the same transactions as the local signer', async () => {
+        const signer = SignerFactory.create(logger, { type: 'remote', url });
+        const localSigner = new LocalSigner(pk);
+
+        expect(await signer.signTransaction(legacyTx)).toEqual(await localSigner.signTransaction(legacyTx));
+        expect(await signer.signTransaction(eip1559Tx)).toEqual(await localSigner.signTransaction(eip1559Tx));
+    });
+
+    it('should fail when the signing service rejects the transaction', async () => {
+        const signer = new RemoteSigner(logger, { url, address: '0x0000000000000000000000000000000000000002' });
+        await expect(signer.signTransaction(legacyTx)).rejects.toThrow('Unknown account');
+
+        const unreachableSigner = new RemoteSigner(logger, { url: 'http://127.0.0.1:1' });
+        await expect(unreachableSigner.getAddress()).rejects.toThrow('eth_accounts request failed');
+    });
+
+    it('should fail with an unknown signer', async () => {
+        expect(() => SignerFactory.create(logger, { type: 'hsm' })).toThrow('Unknown signer hsm');
+        expect(() => SignerFactory.create(logger, { type: 'remote' })).toThrow('url is required');
+    });
+
+    it('should send transactions signed by the signing service', async () => {
+        const storagePath = fs.mkdtempSync(path.join(os.tmpdir(), 'signer-'));
+        let serializedTx;
+        web3Mock.eth.net = { getId: jest.fn().mockReturnValue(Promise.resolve(31)) };
+        web3Mock.eth.getTransactionCount = jest.fn().mockReturnValue(Promise.resolve(7));
+        web3Mock.eth.getBlock = jest.fn().mockReturnValue(Promise.resolve({ minimumGasPrice: '100' }));
+        web3Mock.eth.estimateGas = jest.fn().mockReturnValue(Promise.resolve(21000));
+        web3Mock.eth.sendSignedTransaction = jest.fn().mockImplementation((tx) => {
+            serializedTx = tx;
+            const promiEvent = Promise.resolve({ status: 1, transactionHash: '0x01' });
+            promiEvent.once = (event, callback) => {
+                callback('0x01');
+                return promiEvent;
+            };
+            return promiEvent;
+        });
+        const sender = new TransactionSender(web3Mock, logger, { storagePath, signer: { type: 'remote', url } });
+
+        expect(await sender.getAddress(undefined)).toEqual(from);
+        const receipt = await sender.sendTransaction(legacyTx.to, legacyTx.data, 0, undefined, true);
+        expect(receipt.status).toEqual(1);
+        expect(serializedTx).toEqual(await new LocalSigner(pk).signTransaction({ ...legacyTx, gasPrice: '0x67' }));
+
+        Storage.closeAll();
+        fs.rmSync(storagePath, { recursive: true, force: true });
+    });
+});
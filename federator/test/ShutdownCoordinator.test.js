@@ -0,0 +1,91 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const ShutdownCoordinator = require('../src/services/ShutdownCoordinator');
+const Scheduler = require('../src/services/Scheduler');
+const Storage = require('../src/lib/Storage');
+
+const logger = {
+    trace: jest.fn(),
+    debug: jest.fn(),
+    info: jest.fn(),
+    warn: jest.fn(),
+    error: jest.fn(),
+};
+
+describe('ShutdownCoordinator module tests', () => {
+    let storagePath;
+
+    beforeEach(() => {
+        jest.clearAllMocks();
+        storagePath = fs.mkdtempSync(path.join(os.tmpdir(), 'shutdown-'));
+    });
+
+    afterEach(() => {
+        Storage.closeAll();
+        fs.rmSync(storagePath, { recursive: true, force: true });
+    });
+
+    it('should stop the scheduler after the run in progress', async () => {
+        let endRun;
+        const service = { run: jest.fn().mockImplementation(() => new Promise(resolve => endRun = resolve)) };
+        const scheduler = new Scheduler(10, logger, service);
+        const polling = scheduler.start();
+
+        await scheduler.stop();
+        expect(scheduler.running).toBeFalsy();
+        const waiting = scheduler.waitForCurrentRun();
+        endRun();
+        await waiting;
+        await polling;
+        expect(scheduler.pollingTimeout).toBeNull();
+        expect(service.run).toHaveBeenCalledTimes(1);
+    });
+
+    it('should wait for the work in progress, flush the storage and close the servers before exiting', async () => {
+        const order = [];
+        const exit = jest.fn().mockImplementation(() => order.push('exit'));
+        let endRun;
+        const service = {
+            stop: jest.fn().mockImplementation(() => order.push('stop')),
+            runInProgress: new Promise(resolve => endRun = resolve).then(() => order.push('run ended'))
+        };
+        const server = { close: jest.fn().mockImplementation(async () => order.push('server closed')) };
+        const storage = Storage.open(storagePath);
+        storage.set('lastBlock', 1);
+
+        const coordinator = new ShutdownCoordinator(logger, 5, exit);
+        coordinator.addService(service);
+        coordinator.addServer(server);
+        const shutdown = coordinator.shutdown('SIGTERM');
+        expect(coordinator.isShuttingDown()).toBeTruthy();
+        endRun();
+        await shutdown;
+
+        expect(order).toEqual(['stop', 'run ended', 'server closed', 'exit']);
+        expect(exit).toHaveBeenCalledWith(0);
+        expect(storage.fd).toBeNull();
+    });
+
+    it('should exit after the timeout', async () => {
+        const exit = jest.fn();
+        const coordinator = new ShutdownCoordinator(logger, 0.01, exit);
+        coordinator.addService({ stop: jest.fn(), runInProgress: new Promise(() => {}) });
+
+        await coordinator.shutdown('SIGINT');
+        expect(exit).toHaveBeenCalledWith(0);
+        expect(logger.error).toHaveBeenCalled();
+    });
+
+    it('should exit right away on a second signal', async () => {
+        const exit = jest.fn();
+        const coordinator = new ShutdownCoordinator(logger, 0.05, exit);
+        coordinator.addService({ stop: jest.fn(), runInProgress: new Promise(() => {}) });
+
+        const shutdown = coordinator.shutdown('SIGINT');
+        coordinator.shutdown('SIGINT');
+        expect(exit).toHaveBeenCalledWith(1);
+        await shutdown;
+    });
+});
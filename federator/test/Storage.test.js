@@ -0,0 +1,139 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const Storage = require('../src/lib/Storage');
+
+let storagePath;
+
+describe('Storage module tests', () => {
+    beforeEach(async function () {
+        storagePath = fs.mkdtempSync(path.join(os.tmpdir(), 'storage-'));
+    });
+
+    afterEach(async function () {
+        Storage.closeAll();
+        fs.rmSync(storagePath, { recursive: true, force: true });
+    });
+
+    it('should persist values across instances', async () => {
+        let storage = new Storage(storagePath);
+        storage.set('lastBlock', 10);
+        storage.set('revertedTxns:0x1', { amount: '1' });
+        storage.set('revertedTxns:0x2', { amount: '2' });
+        storage.delete('revertedTxns:0x1');
+        storage.close();
+
+        storage = new Storage(storagePath);
+        expect(storage.get('lastBlock')).toEqual(10);
+        expect(storage.get('missing', 5)).toEqual(5);
+        expect(storage.entries('revertedTxns:')).toEqual([['revertedTxns:0x2', { amount: '2' }]]);
+    });
+
+    it('should discard a torn write left by a crash', async () => {
+        let storage = new Storage(storagePath);
+        storage.set('lastBlock', 10);
+        storage.close();
+        fs.appendFileSync(path.join(storagePath, 'state.log'), '{"k":"lastBlock","v":2');
+
+        storage = new Storage(storagePath);
+        expect(storage.get('lastBlock')).toEqual(10);
+        // Readers without the lock leave the file as it is
+        expect(fs.readFileSync(path.join(storagePath, 'state.log'), 'utf8')).toMatch(/"v":2$/);
+        storage.set('lastBlock', 11);
+        storage.close();
+
+        storage = new Storage(storagePath);
+        expect(storage.get('lastBlock')).toEqual(11);
+    });
+
+    it('should refuse to load a log corrupted before its last line', async () => {
+        const logPath = path.join(storagePath, 'state.log');
+        fs.writeFileSync(logPath, '{"k":"lastBlock","v":10}\n{"k":"lastBl\n{"k":"lastBlock","v":12}\n');
+        const storage = new Storage(storagePath);
+        expect(() => storage.get('lastBlock')).toThrow(`Storage ${logPath} is corrupted at line 2`);
+        expect(() => storage.set('lastBlock', 13)).toThrow('is corrupted at line 2');
+
+        fs.writeFileSync(logPath, '{"k":"lastBlock","v":10}\n{"k":"lastBl\n');
+        expect(new Storage(storagePath).get('lastBlock')).toEqual(10);
+    });
+
+    it('should compact the log keeping the latest values', async () => {
+        let storage = new Storage(storagePath);
+        for (let i = 0; i < 1500; i++) {
+            storage.set('lastBlock', i);
+        }
+        storage.close();
+
+        const lines = fs.readFileSync(path.join(storagePath, 'state.log'), 'utf8').split('\n');
+        expect(lines.length).toBeLessThan(1500);
+        expect(new Storage(storagePath).get('lastBlock')).toEqual(1499);
+    });
+
+    it('should refuse to write while another process holds the lock', async () => {
+        const lockPath = path.join(storagePath, 'state.lock');
+        // The parent process of the test is alive on this host
+        fs.writeFileSync(lockPath, JSON.stringify({ pid: process.ppid, hostname: os.hostname(), lockedAt: new Date().toISOString() }));
+        let storage = new Storage(storagePath);
+        expect(() => storage.set('lastBlock', 10)).toThrow(`Storage ${storagePath} is locked by process ${process.ppid} on ${os.hostname()}`);
+        fs.writeFileSync(lockPath, JSON.stringify({ pid: process.pid, hostname: 'other-host', lockedAt: new Date().toISOString() }));
+        expect(() => storage.set('lastBlock', 10)).toThrow(/is locked by process \d+ on other-host/);
+        expect(storage.has('lastBlock')).toBeFalsy();
+        expect(fs.existsSync(path.join(storagePath, 'state.log'))).toBeFalsy();
+
+        // Left by a process that is gone
+        fs.writeFileSync(lockPath, JSON.stringify({ pid: 2 ** 22 + 1, hostname: os.hostname(), lockedAt: new Date().toISOString() }));
+        storage = new Storage(storagePath);
+        storage.set('lastBlock', 11);
+        expect(JSON.parse(fs.readFileSync(lockPath, 'utf8'))).toMatchObject({ pid: process.pid, hostname: os.hostname() });
+        expect(() => new Storage(storagePath).lock()).not.toThrow();
+        storage.close();
+        expect(fs.existsSync(lockPath)).toBeFalsy();
+        expect(new Storage(storagePath).get('lastBlock')).toEqual(11);
+    });
+
+    it('should take over a lock of another host that is no longer refreshed', async () => {
+        jest.useFakeTimers('modern');
+        const lockPath = path.join(storagePath, 'state.lock');
+        const lockedAt = new Date(Date.now() - 4 * 60_000).toISOString();
+        fs.writeFileSync(lockPath, JSON.stringify({ pid: process.pid, hostname: 'previous-container', lockedAt }));
+        const storage = new Storage(storagePath);
+        expect(() => storage.set('lastBlock', 10)).toThrow(/is locked by process \d+ on previous-container/);
+
+        jest.advanceTimersByTime(60_000);
+        storage.set('lastBlock', 10);
+        expect(JSON.parse(fs.readFileSync(lockPath, 'utf8'))).toMatchObject({ pid: process.pid, hostname: os.hostname() });
+
+        // The holder keeps it alive, and lets it go once another process took it over
+        jest.advanceTimersByTime(10 * 60_000);
+        expect(() => new Storage(storagePath).lock()).not.toThrow();
+        fs.writeFileSync(lockPath, JSON.stringify({ pid: process.pid, hostname: 'next-container', lockedAt: new Date().toISOString() }));
+        jest.advanceTimersByTime(60_000);
+        expect(() => storage.set('lastBlock', 11)).toThrow(/is locked by process \d+ on next-container/);
+        storage.close();
+        expect(fs.existsSync(lockPath)).toBeTruthy();
+        jest.useRealTimers();
+    });
+
+    it('should share the instance for the same path', async () => {
+        expect(Storage.open(storagePath)).toBe(Storage.open(`${storagePath}/`));
+    });
+
+    it('should migrate the legacy files once', async () => {
+        fs.writeFileSync(path.join(storagePath, 'lastBlock.txt'), '1234');
+        fs.writeFileSync(path.join(storagePath, 'heartBeatLastBlock.txt'), '99');
+        fs.writeFileSync(path.join(storagePath, 'revertedTxns.json'), JSON.stringify({ '0xabc': { amount: '1' } }));
+        fs.writeFileSync(path.join(storagePath, 'manuallyCheck.txt'), 'transactionHash:0xdef to:0x01 data:0x02\n');
+
+        let storage = new Storage(storagePath);
+        expect(storage.get('lastBlock')).toEqual(1234);
+        expect(storage.get('heartbeatLastBlock')).toEqual(99);
+        expect(storage.get('revertedTxns:0xabc')).toEqual({ amount: '1' });
+        expect(storage.get('manuallyCheck:0xdef')).toEqual({ transactionHash: '0xdef', to: '0x01', data: '0x02' });
+        expect(fs.existsSync(path.join(storagePath, 'lastBlock.txt'))).toBeFalsy();
+        expect(fs.existsSync(path.join(storagePath, 'lastBlock.txt.migrated'))).toBeTruthy();
+
+        storage = new Storage(storagePath);
+        expect(storage.get('lastBlock')).toEqual(1234);
+    });
+});
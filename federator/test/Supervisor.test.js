@@ -0,0 +1,84 @@
+const Supervisor = require('../src/services/Supervisor');
+const Metrics = require('../src/lib/Metrics');
+
+const logger = {
+    trace: jest.fn(),
+    debug: jest.fn(),
+    info: jest.fn(),
+    warn: jest.fn(),
+    error: jest.fn(),
+};
+const SECOND = 1000;
+
+describe('Supervisor module tests', () => {
+    let now;
+    let supervisor;
+    const failing = () => Promise.reject(new Error('RPC unreachable'));
+
+    beforeEach(() => {
+        jest.clearAllMocks();
+        Metrics.register.resetMetrics();
+        now = 0;
+        supervisor = new Supervisor(logger, { initialBackoffSeconds: 10, maxBackoffSeconds: 30, failureThreshold: 4, openCircuitSeconds: 100 }, () => now);
+    });
+
+    it('should return the task result and never throw', async () => {
+        expect(await supervisor.run('main', () => Promise.resolve(true))).toBeTruthy();
+        expect(await supervisor.run('side', failing)).toBeUndefined();
+        expect(supervisor.getState().side).toMatchObject({ state: 'closed', consecutiveFailures: 1, lastError: 'RPC unreachable' });
+        expect(supervisor.succeededSince('main', 0)).toBeTruthy();
+        expect(supervisor.succeededSince('side', 0)).toBeFalsy();
+        expect(supervisor.succeededSince('heartbeat', 0)).toBeFalsy();
+
+        now = 20 * SECOND;
+        await supervisor.run('side', () => Promise.resolve(false));
+        expect(supervisor.succeededSince('side', 20 * SECOND)).toBeTruthy();
+        expect(supervisor.succeededSince('main', 20 * SECOND)).toBeFalsy();
+    });
+
+    it('should back off exponentially after failures', async () => {
+        const task = jest.fn().mockImplementation(failing);
+        await supervisor.run('main', task);
+        expect(supervisor.getState().main.nextAttemptAt).toEqual(new Date(10 * SECOND).toISOString());
+
+        now = 5 * SECOND;
+        await supervisor.run('main', task);
+        expect(task).toHaveBeenCalledTimes(1);
+
+        now = 10 * SECOND;
+        await supervisor.run('main', task);
+        expect(task).toHaveBeenCalledTimes(2);
+        expect(supervisor.getState().main.nextAttemptAt).toEqual(new Date(30 * SECOND).toISOString());
+
+        now = 30 * SECOND;
+        await supervisor.run('main', task);
+        // Capped at maxBackoffSeconds
+        expect(supervisor.getState().main.nextAttemptAt).toEqual(new Date(60 * SECOND).toISOString());
+    });
+
+    it('should open the circuit and close it after a successful attempt', async () => {
+        for (let i = 0; i < 4; i++) {
+            await supervisor.run('heartbeat', failing);
+            now = supervisor.subsystems.heartbeat.nextAttemptAt;
+        }
+        expect(supervisor.getState().heartbeat).toMatchObject({ state: 'open', consecutiveFailures: 4, totalFailures: 4 });
+        expect(await Metrics.register.metrics()).toContain('federator_subsystem_circuit_state{subsystem="heartbeat"} 2');
+
+        // Half open, a single failure opens it again
+        await supervisor.run('heartbeat', failing);
+        expect(supervisor.getState().heartbeat.state).toEqual('open');
+
+        now = supervisor.subsystems.heartbeat.nextAttemptAt;
+        expect(await supervisor.run('heartbeat', () => Promise.resolve('emitted'))).toEqual('emitted');
+        expect(supervisor.getState().heartbeat).toMatchObject({ state: 'closed', consecutiveFailures: 0, totalFailures: 5, nextAttemptAt: null });
+        expect(await Metrics.register.metrics()).toContain('federator_subsystem_failures_total{subsystem="heartbeat"} 5');
+    });
+
+    it('should keep the subsystems isolated', async () => {
+        await supervisor.run('side', failing);
+        const main = jest.fn().mockReturnValue(Promise.resolve(true));
+        await supervisor.run('main', main);
+        expect(main).toHaveBeenCalled();
+        expect(supervisor.getState().main.state).toEqual('closed');
+    });
+});
@@ -1,7 +1,11 @@
 const fs = require('fs');
+const os = require('os');
 const path = require('path');
 
 const TransactionSender = require('../src/lib/TransactionSender');
+const Storage = require('../src/lib/Storage');
+const Alerter = require('../src/lib/Alerter');
+const GasPriceCeilingError = require('../src/gasPrice/GasPriceCeilingError');
 const eth = require('./web3Mock/eth.js');
 const mockData = require('./web3Mock/mockData.json');
 
@@ -14,17 +18,25 @@ const logger = {
     error: jest.fn(),
 };
 const web3Mock = jest.fn();
+let storagePath;
 
 describe('TransactionSender module tests', () => {
     beforeEach(async function () {
         jest.clearAllMocks();
         web3Mock.eth = jest.fn();
+        storagePath = fs.mkdtempSync(path.join(os.tmpdir(), 'sender-'));
+    });
+
+    afterEach(async function () {
+        jest.restoreAllMocks();
+        Storage.closeAll();
+        fs.rmSync(storagePath, { recursive: true, force: true });
     });
 
     it('should getNonce', async () => {
         let expected = '213';
         web3Mock.eth.getTransactionCount = jest.fn().mockReturnValue(Promise.resolve(expected));
-        let sender = new TransactionSender(web3Mock, logger, {});
+        let sender = new TransactionSender(web3Mock, logger, { storagePath });
         let result = await sender.getNonce();
         expect(result).toEqual(expected);
     });
@@ -32,16 +44,146 @@ describe('TransactionSender module tests', () => {
     it('should getAddress From privateKey', async () => {
         const pk = '3f28f888373e9ad1651a1227a5efdc0d7ea55bce6de3b5448de56c8588c6bd4d';
         const expectedAddr = '0x3444f14CbC7081ADEd7203E32E65304D17fe3bdA';
-        let sender = new TransactionSender(web3Mock, logger, {});
+        let sender = new TransactionSender(web3Mock, logger, { storagePath });
         let result = await sender.getAddress(pk); //Rsk Testnet
         expect(result).toEqual(expectedAddr.toLocaleLowerCase());
 
         web3Mock.eth.getAccounts = jest.fn().mockReturnValue(Promise.resolve([expectedAddr.toLocaleLowerCase()]));
-        sender = new TransactionSender(web3Mock, logger, {});
+        sender = new TransactionSender(web3Mock, logger, { storagePath });
         result = await sender.getAddress('');
         expect(result).toEqual(expectedAddr.toLocaleLowerCase());
         result = await sender.getAddress(undefined);
         expect(result).toEqual(expectedAddr.toLocaleLowerCase());
     });
 
-});
\ No newline at end of file
+    it('should speed up, cancel and then abandon stuck transactions', async () => {
+        const pk = '3f28f888373e9ad1651a1227a5efdc0d7ea55bce6de3b5448de56c8588c6bd4d';
+        const from = '0x3444f14cbc7081aded7203e32e65304d17fe3bda';
+        const sent = [];
+        web3Mock.eth.net = { getId: jest.fn().mockReturnValue(Promise.resolve(31)) };
+        web3Mock.eth.getTransactionCount = jest.fn().mockReturnValue(Promise.resolve(7));
+        web3Mock.eth.getBlock = jest.fn().mockReturnValue(Promise.resolve({ minimumGasPrice: '100' }));
+        web3Mock.eth.sendSignedTransaction = jest.fn().mockImplementation((serializedTx) => {
+            sent.push(serializedTx);
+            const promiEvent = Promise.resolve({});
+            promiEvent.once = (event, callback) => {
+                callback(`0x0${sent.length}`);
+                return promiEvent;
+            };
+            return promiEvent;
+        });
+        const sender = new TransactionSender(web3Mock, logger, { storagePath, stuckTransactionMinutes: 0, maxTransactionReplacements: 1 });
+        const rawTx = { chainId: 31, gasPrice: '0x64', value: '0x0', to: '0x0000000000000000000000000000000000000001', data: '0x1234', from, nonce: '0x7', gas: '0x3d090', r: 0, s: 0 };
+        sender.nonceManager.track(31, from, 7, { transactionHash: '0x00', rawTx, gasPrice: 100 });
+        const send = jest.spyOn(Alerter, 'send').mockReturnValue(Promise.resolve(true));
+
+        await sender.replaceStuckTransactions(from, pk);
+        let [pending] = sender.nonceManager.getPending(31, from, 7);
+        expect(pending).toMatchObject({ transactionHashes: ['0x00', '0x01'], replacements: 1, gasPrice: 113 });
+        expect(pending.rawTx).toMatchObject({ nonce: '0x7', to: rawTx.to, data: rawTx.data, gasPrice: '0x71' });
+
+        await sender.replaceStuckTransactions(from, pk);
+        [pending] = sender.nonceManager.getPending(31, from, 7);
+        expect(pending.rawTx).toMatchObject({ nonce: '0x7', to: from, data: '0x', value: '0x0', gas: '0x5208' });
+        expect(sender.storage.get('manuallyCheck:0x00')).toMatchObject({ cancelled: true });
+        expect(sent.length).toEqual(2);
+        expect(send).toHaveBeenCalledTimes(1);
+        expect(send).toHaveBeenCalledWith(expect.objectContaining({ type: 'manualCheck', key: '0x00', details: expect.objectContaining({ cancelled: true }) }));
+
+        // The cancel is not mined either, the fees are not bumped again
+        await sender.checkStuckTransactions(pk);
+        expect(sent.length).toEqual(2);
+        expect(sender.nonceManager.getPending(31, from, 7)).toEqual([]);
+        expect(sender.nonceManager.getNonce(31, from, 7)).toEqual(7);
+        expect(send).toHaveBeenCalledWith(expect.objectContaining({ type: 'nonceAbandoned', severity: 'critical', details: expect.objectContaining({ nonce: 7 }) }));
+        expect(sender.storage.get('manuallyCheck:0x00')).toMatchObject({
+            to: rawTx.to,
+            cancelled: true,
+            abandoned: true,
+            nonce: 7,
+            transactionHashes: ['0x00', '0x01', '0x02']
+        });
+        await sender.replaceStuckTransactions(from, pk);
+        expect(sent.length).toEqual(2);
+        expect(send).toHaveBeenCalledTimes(2);
+    });
+
+    it('should hold new transactions while a stuck one can not be replaced under the ceiling', async () => {
+        const pk = '3f28f888373e9ad1651a1227a5efdc0d7ea55bce6de3b5448de56c8588c6bd4d';
+        const from = '0x3444f14cbc7081aded7203e32e65304d17fe3bda';
+        web3Mock.eth.net = { getId: jest.fn().mockReturnValue(Promise.resolve(31)) };
+        web3Mock.eth.getTransactionCount = jest.fn().mockReturnValue(Promise.resolve(7));
+        web3Mock.eth.getBlock = jest.fn().mockReturnValue(Promise.resolve({ minimumGasPrice: '100' }));
+        web3Mock.eth.sendSignedTransaction = jest.fn();
+        const sender = new TransactionSender(web3Mock, logger, { storagePath, stuckTransactionMinutes: 0 }, { gasPriceCeilingGwei: 1.1 });
+        const rawTx = { chainId: 31, gasPrice: '0x3b9aca00', value: '0x0', to: '0x0000000000000000000000000000000000000001', data: '0x1234', from, nonce: '0x7', gas: '0x3d090', r: 0, s: 0 };
+        sender.nonceManager.track(31, from, 7, { transactionHash: '0x00', rawTx, gasPrice: 1000000000 });
+
+        await expect(sender.sendTransaction('0x0000000000000000000000000000000000000001', '0x1234', 0, pk))
+            .rejects.toThrow(GasPriceCeilingError);
+        expect(web3Mock.eth.sendSignedTransaction).not.toHaveBeenCalled();
+        expect(sender.nonceManager.getPending(31, from, 7)).toEqual([expect.objectContaining({ nonce: 7, replacements: 0 })]);
+    });
+
+    it('should create and sign EIP-1559 transactions from the fee history', async () => {
+        const pk = '3f28f888373e9ad1651a1227a5efdc0d7ea55bce6de3b5448de56c8588c6bd4d';
+        const from = '0x3444f14cbc7081aded7203e32e65304d17fe3bda';
+        web3Mock.eth.net = { getId: jest.fn().mockReturnValue(Promise.resolve(1)) };
+        web3Mock.eth.getTransactionCount = jest.fn().mockReturnValue(Promise.resolve(3));
+        web3Mock.eth.estimateGas = jest.fn().mockReturnValue(Promise.resolve(21000));
+        web3Mock.eth.getFeeHistory = jest.fn().mockReturnValue(Promise.resolve({
+            baseFeePerGas: ['0x3b9aca00', '0x77359400', '0x4a817c800'],
+            reward: [['0x77359400'], ['0xb2d05e00']]
+        }));
+        const sender = new TransactionSender(web3Mock, logger, { storagePath }, { transactionType: 'eip1559' });
+
+        const rawTx = await sender.createRawTransaction(from, '0x0000000000000000000000000000000000000001', '0x1234', 0);
+        expect(rawTx).toMatchObject({
+            type: '0x2',
+            chainId: 1,
+            nonce: '0x3',
+            maxPriorityFeePerGas: '0xb2d05e00', // 3 gwei
+            maxFeePerGas: '0xa02ffee00', // 2 * 20 gwei + 3 gwei
+            gas: '0x3d090'
+        });
+        expect(rawTx.gasPrice).toBeUndefined();
+
+        const signedTx = sender.signRawTransaction(rawTx, pk);
+        expect(signedTx.getSenderAddress().toString()).toEqual(from);
+        expect(signedTx.serialize()[0]).toEqual(2);
+    });
+
+    it('should keep legacy transactions on RSK', async () => {
+        web3Mock.eth.net = { getId: jest.fn().mockReturnValue(Promise.resolve(30)) };
+        web3Mock.eth.getBlock = jest.fn().mockReturnValue(Promise.resolve({ minimumGasPrice: '60000000' }));
+        const sender = new TransactionSender(web3Mock, logger, { storagePath }, { transactionType: 'eip1559' });
+
+        expect(await sender.useEip1559()).toBeFalsy();
+        expect(await sender.getFees()).toEqual({ gasPrice: 61800000 });
+    });
+
+    it('should keep tracking the transactions not mined within 750 seconds', async () => {
+        const pk = '3f28f888373e9ad1651a1227a5efdc0d7ea55bce6de3b5448de56c8588c6bd4d';
+        const from = '0x3444f14cbc7081aded7203e32e65304d17fe3bda';
+        web3Mock.eth.net = { getId: jest.fn().mockReturnValue(Promise.resolve(31)) };
+        web3Mock.eth.getTransactionCount = jest.fn().mockReturnValue(Promise.resolve(4));
+        web3Mock.eth.getBlock = jest.fn().mockReturnValue(Promise.resolve({ minimumGasPrice: '100' }));
+        web3Mock.eth.estimateGas = jest.fn().mockReturnValue(Promise.resolve(21000));
+        web3Mock.eth.sendSignedTransaction = jest.fn().mockImplementation(() => {
+            const promiEvent = Promise.reject(new Error('Transaction was not mined within 750 seconds, please make sure your transaction was properly sent. Be aware that it might still be mined!'));
+            promiEvent.once = (event, callback) => {
+                callback('0x0c');
+                return promiEvent;
+            };
+            return promiEvent;
+        });
+        const send = jest.spyOn(Alerter, 'send').mockReturnValue(Promise.resolve(true));
+        const sender = new TransactionSender(web3Mock, logger, { storagePath });
+
+        const receipt = await sender.sendTransaction('0x0000000000000000000000000000000000000001', '0x1234', 0, pk);
+        expect(receipt).toEqual({ transactionHash: '0x0c', status: false, pending: true });
+        expect(sender.nonceManager.getPending(31, from, 4)).toEqual([expect.objectContaining({ nonce: 4, transactionHashes: ['0x0c'] })]);
+        expect(send).toHaveBeenCalledWith(expect.objectContaining({ type: 'manualCheck', key: '0x0c' }));
+    });
+
+});